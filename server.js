@@ -1,30 +1,220 @@
 const fs = require('fs');
 const path = require('path');
 const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const net = require('net');
 const crypto = require('crypto');
+const os = require('os');
 const xml2js = require('xml2js');
 const url = require('url');
 const querystring = require('querystring');
+const readline = require('readline');
+const EventEmitter = require('events');
+
+// Каталоги данных; переопределяются переменными окружения (например, для тестов)
+const CONFIG_DIR = process.env.SCUD_CONFIG_DIR || path.join(__dirname, 'config');
+const LOG_DIR = process.env.SCUD_LOG_DIR || path.join(__dirname, 'logs');
 
 // Конфигурационные пути
 const CONFIG = {
-    DEVICES_FILE: path.join(__dirname, 'config/devices.json'),
-    USERS_FILE: path.join(__dirname, 'config/users.json'),
-    LOG_DIR: path.join(__dirname, 'logs'),
+    DEVICES_FILE: path.join(CONFIG_DIR, 'devices.json'),
+    USERS_FILE: path.join(CONFIG_DIR, 'users.json'),
+    SCHEDULES_FILE: path.join(CONFIG_DIR, 'schedules.json'),
+    // Какие состояния расписание уже выставило - чтобы после перезапуска догнать пропущенные переключения
+    SCHEDULER_STATE_FILE: path.join(CONFIG_DIR, 'scheduler_state.json'),
+    // Действующий экстренный режим (блокировка или эвакуация) - переживает перезапуск
+    EMERGENCY_FILE: path.join(CONFIG_DIR, 'emergency.json'),
+    // Сотрудники и карты для записи на контроллеры; фото лиц - отдельными файлами
+    PERSONS_FILE: path.join(CONFIG_DIR, 'persons.json'),
+    PERSON_SYNC_FILE: path.join(CONFIG_DIR, 'person_sync.json'),
+    FACES_DIR: path.join(CONFIG_DIR, 'faces'),
+    FACE_MAX_SIZE: 200 * 1024,
+    // Заявки на открытие чувствительных дверей: срок открытия и время на рассмотрение заявки (минуты)
+    APPROVALS_FILE: path.join(CONFIG_DIR, 'approvals.json'),
+    APPROVAL_MAX_MINUTES: parseInt(process.env.APPROVAL_MAX_MINUTES, 10) || 480,
+    APPROVAL_REQUEST_TTL: (parseInt(process.env.APPROVAL_REQUEST_TTL_MINUTES, 10) || 30) * 60 * 1000,
+    APPROVAL_CHECK_INTERVAL: 15 * 1000,
+    APPROVAL_HISTORY_LIMIT: 500,
+    // Уведомления: webhooks и Telegram; неудачные доставки повторяются с растущей паузой
+    NOTIFICATIONS_FILE: path.join(CONFIG_DIR, 'notifications.json'),
+    NOTIFY_TIMEOUT: parseInt(process.env.NOTIFY_TIMEOUT_MS, 10) || 5000,
+    NOTIFY_RETRIES: process.env.NOTIFY_RETRIES !== undefined ? parseInt(process.env.NOTIFY_RETRIES, 10) || 0 : 5,
+    NOTIFY_RETRY_DELAY: parseInt(process.env.NOTIFY_RETRY_DELAY_MS, 10) || 5000,
+    NOTIFY_QUEUE_LIMIT: 1000,
+    TELEGRAM_API_URL: process.env.TELEGRAM_API_URL || 'https://api.telegram.org',
+    LOG_DIR,
     HTML_FILE: path.join(__dirname, 'index.html'),
-    PORT: process.env.PORT || 3000
+    PORT: process.env.PORT || 3000,
+    SESSION_COOKIE: 'scud_session',
+    SESSION_TTL: (parseInt(process.env.SESSION_TTL_MINUTES, 10) || 480) * 60 * 1000,
+    COOKIE_SECURE: process.env.COOKIE_SECURE === '1',
+    MAX_LOGIN_ATTEMPTS: parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5,
+    LOCKOUT_TIME: (parseInt(process.env.LOCKOUT_MINUTES, 10) || 15) * 60 * 1000,
+    // Неудачные попытки входа в учетную запись со всех адресов вместе, после которых каждая следующая
+    // ошибка удваивает паузу перед новой попыткой (от секунды до LOCKOUT_MINUTES)
+    ACCOUNT_MAX_LOGIN_ATTEMPTS: parseInt(process.env.ACCOUNT_MAX_LOGIN_ATTEMPTS, 10) || 20,
+    // Сайты, которым разрешено обращаться к API из браузера (CORS), через запятую. Интерфейс работает
+    // с того же адреса и в списке не нуждается; сторонним сайтам cookie не передаются - только Bearer-токен
+    CORS_ORIGINS: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean),
+    // Наибольший размер JSON в запросах к API
+    MAX_BODY_SIZE: (parseInt(process.env.MAX_BODY_KB, 10) || 1024) * 1024,
+    // Ограничение частоты запросов за окно: вход - с одного адреса, управление дверьми - с адреса и от пользователя
+    RATE_LIMIT_WINDOW: (parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS, 10) || 60) * 1000,
+    LOGIN_RATE_LIMIT: parseInt(process.env.LOGIN_RATE_LIMIT, 10) || 20,
+    CONTROL_RATE_LIMIT_IP: parseInt(process.env.CONTROL_RATE_LIMIT_IP, 10) || 120,
+    CONTROL_RATE_LIMIT_USER: parseInt(process.env.CONTROL_RATE_LIMIT_USER, 10) || 60,
+    STATUS_POLL_INTERVAL: (parseInt(process.env.STATUS_POLL_INTERVAL_SECONDS, 10) || 15) * 1000,
+    STATUS_POLL_CONCURRENCY: parseInt(process.env.STATUS_POLL_CONCURRENCY, 10) || 4,
+    STATUS_POLL_TIMEOUT: parseInt(process.env.STATUS_POLL_TIMEOUT_MS, 10) || 5000,
+    // Расхождение режима двери с заданным: повторное восстановление не чаще этого интервала;
+    // перезагрузкой считается время работы контроллера меньше ожидаемого больше чем на допуск
+    DRIFT_REAPPLY_INTERVAL: (parseInt(process.env.DRIFT_REAPPLY_MINUTES, 10) || 5) * 60 * 1000,
+    REBOOT_UPTIME_TOLERANCE: 60,
+    STREAM_HEARTBEAT: 25000,
+    // Сведения об устройстве (deviceInfo, время, возможности) обновляются не чаще этого интервала
+    DEVICE_INFO_TTL: (parseInt(process.env.DEVICE_INFO_TTL_MINUTES, 10) || 60) * 60 * 1000,
+    // Расхождение часов контроллера с сервером, после которого выдается предупреждение
+    CLOCK_DRIFT_LIMIT: (parseInt(process.env.CLOCK_DRIFT_SECONDS, 10) || 60) * 1000,
+    // Минимальная версия прошивки, с которой проверена работа сервиса
+    MIN_FIRMWARE_VERSION: process.env.MIN_FIRMWARE_VERSION || 'V2.0.0',
+    // Повторы запросов ISAPI при сетевых ошибках и таймаутах; задержка удваивается с каждой попыткой
+    ISAPI_TIMEOUT: parseInt(process.env.ISAPI_TIMEOUT_MS, 10) || 10000,
+    ISAPI_RETRIES: process.env.ISAPI_RETRIES !== undefined
+        ? parseInt(process.env.ISAPI_RETRIES, 10) || 0
+        : 2,
+    ISAPI_RETRY_DELAY: parseInt(process.env.ISAPI_RETRY_DELAY_MS, 10) || 500,
+    SCHEDULER_INTERVAL: 30 * 1000,
+    SCHEDULER_RETRY_INTERVAL: 5 * 60 * 1000,
+    BULK_CONCURRENCY: parseInt(process.env.BULK_CONCURRENCY, 10) || 8,
+    BULK_RETRIES: 2,
+    BULK_RETRY_DELAY: 1000,
+    // Журнал аудита: файлы audit_YYYY-MM-DD.jsonl, новый файл каждые сутки (UTC) или при превышении размера
+    AUDIT_RETENTION_DAYS: process.env.AUDIT_RETENTION_DAYS !== undefined
+        ? parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 0
+        : 180,
+    AUDIT_MAX_FILE_SIZE: (parseInt(process.env.AUDIT_MAX_FILE_MB, 10) || 50) * 1024 * 1024,
+    AUDIT_QUERY_LIMIT: 5000,
+    // События контроллеров (HTTP listening host): logs/events/<deviceId>/YYYY-MM-DD.jsonl
+    EVENTS_DIR: path.join(LOG_DIR, 'events'),
+    EVENTS_RETENTION_DAYS: process.env.EVENTS_RETENTION_DAYS !== undefined
+        ? parseInt(process.env.EVENTS_RETENTION_DAYS, 10) || 0
+        : 90,
+    // Контроллер передает токен в адресе: /api/events/ingest?device=<id>&token=<токен>.
+    // Без EVENTS_TOKEN токен берется из файла, который создается при первом обращении
+    EVENTS_TOKEN: process.env.EVENTS_TOKEN || '',
+    EVENTS_TOKEN_FILE: process.env.EVENTS_TOKEN_FILE || path.join(CONFIG_DIR, 'events.token'),
+    // Адрес сервиса, доступный контроллерам, например http://10.0.0.5:3003 - для настройки listening host
+    EVENTS_PUBLIC_URL: process.env.EVENTS_PUBLIC_URL || '',
+    EVENTS_MAX_BODY: 5 * 1024 * 1024,
+    // За обратным прокси адрес клиента берется из X-Forwarded-For
+    TRUST_PROXY: process.env.TRUST_PROXY === '1',
+    // Ключ шифрования паролей устройств: SCUD_SECRET_KEY или файл ключа.
+    // Файл создается при первом запуске; его лучше держать вне тома с devices.json
+    SECRET_KEY: process.env.SCUD_SECRET_KEY || '',
+    SECRET_KEY_FILE: process.env.SCUD_SECRET_KEY_FILE || path.join(CONFIG_DIR, 'secret.key'),
+    // Если задан, /metrics отдается только с заголовком Authorization: Bearer <токен>.
+    // Без токена - только с локального адреса и из сетей METRICS_ALLOW (через запятую: 10.0.0.5, 10.0.0.0/24)
+    METRICS_TOKEN: process.env.METRICS_TOKEN || '',
+    METRICS_ALLOW: (process.env.METRICS_ALLOW || '').split(',').map(entry => entry.trim()).filter(Boolean)
+};
+
+// Внутренние события сервиса: изменения устройств и результаты управления.
+// На них подписан поток /api/stream
+const serviceEvents = new EventEmitter();
+serviceEvents.setMaxListeners(0);
+
+// Метрики Prometheus (/metrics): счетчики и гистограммы копятся в памяти с запуска процесса,
+// состояние устройств считается в момент запроса
+const METRIC_DEFINITIONS = {
+    scud_control_requests_total: {
+        type: 'counter',
+        help: 'Door control requests by outcome (success, error, denied), requested state and source'
+    },
+    scud_access_denied_total: {
+        type: 'counter',
+        help: 'Door control requests denied by permissions or emergency mode'
+    },
+    scud_failed_logins_total: {
+        type: 'counter',
+        help: 'Failed login attempts by reason (invalid, locked)'
+    },
+    scud_door_drift_total: {
+        type: 'counter',
+        help: 'Doors found in a mode other than the desired one, by reason (mismatch, reboot) and policy (alert, reapply)'
+    },
+    scud_rate_limited_total: {
+        type: 'counter',
+        help: 'Requests rejected by rate limiting, by route (login, control) and key (ip, user)'
+    },
+    scud_controller_events_total: {
+        type: 'counter',
+        help: 'Access events received from controllers by type'
+    },
+    scud_isapi_errors_total: {
+        type: 'counter',
+        help: 'Failed ISAPI requests by device and error type'
+    },
+    scud_notifications_total: {
+        type: 'counter',
+        help: 'Notification deliveries by channel (webhook, telegram) and outcome (sent, failed, dropped)'
+    },
+    scud_isapi_request_duration_seconds: {
+        type: 'histogram',
+        help: 'ISAPI request duration per device, including authentication round trips',
+        buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+    }
 };
 
-// Создаем директорию для логов если не существует
-if (!fs.existsSync(CONFIG.LOG_DIR)) {
-    fs.mkdirSync(CONFIG.LOG_DIR, { recursive: true });
+// Имя метрики -> Map(метки в JSON -> число или { buckets, sum, count })
+const metricValues = new Map(Object.keys(METRIC_DEFINITIONS).map(name => [name, new Map()]));
+
+function incrementMetric(name, labels = {}, value = 1) {
+    const values = metricValues.get(name);
+    const key = JSON.stringify(labels);
+    values.set(key, (values.get(key) || 0) + value);
+}
+
+function observeMetric(name, labels, value) {
+    const values = metricValues.get(name);
+    const key = JSON.stringify(labels);
+    if (!values.has(key)) {
+        values.set(key, { buckets: METRIC_DEFINITIONS[name].buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    const entry = values.get(key);
+    METRIC_DEFINITIONS[name].buckets.forEach((bound, index) => {
+        if (value <= bound) entry.buckets[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
 }
 
+serviceEvents.on('access', record => {
+    incrementMetric('scud_controller_events_total', { device: record.deviceId, type: record.type });
+});
+
+// Создаем директории для логов и конфигурации если не существуют
+[CONFIG.LOG_DIR, path.dirname(CONFIG.USERS_FILE)].forEach(dir => {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+});
+
+// Хеш-функции алгоритмов Digest; варианты -sess используют ту же функцию
+const DIGEST_ALGORITHMS = {
+    'MD5': 'md5',
+    'SHA-256': 'sha256'
+};
+
+// Параметры авторизации на устройствах: последний вызов (nonce) и счетчик запросов.
+// Ключ - схема, адрес, порт и логин; следующий запрос сразу отправляется с заголовком Authorization
+const authSessions = new Map();
+
 class DigestAuth {
     constructor(username, password) {
         this.username = username;
         this.password = password;
-        this.nonceCount = 0;
+        this.session = { challenge: null, nonceCount: 0 };
     }
 
     parseAuthHeader(header) {
@@ -44,41 +234,103 @@ class DigestAuth {
         return params;
     }
 
-    generateResponse(params, method, uri) {
-        const ha1 = crypto.createHash('md5')
-            .update(`${this.username}:${params.realm}:${this.password}`)
-            .digest('hex');
+    // Выбор способа авторизации из заголовков WWW-Authenticate (устройство может предложить несколько):
+    // Digest SHA-256, затем Digest MD5, Basic - только если Digest не предложен
+    selectChallenge(headers) {
+        const rank = (challenge) => {
+            if (challenge.scheme === 'basic') return 1;
+            if (challenge.scheme !== 'digest') return 0;
+            const algorithm = (challenge.params.algorithm || 'MD5').toUpperCase().replace(/-SESS$/, '');
+            if (!DIGEST_ALGORITHMS[algorithm]) return 0;
+            return algorithm === 'SHA-256' ? 3 : 2;
+        };
+
+        const challenge = headers
+            .map(header => {
+                const match = header.match(/^\s*(\w+)\s*(.*)$/);
+                return match && { scheme: match[1].toLowerCase(), params: this.parseAuthHeader(match[2]) };
+            })
+            .filter(item => item && rank(item) > 0)
+            .sort((a, b) => rank(b) - rank(a))[0];
+
+        if (!challenge) return false;
+        this.session.challenge = challenge;
+        this.session.nonceCount = 0;
+        return true;
+    }
 
-        const ha2 = crypto.createHash('md5')
-            .update(`${method}:${uri}`)
-            .digest('hex');
+    // Заголовок Authorization по последнему вызову устройства
+    authorize(method, uri, password) {
+        const { challenge } = this.session;
+        if (challenge.scheme === 'basic') {
+            return `Basic ${Buffer.from(`${this.username}:${password}`).toString('base64')}`;
+        }
+        return this.generateResponse(challenge.params, method, uri, password);
+    }
 
-        this.nonceCount++;
-        const nc = this.nonceCount.toString().padStart(8, '0');
+    // password - расшифрованный пароль; в объекте хранится только зашифрованное значение
+    generateResponse(params, method, uri, password) {
+        const algorithm = (params.algorithm || 'MD5').toUpperCase();
+        const hashName = DIGEST_ALGORITHMS[algorithm.replace(/-SESS$/, '')];
+        const hash = (value) => crypto.createHash(hashName).update(value).digest('hex');
         const cnonce = crypto.randomBytes(8).toString('hex');
 
-        const response = crypto.createHash('md5')
-            .update(`${ha1}:${params.nonce}:${nc}:${cnonce}:auth:${ha2}`)
-            .digest('hex');
+        let ha1 = hash(`${this.username}:${params.realm}:${password}`);
+        if (algorithm.endsWith('-SESS')) {
+            ha1 = hash(`${ha1}:${params.nonce}:${cnonce}`);
+        }
+        const ha2 = hash(`${method}:${uri}`);
+
+        // Без qop - схема RFC 2069 (старые прошивки)
+        const qop = (params.qop || '').split(',').map(value => value.trim()).includes('auth') ? 'auth' : null;
+
+        this.session.nonceCount++;
+        const nc = this.session.nonceCount.toString(16).padStart(8, '0');
+
+        const response = qop
+            ? hash(`${ha1}:${params.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+            : hash(`${ha1}:${params.nonce}:${ha2}`);
 
         const header = [
             `Digest username="${this.username}"`,
             `realm="${params.realm}"`,
             `nonce="${params.nonce}"`,
-            `uri="${uri}"`,
-            `qop=auth`,
-            `nc=${nc}`,
-            `cnonce="${cnonce}"`,
-            `response="${response}"`
-        ].join(', ');
+            `uri="${uri}"`
+        ];
+        if (params.algorithm) header.push(`algorithm=${params.algorithm}`);
+        if (qop) header.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+        header.push(`response="${response}"`);
+        if (params.opaque) header.push(`opaque="${params.opaque}"`);
+
+        return header.join(', ');
+    }
+}
+
+// Причины ошибок ISAPI
+const ISAPI_ERROR_TEXT = {
+    auth: 'Ошибка авторизации',
+    unreachable: 'Устройство недоступно',
+    tls: 'Ошибка TLS',
+    rejected: 'Устройство отклонило запрос'
+};
 
-        return header;
+// Ошибка запроса к устройству. type: auth | unreachable | tls | rejected;
+// details - httpStatus, subStatusCode, fingerprint (отпечаток сертификата при ошибке TLS)
+class IsapiError extends Error {
+    constructor(type, message, details = {}) {
+        super(`${ISAPI_ERROR_TEXT[type]}: ${message}`);
+        this.name = 'IsapiError';
+        this.type = type;
+        Object.assign(this, details);
     }
 }
 
-async function setDoorState(ip, login, password, state, doorNo = 1) {
+// options.audit - кто и откуда выполняет действие: { user, clientIp, source, deviceId, deviceName, doorName }
+async function setDoorState(ip, login, password, state, doorNo = 1, options = {}) {
     let errorCount = 0;
     const messages = [];
+    const steps = [];
+    const startedAt = Date.now();
     const digestAuth = new DigestAuth(login, password);
 
     console.log(`🚪 Starting door control for ${ip}`);
@@ -86,8 +338,11 @@ async function setDoorState(ip, login, password, state, doorNo = 1) {
     console.log(`🎯 Target state: ${getStateText(state)} (${state})`);
 
     try {
-        const doorParamResult = await sendDoorConfigRequest(ip, digestAuth, state, doorNo);
-        if (doorParamResult.success) {
+        const doorParamResult = await sendDoorConfigRequest(ip, digestAuth, state, doorNo, options);
+        steps.push(describeStep('doorParam', doorParamResult));
+        if (doorParamResult.skipped) {
+            console.log('⏭️ Relay configuration not needed');
+        } else if (doorParamResult.success) {
             messages.push('реле установлено');
             console.log('✅ Relay configured successfully');
         } else {
@@ -96,7 +351,8 @@ async function setDoorState(ip, login, password, state, doorNo = 1) {
             console.log('❌ Relay configuration failed');
         }
 
-        const doorControlResult = await sendDoorControlRequest(ip, digestAuth, state, doorNo);
+        const doorControlResult = await sendDoorControlRequest(ip, digestAuth, state, doorNo, options);
+        steps.push(describeStep('control', doorControlResult));
         if (doorControlResult.success) {
             messages.push('статус установлен');
             console.log('✅ Door status set successfully');
@@ -104,6 +360,20 @@ async function setDoorState(ip, login, password, state, doorNo = 1) {
             errorCount++;
             messages.push('error при установке статуса');
             console.log('❌ Door status setting failed');
+
+            // Не оставляем дверь с новыми параметрами, но в старом режиме
+            if (doorParamResult.changed) {
+                const restoreResult = await restoreDoorConfig(ip, digestAuth, doorNo, doorParamResult.original, options);
+                steps.push(describeStep('restore', restoreResult));
+                if (restoreResult.success) {
+                    messages.push('параметры двери восстановлены');
+                    console.log('↩️ Door parameters restored');
+                } else {
+                    errorCount++;
+                    messages.push('error при восстановлении параметров двери');
+                    console.log('❌ Door parameters restore failed');
+                }
+            }
         }
 
         const finalMessage = messages.join(' | ');
@@ -114,7 +384,12 @@ async function setDoorState(ip, login, password, state, doorNo = 1) {
             console.log(`⚠️ Completed with ${errorCount} error(s)`);
         }
 
-        logToFile(finalMessage, ip, state, doorNo);
+        logToFile(finalMessage, ip, state, doorNo, {
+            ...options.audit,
+            outcome: errorCount === 0 ? 'success' : 'error',
+            steps,
+            durationMs: Date.now() - startedAt
+        });
 
         return {
             success: errorCount === 0,
@@ -125,47 +400,111 @@ async function setDoorState(ip, login, password, state, doorNo = 1) {
     } catch (error) {
         console.error('💥 Critical error:', error);
         const errorMessage = `Critical error: ${error.message}`;
-        logToFile(errorMessage, ip, state, doorNo);
+        logToFile(errorMessage, ip, state, doorNo, {
+            ...options.audit,
+            outcome: 'error',
+            steps,
+            durationMs: Date.now() - startedAt
+        });
         throw error;
     }
 }
 
-async function sendDoorConfigRequest(ip, digestAuth, state, doorNo = 1) {
-    let magneticType = 'none';
-    if (state === 1 || state === 3) {
-        magneticType = 'alwaysClose';
-    } else if (state === 2) {
-        magneticType = 'alwaysOpen';
-    }
+// Краткий итог шага ISAPI для журнала аудита (без тела ответа и исходной конфигурации)
+function describeStep(step, result) {
+    const entry = { step, success: Boolean(result.success) };
+    if (result.skipped) entry.skipped = true;
+    if (result.statusCode !== undefined) entry.statusCode = result.statusCode;
+    if (result.subStatusCode) entry.subStatusCode = result.subStatusCode;
+    if (result.error) entry.error = result.error;
+    if (result.errorType) entry.errorType = result.errorType;
+    return entry;
+}
 
-    const xmlData = `<DoorParam xmlns="http://www.isapi.org/ver20/XMLSchema" version="2.0">
-<doorNo>${doorNo}</doorNo>
-<enable>false</enable>
-<doorName>Door${doorNo}</doorName>
-<openDuration>4</openDuration>
-<magneticType>${magneticType}</magneticType>
-</DoorParam>`;
+// magneticType, который сервис выставляет для состояния двери (null - не менять)
+function getMagneticTypeForState(state) {
+    if (state === 1 || state === 3 || state === 5) return 'alwaysClose';
+    if (state === 2) return 'alwaysOpen';
+    return null;
+}
 
+// Читает текущие DoorParam и меняет только magneticType и переопределения из devices.json
+// (options.doorParam), сохраняя остальные настройки, сделанные на контроллере.
+// Возвращает исходный XML, чтобы его можно было вернуть при ошибке следующего шага
+async function sendDoorConfigRequest(ip, digestAuth, state, doorNo = 1, options = {}) {
     const path = `/ISAPI/AccessControl/Door/param/${doorNo}`;
 
+    let original;
+    let doorParam;
     try {
-        const response = await makeDigestRequest(ip, path, 'PUT', xmlData, digestAuth);
-        const parsedXml = await xml2js.parseStringPromise(response, { explicitArray: false });
-
-        if (parsedXml && parsedXml.ResponseStatus && parsedXml.ResponseStatus.statusCode) {
-            const statusCode = parseInt(parsedXml.ResponseStatus.statusCode, 10);
-            return { success: statusCode === 1, raw: response };
+        original = await makeDigestRequest(ip, path, 'GET', null, digestAuth, options);
+        const parsedXml = await xml2js.parseStringPromise(original, { explicitArray: false });
+        doorParam = parsedXml && parsedXml.DoorParam;
+        if (!doorParam || typeof doorParam !== 'object') {
+            throw new Error('Response does not contain DoorParam');
         }
+    } catch (error) {
+        console.error('Door config read failed:', error.message);
+        return { success: false, error: error.message, errorType: error.type || null, subStatusCode: error.subStatusCode };
+    }
 
-        return { success: true, raw: response };
+    const changes = { ...(options.doorParam || {}) };
+    const magneticType = getMagneticTypeForState(state);
+    if (magneticType) changes.magneticType = magneticType;
 
+    const changedFields = Object.keys(changes).filter(field => String(doorParam[field]) !== String(changes[field]));
+    if (changedFields.length === 0) {
+        return { success: true, skipped: true, original };
+    }
+
+    changedFields.forEach(field => {
+        doorParam[field] = String(changes[field]);
+    });
+    console.log(`🔧 Changing DoorParam fields: ${changedFields.join(', ')}`);
+
+    const builder = new xml2js.Builder({ rootName: 'DoorParam', headless: true, renderOpts: { pretty: false } });
+    const xmlData = builder.buildObject(doorParam);
+
+    try {
+        const response = await makeDigestRequest(ip, path, 'PUT', xmlData, digestAuth, options);
+        return { ...(await parseResponseStatus(response)), changed: true, original };
     } catch (error) {
         console.error('Door config request failed:', error.message);
-        return { success: false, error: error.message };
+        return { success: false, error: error.message, errorType: error.type || null, subStatusCode: error.subStatusCode };
+    }
+}
+
+// Возврат DoorParam к значениям, прочитанным до изменения
+async function restoreDoorConfig(ip, digestAuth, doorNo, originalXml, options = {}) {
+    const path = `/ISAPI/AccessControl/Door/param/${doorNo}`;
+
+    try {
+        const response = await makeDigestRequest(ip, path, 'PUT', originalXml, digestAuth, options);
+        return parseResponseStatus(response);
+    } catch (error) {
+        console.error('Door config restore failed:', error.message);
+        return { success: false, error: error.message, errorType: error.type || null, subStatusCode: error.subStatusCode };
+    }
+}
+
+// Разбор ResponseStatus ISAPI: statusCode 1 - успех
+async function parseResponseStatus(response) {
+    const parsedXml = await xml2js.parseStringPromise(response, { explicitArray: false });
+
+    if (parsedXml && parsedXml.ResponseStatus && parsedXml.ResponseStatus.statusCode) {
+        const statusCode = parseInt(parsedXml.ResponseStatus.statusCode, 10);
+        return {
+            success: statusCode === 1,
+            statusCode,
+            subStatusCode: parsedXml.ResponseStatus.subStatusCode || null,
+            raw: response
+        };
     }
+
+    return { success: true, raw: response };
 }
 
-async function sendDoorControlRequest(ip, digestAuth, state, doorNo = 1) {
+async function sendDoorControlRequest(ip, digestAuth, state, doorNo = 1, options = {}) {
     if (state === 2) {
         return { success: true, skipped: true };
     }
@@ -173,141 +512,506 @@ async function sendDoorControlRequest(ip, digestAuth, state, doorNo = 1) {
     let command = 'resume';
     if (state === 1) command = 'alwaysOpen';
     else if (state === 3) command = 'resume';
+    else if (state === 4) command = 'open';
+    else if (state === 5) command = 'alwaysClose';
 
     const xmlData = `<RemoteControlDoor><cmd>${command}</cmd></RemoteControlDoor>`;
     const path = `/ISAPI/AccessControl/RemoteControl/door/${doorNo}`;
 
     try {
-        const response = await makeDigestRequest(ip, path, 'PUT', xmlData, digestAuth);
+        const response = await makeDigestRequest(ip, path, 'PUT', xmlData, digestAuth, options);
+        return parseResponseStatus(response);
+    } catch (error) {
+        console.error('Door control request failed:', error.message);
+        return { success: false, error: error.message, errorType: error.type || null, subStatusCode: error.subStatusCode };
+    }
+}
+
+// Проверка связи с контроллером: авторизованный запрос deviceInfo
+async function testDeviceConnection(ip, login, password, options = {}) {
+    const digestAuth = new DigestAuth(login, password);
+    const startedAt = Date.now();
+
+    try {
+        const response = await makeDigestRequest(ip, '/ISAPI/System/deviceInfo', 'GET', null, digestAuth, options);
+        const parsedXml = await xml2js.parseStringPromise(response, { explicitArray: false });
+        const info = (parsedXml && parsedXml.DeviceInfo) || {};
+
+        return {
+            success: true,
+            latency: Date.now() - startedAt,
+            deviceInfo: {
+                deviceName: info.deviceName,
+                model: info.model,
+                serialNumber: info.serialNumber,
+                firmwareVersion: info.firmwareVersion
+            }
+        };
+    } catch (error) {
+        console.error('Device connection test failed:', error.message);
+        return {
+            success: false,
+            latency: Date.now() - startedAt,
+            message: error.message,
+            errorType: error.type || null,
+            fingerprint: error.fingerprint || null
+        };
+    }
+}
+
+// Коды AcsWorkStatus: режим двери, состояние замка и магнитного контакта
+const DOOR_MODES = {
+    1: null,   // sleep - режим не определен
+    2: 1,      // remainOpen -> OPEN
+    3: 5,      // remainClosed -> LOCKED
+    4: 3       // normal -> RESUME
+};
+const LOCK_STATUSES = ['locked', 'unlocked', 'shortCircuit', 'brokenCircuit', 'exception'];
+const MAGNETIC_STATUSES = ['closed', 'open', 'shortCircuit', 'brokenCircuit', 'exception'];
+
+// Значение из списка статусов AcsWorkStatus для двери (в JSON - массив, в XML - список элементов)
+function pickDoorValue(list, doorNo) {
+    if (list === undefined || list === null) return null;
+    const values = Array.isArray(list) ? list : [list];
+    const value = values[doorNo - 1];
+    return value === undefined || value === '' ? null : parseInt(value, 10);
+}
+
+// Разбор AcsWorkStatus в состояния указанных дверей: { [doorNo]: { actualStatus, lockStatus, magneticStatus } }
+async function parseAcsWorkStatus(response, doorNos) {
+    let status;
+    try {
+        status = JSON.parse(response).AcsWorkStatus;
+    } catch (error) {
+        // Старые прошивки игнорируют format=json и отвечают XML
         const parsedXml = await xml2js.parseStringPromise(response, { explicitArray: false });
+        const xmlStatus = parsedXml && parsedXml.AcsWorkStatus;
+        status = xmlStatus && {
+            doorLockStatus: xmlStatus.doorLockStatusList && xmlStatus.doorLockStatusList.doorLockStatus,
+            doorStatus: xmlStatus.doorStatusList && xmlStatus.doorStatusList.doorStatus,
+            magneticStatus: xmlStatus.magneticStatusList && xmlStatus.magneticStatusList.magneticStatus
+        };
+    }
+
+    if (!status) {
+        throw new Error('Response does not contain AcsWorkStatus');
+    }
+
+    const doors = {};
+    doorNos.forEach(doorNo => {
+        const doorStatus = pickDoorValue(status.doorStatus, doorNo);
+        const lockStatus = pickDoorValue(status.doorLockStatus, doorNo);
+        const magneticStatus = pickDoorValue(status.magneticStatus, doorNo);
+
+        doors[doorNo] = {
+            actualStatus: doorStatus === null ? null : (DOOR_MODES[doorStatus] || null),
+            lockStatus: lockStatus === null ? null : (LOCK_STATUSES[lockStatus] || 'unknown'),
+            magneticStatus: magneticStatus === null ? null : (MAGNETIC_STATUSES[magneticStatus] || 'unknown')
+        };
+    });
+    return doors;
+}
+
+// Запрос фактического состояния дверей контроллера (один запрос на все двери)
+async function fetchDoorStatuses(ip, login, password, doorNos = [1], options = {}) {
+    const digestAuth = new DigestAuth(login, password);
+    const response = await makeDigestRequest(
+        ip,
+        '/ISAPI/AccessControl/AcsWorkStatus?format=json',
+        'GET',
+        null,
+        digestAuth,
+        // Повторы не нужны: следующий опрос и так скоро
+        { timeout: CONFIG.STATUS_POLL_TIMEOUT, retries: 0, ...options }
+    );
+    return parseAcsWorkStatus(response, doorNos);
+}
+
+// Параметры подключения к устройству для запросов ISAPI
+function getDeviceConnection(device) {
+    return {
+        deviceId: device.id || null,
+        scheme: device.scheme || 'http',
+        port: device.port,
+        certFingerprint: device.certFingerprint || null
+    };
+}
 
-        if (parsedXml && parsedXml.ResponseStatus && parsedXml.ResponseStatus.statusCode) {
-            const statusCode = parseInt(parsedXml.ResponseStatus.statusCode, 10);
-            return { success: statusCode === 1, raw: response };
+// Отпечаток сертификата в виде AB:CD:...; null, если значение не похоже на SHA-256
+function normalizeFingerprint(value) {
+    const hex = String(value || '').replace(/[^0-9a-f]/gi, '').toUpperCase();
+    return hex.length === 64 ? hex.match(/../g).join(':') : null;
+}
+
+// Запрос к ISAPI с авторизацией Digest (MD5, MD5-sess, SHA-256, SHA-256-sess) или Basic.
+// options: { scheme, port, certFingerprint, timeout, retries }.
+// При сетевых ошибках запрос повторяется с нарастающей задержкой: GET - всегда, остальные - только если
+// соединение не установилось (команда могла дойти до контроллера, повтор открыл бы дверь второй раз).
+// Ошибки - IsapiError
+async function makeDigestRequest(ip, path, method, data, digestAuth, options = {}) {
+    const retries = options.retries !== undefined ? options.retries : CONFIG.ISAPI_RETRIES;
+
+    for (let attempt = 0; ; attempt++) {
+        const startedAt = process.hrtime.bigint();
+        try {
+            const response = await sendAuthorizedRequest(ip, path, method, data, digestAuth, options);
+            observeIsapiRequest(options.deviceId, startedAt);
+            return response;
+        } catch (error) {
+            observeIsapiRequest(options.deviceId, startedAt, error);
+            if (error.type !== 'unreachable' || (error.sent && method !== 'GET') || attempt >= retries) throw error;
+            const delay = CONFIG.ISAPI_RETRY_DELAY * 2 ** attempt;
+            console.log(`🔁 Retry ${attempt + 1}/${retries} in ${delay} ms: ${error.message}`);
+            await new Promise(resolve => setTimeout(resolve, delay));
         }
+    }
+}
+
+// Метрики запроса к сохраненному устройству; проверки несохраненных устройств и CLI не учитываются
+function observeIsapiRequest(deviceId, startedAt, error = null) {
+    if (!deviceId) return;
+    observeMetric('scud_isapi_request_duration_seconds', { device: deviceId },
+        Number(process.hrtime.bigint() - startedAt) / 1e9);
+    if (error) incrementMetric('scud_isapi_errors_total', { device: deviceId, type: error.type || 'unknown' });
+}
 
-        return { success: true, raw: response };
+async function sendAuthorizedRequest(ip, path, method, data, digestAuth, options) {
+    const scheme = options.scheme === 'https' ? 'https' : 'http';
+    const target = {
+        scheme,
+        ip,
+        port: options.port || (scheme === 'https' ? 443 : 80),
+        timeout: options.timeout || CONFIG.ISAPI_TIMEOUT,
+        certFingerprint: normalizeFingerprint(options.certFingerprint),
+        contentType: options.contentType || 'text/xml'
+    };
 
+    let password;
+    try {
+        password = decryptSecret(digestAuth.password);
     } catch (error) {
-        console.error('Door control request failed:', error.message);
-        return { success: false, error: error.message };
+        throw new IsapiError('auth', error.message);
+    }
+
+    // Вызов, полученный при прошлом обращении к устройству, используется повторно
+    const sessionKey = `${scheme}://${ip}:${target.port}/${digestAuth.username}`;
+    if (!authSessions.has(sessionKey)) authSessions.set(sessionKey, digestAuth.session);
+    digestAuth.session = authSessions.get(sessionKey);
+
+    let response = await sendIsapiRequest(target, path, method, data,
+        digestAuth.session.challenge ? digestAuth.authorize(method, path, password) : null);
+
+    // Нет сохраненного вызова или nonce устарел - авторизуемся по новому вызову
+    if (response.statusCode === 401) {
+        if (!digestAuth.selectChallenge(response.challenges)) {
+            throw new IsapiError('auth', 'unsupported authentication scheme', { httpStatus: 401 });
+        }
+        response = await sendIsapiRequest(target, path, method, data, digestAuth.authorize(method, path, password));
+        if (response.statusCode === 401) {
+            digestAuth.session.challenge = null;
+            throw new IsapiError('auth', 'invalid login or password', { httpStatus: 401 });
+        }
     }
+
+    if (response.statusCode >= 200 && response.statusCode < 300) {
+        return response.body;
+    }
+
+    // Ответ с ошибкой обычно содержит ResponseStatus (XML или JSON) с subStatusCode
+    const subStatus = response.body.match(/subStatusCode"?\s*[>:]\s*"?([\w.-]+)/);
+    const subStatusCode = subStatus ? subStatus[1] : null;
+    throw new IsapiError('rejected', `HTTP ${response.statusCode}${subStatusCode ? ` (${subStatusCode})` : ''}`, {
+        httpStatus: response.statusCode,
+        subStatusCode
+    });
 }
 
-function makeDigestRequest(ip, path, method, data, digestAuth) {
+// Один HTTP(S)-запрос без повторов: { statusCode, body, challenges }.
+// У сетевой ошибки sent = true, если соединение уже было установлено и запрос мог дойти до устройства
+function sendIsapiRequest(target, path, method, data, authorization) {
     return new Promise((resolve, reject) => {
-        console.log(`🌐 Sending ${method} request to: http://${ip}${path}`);
+        let connected = false;
+        console.log(`🌐 Sending ${method} request to: ${target.scheme}://${target.ip}:${target.port}${path}`);
 
-        const firstOptions = {
-            hostname: ip,
-            port: 80,
+        const requestOptions = {
+            hostname: target.ip,
+            port: target.port,
             path: path,
             method: method,
-            timeout: 10000,
+            timeout: target.timeout,
             headers: {
-                'Content-Type': 'text/xml',
+                'Content-Type': target.contentType,
                 'Connection': 'close'
             }
         };
-
+        if (authorization) {
+            requestOptions.headers['Authorization'] = authorization;
+        }
         if (data) {
-            firstOptions.headers['Content-Length'] = Buffer.byteLength(data);
-        }
-
-        const firstReq = http.request(firstOptions, (firstRes) => {
-            let responseData = '';
-            firstRes.on('data', chunk => responseData += chunk);
-            firstRes.on('end', async () => {
-                if (firstRes.statusCode === 401 && firstRes.headers['www-authenticate']) {
-                    const authHeaderRaw = firstRes.headers['www-authenticate'];
-                    const authParams = digestAuth.parseAuthHeader(authHeaderRaw);
-
-                    const authHeader = digestAuth.generateResponse(authParams, method, path);
-
-                    const secondOptions = {
-                        hostname: ip,
-                        port: 80,
-                        path: path,
-                        method: method,
-                        timeout: 10000,
-                        headers: {
-                            'Authorization': authHeader,
-                            'Content-Type': 'text/xml',
-                            'Connection': 'close'
-                        }
-                    };
-                    if (data) {
-                        secondOptions.headers['Content-Length'] = Buffer.byteLength(data);
-                    }
-
-                    const secondReq = http.request(secondOptions, (secondRes) => {
-                        let body = '';
-                        console.log(`📡 Response status: ${secondRes.statusCode}`);
-                        secondRes.on('data', chunk => body += chunk);
-                        secondRes.on('end', () => {
-                            if (secondRes.statusCode >= 200 && secondRes.statusCode < 300) {
-                                resolve(body);
-                            } else {
-                                reject(new Error(`HTTP ${secondRes.statusCode}: ${body}`));
-                            }
-                        });
-                    });
-
-                    secondReq.on('error', reject);
-                    secondReq.on('timeout', () => {
-                        secondReq.destroy();
-                        reject(new Error('Request timeout'));
-                    });
-
-                    if (data) secondReq.write(data);
-                    secondReq.end();
+            requestOptions.headers['Content-Length'] = Buffer.byteLength(data);
+        }
+        if (target.scheme === 'https') {
+            requestOptions.createConnection = (connectOptions, callback) => {
+                connectTls(target, (error, socket) => {
+                    connected = !error;
+                    callback(error, socket);
+                });
+            };
+        }
 
-                } else {
-                    if (firstRes.statusCode >= 200 && firstRes.statusCode < 300) {
-                        resolve(responseData);
-                    } else {
-                        reject(new Error(`HTTP ${firstRes.statusCode}: ${responseData}`));
-                    }
+        const req = http.request(requestOptions, (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => {
+                console.log(`📡 Response status: ${res.statusCode}`);
+                const challenges = [];
+                for (let i = 0; i < res.rawHeaders.length; i += 2) {
+                    if (res.rawHeaders[i].toLowerCase() === 'www-authenticate') challenges.push(res.rawHeaders[i + 1]);
                 }
+                resolve({ statusCode: res.statusCode, body, challenges });
             });
         });
 
-        firstReq.on('error', reject);
-        firstReq.on('timeout', () => {
-            firstReq.destroy();
-            reject(new Error('Request timeout'));
+        if (target.scheme !== 'https') {
+            req.on('socket', (socket) => {
+                if (socket.connecting) socket.once('connect', () => { connected = true; });
+                else connected = true;
+            });
+        }
+
+        req.on('error', (error) => {
+            const isapiError = error instanceof IsapiError ? error : new IsapiError('unreachable', error.message, { code: error.code });
+            if (isapiError.type === 'unreachable') isapiError.sent = connected;
+            reject(isapiError);
+        });
+        req.on('timeout', () => {
+            req.destroy(new IsapiError('unreachable', connected ? 'request timeout' : 'connect timeout'));
         });
 
-        if (data) firstReq.write(data);
-        firstReq.end();
+        if (data) req.write(data);
+        req.end();
+    });
+}
+
+// TLS-соединение с устройством. С отпечатком (SHA-256) принимается только этот сертификат,
+// в том числе самоподписанный; без отпечатка сертификат проверяется по доверенным центрам.
+// Запрос отправляется только после проверки
+function connectTls(target, callback) {
+    const socket = tls.connect({
+        host: target.ip,
+        port: target.port,
+        servername: net.isIP(target.ip) ? undefined : target.ip,
+        rejectUnauthorized: false
+    });
+
+    const onError = (error) => {
+        callback(error instanceof IsapiError ? error : new IsapiError('unreachable', error.message, { code: error.code }));
+    };
+    const onTimeout = () => socket.destroy(new IsapiError('unreachable', 'TLS handshake timeout'));
+
+    socket.setTimeout(target.timeout);
+    socket.once('timeout', onTimeout);
+    socket.once('error', onError);
+    socket.once('secureConnect', () => {
+        socket.setTimeout(0);
+        socket.removeListener('timeout', onTimeout);
+        socket.removeListener('error', onError);
+
+        const certificate = socket.getPeerCertificate();
+        const fingerprint = (certificate && certificate.fingerprint256) || null;
+        let problem = null;
+        if (target.certFingerprint) {
+            if (normalizeFingerprint(fingerprint) !== target.certFingerprint) {
+                problem = 'certificate fingerprint does not match';
+            }
+        } else if (!socket.authorized) {
+            problem = `untrusted certificate (${socket.authorizationError})`;
+        }
+
+        if (problem) {
+            socket.destroy();
+            callback(new IsapiError('tls', problem, { fingerprint }));
+            return;
+        }
+        callback(null, socket);
     });
 }
 
-function logToFile(message, ip, state, doorNo = 1) {
-    const timestamp = new Date().toISOString();
-    const stateText = getStateText(state);
-    const logEntry = `[${timestamp}] IP: ${ip}, Door: ${doorNo}, State: ${stateText} (${state}), Message: ${message}\n`;
+// Запись журнала аудита (JSON Lines). details: { user, clientIp, source, deviceId, deviceName, doorName,
+// outcome: 'success' | 'error' | 'denied', steps, durationMs }
+function logToFile(message, ip, state, doorNo = 1, details = {}) {
+    const record = {
+        timestamp: new Date().toISOString(),
+        user: details.user || null,
+        clientIp: details.clientIp || null,
+        source: details.source || null,
+        deviceId: details.deviceId || null,
+        deviceName: details.deviceName || null,
+        ip: ip || null,
+        doorNo,
+        doorName: details.doorName || null,
+        state,
+        stateText: getStateText(state),
+        outcome: details.outcome || 'success',
+        message,
+        steps: details.steps || [],
+        durationMs: details.durationMs === undefined ? null : details.durationMs
+    };
+
+    const labels = { outcome: record.outcome, state: getStateAction(state) || String(state), source: record.source || 'unknown' };
+    incrementMetric('scud_control_requests_total', labels);
+    if (record.outcome === 'denied') incrementMetric('scud_access_denied_total', { source: labels.source });
 
-    const logFileName = `door_control_${new Date().toISOString().split('T')[0]}.log`;
-    const logPath = path.join(CONFIG.LOG_DIR, logFileName);
+    const logPath = getAuditFilePath(record.timestamp.split('T')[0]);
 
     try {
-        fs.appendFileSync(logPath, logEntry, 'utf8');
+        fs.appendFileSync(logPath, JSON.stringify(record) + '\n', 'utf8');
         console.log(`✅ Log written to: ${logPath}`);
     } catch (error) {
         console.error('❌ Error writing to log file:', error);
     }
 }
 
+const AUDIT_FILE_PATTERN = /^audit_(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+
+// Текущий файл журнала за день: audit_YYYY-MM-DD.jsonl, при превышении размера - audit_YYYY-MM-DD.1.jsonl и т.д.
+function getAuditFilePath(day) {
+    for (let part = 0; ; part++) {
+        const fileName = part === 0 ? `audit_${day}.jsonl` : `audit_${day}.${part}.jsonl`;
+        const filePath = path.join(CONFIG.LOG_DIR, fileName);
+        if (!fs.existsSync(filePath) || fs.statSync(filePath).size < CONFIG.AUDIT_MAX_FILE_SIZE) {
+            return filePath;
+        }
+    }
+}
+
+// Файлы журнала за дни с fromDay по toDay (YYYY-MM-DD) включительно
+function listAuditFiles(fromDay = null, toDay = null) {
+    return fs.readdirSync(CONFIG.LOG_DIR)
+        .map(fileName => ({ fileName, match: fileName.match(AUDIT_FILE_PATTERN) }))
+        .filter(({ match }) => match && (!fromDay || match[1] >= fromDay) && (!toDay || match[1] <= toDay))
+        .map(({ fileName }) => path.join(CONFIG.LOG_DIR, fileName));
+}
+
+// Записи аудита по фильтрам { from, to (Date), user, device (id или IP), outcome, limit }, новые сначала
+function queryAuditLog(filters = {}) {
+    const fromDay = filters.from ? filters.from.toISOString().split('T')[0] : null;
+    const toDay = filters.to ? filters.to.toISOString().split('T')[0] : null;
+    const records = [];
+
+    listAuditFiles(fromDay, toDay).forEach(filePath => {
+        fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+            if (!line.trim()) return;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                return;
+            }
+
+            const time = new Date(record.timestamp);
+            if (filters.from && time < filters.from) return;
+            if (filters.to && time > filters.to) return;
+            if (filters.user && record.user !== filters.user) return;
+            if (filters.device && record.deviceId !== filters.device && record.ip !== filters.device) return;
+            if (filters.outcome && record.outcome !== filters.outcome) return;
+            records.push(record);
+        });
+    });
+
+    records.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    const limit = Math.min(filters.limit || CONFIG.AUDIT_QUERY_LIMIT, CONFIG.AUDIT_QUERY_LIMIT);
+    return { total: records.length, records: records.slice(0, limit) };
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function auditRecordsToCsv(records) {
+    const columns = ['timestamp', 'user', 'clientIp', 'source', 'deviceId', 'deviceName', 'ip', 'doorNo',
+        'doorName', 'state', 'stateText', 'outcome', 'durationMs', 'message', 'steps'];
+    const lines = records.map(record => columns.map(column => {
+        if (column === 'steps') {
+            return csvValue((record.steps || []).map(step =>
+                `${step.step}:${step.skipped ? 'skipped' : (step.success ? 'ok' : 'error')}` +
+                (step.statusCode !== undefined ? `(${step.statusCode})` : '')).join(' '));
+        }
+        return csvValue(record[column]);
+    }).join(','));
+    // BOM, чтобы Excel правильно открыл кириллицу
+    return '\uFEFF' + [columns.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+// Удаляет файлы журнала старше AUDIT_RETENTION_DAYS (0 - хранить бессрочно), включая старые текстовые логи
+function cleanupAuditLogs(now = new Date()) {
+    if (!CONFIG.AUDIT_RETENTION_DAYS) return 0;
+
+    const cutoff = new Date(now.getTime() - CONFIG.AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+        .toISOString().split('T')[0];
+    let removed = 0;
+
+    fs.readdirSync(CONFIG.LOG_DIR).forEach(fileName => {
+        const match = fileName.match(AUDIT_FILE_PATTERN) || fileName.match(/^door_control_(\d{4}-\d{2}-\d{2})\.log$/);
+        if (!match || match[1] >= cutoff) return;
+        try {
+            fs.unlinkSync(path.join(CONFIG.LOG_DIR, fileName));
+            removed++;
+        } catch (error) {
+            console.error(`❌ Error removing old log ${fileName}:`, error);
+        }
+    });
+
+    if (removed > 0) console.log(`🧹 Removed ${removed} audit log file(s) older than ${CONFIG.AUDIT_RETENTION_DAYS} days`);
+    return removed;
+}
+
+let logCleanupTimer = null;
+
+// Ежесуточная очистка журнала аудита и событий контроллеров
+function startLogRetention() {
+    if (logCleanupTimer) return;
+    const cleanup = () => {
+        cleanupAuditLogs();
+        cleanupEventLogs();
+    };
+    cleanup();
+    logCleanupTimer = setInterval(cleanup, 24 * 60 * 60 * 1000);
+}
+
 function getStateText(state) {
     const states = {
         1: 'OPEN',
         2: 'CLOSE',
-        3: 'RESUME'
+        3: 'RESUME',
+        4: 'PULSE',
+        5: 'LOCKED'
     };
     return states[state] || 'UNKNOWN';
 }
 
+// Действия, которые можно разрешать пользователям, и соответствующие им состояния двери
+const ACTIONS = {
+    open: { state: 1, title: 'Открыть' },
+    close: { state: 2, title: 'Заблокировать' },
+    resume: { state: 3, title: 'Стандарт' },
+    pulse: { state: 4, title: 'Открыть однократно' },
+    lock: { state: 5, title: 'Закрыть постоянно' }
+};
+
+// Однократное открытие: дверь сама закрывается по истечении времени открытия,
+// поэтому установленный режим двери после него не меняется
+function isMomentaryState(state) {
+    return state === 4;
+}
+
+function getStateAction(state) {
+    return Object.keys(ACTIONS).find(action => ACTIONS[action].state === state) || null;
+}
+
 function parseCommandLineArgs() {
     const args = process.argv.slice(2);
     const params = {};
@@ -333,151 +1037,5002 @@ function validateParams(params) {
 
     if (!params.ip) errors.push('Missing --ip parameter');
     if (!params.login) errors.push('Missing --login parameter');
-    if (!params.password) errors.push('Missing --password parameter');
     if (!params.state) errors.push('Missing --state parameter');
+    if (params.password !== undefined) {
+        errors.push('--password is not accepted: set SCUD_DEVICE_PASSWORD or enter the password at the prompt');
+    }
+
+    if (params.state && !['1', '2', '3', '4', '5'].includes(params.state)) {
+        errors.push('Invalid --state. Use: 1 (open), 2 (close), 3 (resume), 4 (open once), 5 (locked)');
+    }
 
-    if (params.state && !['1', '2', '3'].includes(params.state)) {
-        errors.push('Invalid --state. Use: 1 (open), 2 (close), 3 (resume)');
+    if (params.port !== undefined) {
+        const port = Number(params.port);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) errors.push('Invalid --port. Use 1-65535');
     }
 
     return errors;
 }
 
-// Функции для работы с устройствами
-function loadDevices() {
-    try {
-        if (!fs.existsSync(CONFIG.DEVICES_FILE)) {
-            const defaultDevices = {
-                devices: [
-                    {
-                        name: "Главный вход",
-                        ip: "192.168.1.100",
-                        login: "admin",
-                        password: "admin123",
-                        doorNo: 1,
-                        lastStatus: 3,
-                        lastUpdate: new Date().toISOString()
-                    },
-                    {
-                        name: "Запасной выход",
-                        ip: "192.168.1.101",
-                        login: "admin",
-                        password: "admin123",
-                        doorNo: 1,
-                        lastStatus: 3,
-                        lastUpdate: new Date().toISOString()
-                    }
-                ]
-            };
-            saveDevices(defaultDevices);
-            console.log('📁 Created default devices file');
-            return defaultDevices;
-        }
-        
-        const data = fs.readFileSync(CONFIG.DEVICES_FILE, 'utf8');
-        const devices = JSON.parse(data);
-        console.log(`📊 Loaded ${devices.devices.length} devices from file`);
-        return devices;
-    } catch (error) {
-        console.error('❌ Error loading devices:', error);
-        return { devices: [] };
-    }
+// Запрос пароля в терминале без отображения вводимых символов
+function promptPassword(question) {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        let muted = false;
+        rl._writeToOutput = (text) => {
+            if (!muted) rl.output.write(text);
+        };
+        rl.question(question, (answer) => {
+            rl.output.write('\n');
+            rl.close();
+            resolve(answer);
+        });
+        muted = true;
+    });
 }
 
-function saveDevices(devicesData) {
-    try {
-        fs.writeFileSync(CONFIG.DEVICES_FILE, JSON.stringify(devicesData, null, 2));
-        return true;
-    } catch (error) {
-        console.error('❌ Error saving devices:', error);
-        return false;
+async function runSetPassword(login) {
+    const usersData = loadUsers();
+    const user = usersData.users.find(u => u.login === login);
+
+    if (!user) {
+        console.error(`❌ User ${login} not found in ${CONFIG.USERS_FILE}`);
+        return 1;
     }
-}
 
-// Функции для работы с пользователями
-function loadUsers() {
-    try {
-        if (!fs.existsSync(CONFIG.USERS_FILE)) {
-            const defaultUsers = {
-                users: [
-                    {
-                        login: "kalugin66@ya.ru",
-                        devices: ["all"], // Специальное значение - доступ ко всем устройствам
-                        createdAt: new Date().toISOString()
-                    },
-                    {
-                        login: "blok_a",
-                        devices: ["192.168.10.48"], // Доступ только к конкретному устройству
-                        createdAt: new Date().toISOString()
-                    },
-                    {
-                        login: "blok_b",
-                        devices: ["192.168.10.49"], // Доступ только к конкретному устройству
-                        createdAt: new Date().toISOString()
-                    }
-                ]
-            };
-            saveUsers(defaultUsers);
-            console.log('📁 Created default users file');
-            return defaultUsers;
+    let password = process.env.SCUD_PASSWORD;
+    if (!password) {
+        password = await promptPassword(`🔑 New password for ${login}: `);
+        const confirmation = await promptPassword('🔑 Repeat password: ');
+        if (password !== confirmation) {
+            console.error('❌ Passwords do not match');
+            return 1;
         }
-        
-        const data = fs.readFileSync(CONFIG.USERS_FILE, 'utf8');
-        const users = JSON.parse(data);
-        console.log(`👥 Loaded ${users.users.length} users from file`);
-        return users;
-    } catch (error) {
-        console.error('❌ Error loading users:', error);
-        return { users: [] };
     }
-}
 
-function saveUsers(usersData) {
-    try {
-        fs.writeFileSync(CONFIG.USERS_FILE, JSON.stringify(usersData, null, 2));
-        return true;
-    } catch (error) {
-        console.error('❌ Error saving users:', error);
-        return false;
+    if (!password || password.length < 8) {
+        console.error('❌ Password must be at least 8 characters long');
+        return 1;
     }
+
+    setUserPassword(user, password);
+    if (!saveUsers(usersData)) return 1;
+
+    console.log(`✅ Password updated for ${login}`);
+    return 0;
 }
 
-function getUserDevices(userLogin) {
-    const usersData = loadUsers();
-    const user = usersData.users.find(u => u.login === userLogin);
-    
-    if (!user) {
-        console.log(`❌ User ${userLogin} not found`);
-        return [];
-    }
-    
-    if (user.devices.includes("all")) {
-        console.log(`✅ User ${userLogin} has access to ALL devices`);
-        const allDevices = loadDevices().devices.map(d => d.ip);
-        return allDevices;
-    }
-    
-    console.log(`✅ User ${userLogin} has access to devices: ${user.devices.join(', ')}`);
-    return user.devices;
+// Шифрование паролей устройств (AES-256-GCM).
+// Формат значения: enc:v1:<id ключа>:<iv>:<tag>:<шифротекст>, части в base64
+const SECRET_PREFIX = 'enc:v1:';
+let secretKeyCache = null;
+
+// Ключ из строки: 64 hex-символа или 32 байта в base64, иначе строка считается парольной фразой
+function parseSecretKey(value) {
+    const text = String(value).trim();
+    if (/^[0-9a-f]{64}$/i.test(text)) return Buffer.from(text, 'hex');
+    const decoded = Buffer.from(text, 'base64');
+    if (decoded.length === 32 && /^[A-Za-z0-9+/]+=*$/.test(text)) return decoded;
+    if (!text) throw new Error('Пустой ключ шифрования');
+    return crypto.scryptSync(text, 'scud-device-secret', 32);
 }
 
-function validateUserAccess(userLogin, deviceIp) {
-    const userDevices = getUserDevices(userLogin);
-    return userDevices.includes(deviceIp) || userDevices.includes("all");
+// Короткий идентификатор ключа - чтобы отличить "не тот ключ" от поврежденных данных
+function getSecretKeyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
 }
 
-function updateDeviceStatus(ip, status) {
-    const devicesData = loadDevices();
-    const device = devicesData.devices.find(d => d.ip === ip);
-    
-    if (device) {
-        device.lastStatus = status;
-        device.lastUpdate = new Date().toISOString();
-        saveDevices(devicesData);
-        console.log(`📝 Updated status for device ${ip} to ${status}`);
-        return true;
-    }
-    return false;
+function writeSecretKeyFile(filePath, keyText) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpFile = `${filePath}.tmp`;
+    fs.writeFileSync(tmpFile, keyText + '\n', { mode: 0o600 });
+    fs.renameSync(tmpFile, filePath);
+}
+
+// Текущий ключ: переменная окружения, затем файл; если нет ни того, ни другого - создается файл
+function getSecretKey() {
+    if (secretKeyCache) return secretKeyCache;
+
+    let source;
+    if (CONFIG.SECRET_KEY) {
+        source = CONFIG.SECRET_KEY;
+    } else if (fs.existsSync(CONFIG.SECRET_KEY_FILE)) {
+        source = fs.readFileSync(CONFIG.SECRET_KEY_FILE, 'utf8');
+    } else {
+        source = crypto.randomBytes(32).toString('base64');
+        writeSecretKeyFile(CONFIG.SECRET_KEY_FILE, source);
+        console.log(`🔐 Created device secret key: ${CONFIG.SECRET_KEY_FILE}`);
+    }
+
+    const key = parseSecretKey(source);
+    secretKeyCache = { key, id: getSecretKeyId(key) };
+    return secretKeyCache;
+}
+
+function isEncryptedSecret(value) {
+    return typeof value === 'string' && value.startsWith(SECRET_PREFIX);
+}
+
+function encryptSecret(plainText, secretKey = getSecretKey()) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', secretKey.key, iv);
+    const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+    return SECRET_PREFIX + [
+        secretKey.id,
+        iv.toString('base64'),
+        cipher.getAuthTag().toString('base64'),
+        encrypted.toString('base64')
+    ].join(':');
+}
+
+// Незашифрованное значение возвращается как есть (пароль из командной строки)
+function decryptSecret(value, secretKey = getSecretKey()) {
+    if (!isEncryptedSecret(value)) return value;
+
+    const [keyId, iv, tag, data] = value.slice(SECRET_PREFIX.length).split(':');
+    if (keyId !== secretKey.id) {
+        throw new Error('Пароль устройства зашифрован другим ключом');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', secretKey.key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Шифрует пароли, сохраненные открытым текстом. Возвращает true, если данные изменились
+function encryptDevicePasswords(devicesData) {
+    let changed = false;
+    devicesData.devices.forEach(device => {
+        if (device.password && !isEncryptedSecret(device.password)) {
+            device.password = encryptSecret(device.password);
+            changed = true;
+        }
+    });
+    return changed;
+}
+
+// Перешифровка паролей устройств новым ключом: node server.js --rotate-key.
+// Новый ключ берется из SCUD_NEW_SECRET_KEY или генерируется
+function runRotateKey() {
+    let devicesData;
+    try {
+        devicesData = JSON.parse(fs.readFileSync(CONFIG.DEVICES_FILE, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Cannot read ${CONFIG.DEVICES_FILE}: ${error.message}`);
+        return 1;
+    }
+    migrateDevicesData(devicesData);
+
+    const oldKey = getSecretKey();
+    const newKeyText = process.env.SCUD_NEW_SECRET_KEY || crypto.randomBytes(32).toString('base64');
+    const newKey = parseSecretKey(newKeyText);
+    const secretKey = { key: newKey, id: getSecretKeyId(newKey) };
+
+    if (secretKey.id === oldKey.id) {
+        console.error('❌ New key is the same as the current one');
+        return 1;
+    }
+
+    // Сначала расшифровываем все пароли: при ошибке ничего не меняем
+    try {
+        devicesData.devices.forEach(device => {
+            if (device.password) {
+                device.password = encryptSecret(decryptSecret(device.password, oldKey), secretKey);
+            }
+        });
+    } catch (error) {
+        console.error(`❌ Cannot decrypt device passwords with the current key: ${error.message}`);
+        return 1;
+    }
+
+    // Старый ключ сохраняется рядом, пока не убедимся, что пароли перешифрованы
+    const useKeyFile = !CONFIG.SECRET_KEY;
+    if (useKeyFile) {
+        fs.copyFileSync(CONFIG.SECRET_KEY_FILE, `${CONFIG.SECRET_KEY_FILE}.old`);
+        writeSecretKeyFile(CONFIG.SECRET_KEY_FILE, newKeyText);
+    }
+    if (!saveDevices(devicesData)) {
+        if (useKeyFile) fs.renameSync(`${CONFIG.SECRET_KEY_FILE}.old`, CONFIG.SECRET_KEY_FILE);
+        return 1;
+    }
+    if (useKeyFile) fs.unlinkSync(`${CONFIG.SECRET_KEY_FILE}.old`);
+
+    console.log(`✅ Re-encrypted passwords of ${devicesData.devices.length} device(s)`);
+    if (useKeyFile) {
+        console.log(`🔐 New key saved to ${CONFIG.SECRET_KEY_FILE}`);
+    } else if (!process.env.SCUD_NEW_SECRET_KEY) {
+        console.log('🔐 Set the new key before restarting the service:');
+        console.log(`   SCUD_SECRET_KEY=${newKeyText}`);
+    } else {
+        console.log('🔐 Replace SCUD_SECRET_KEY with SCUD_NEW_SECRET_KEY before restarting the service');
+    }
+    return 0;
+}
+
+// Ошибка файла конфигурации: некорректный JSON или данные не по схеме. errors - список проблем
+class ConfigError extends Error {
+    constructor(file, errors) {
+        super(`${path.basename(file)}: ${errors.join('; ')}`);
+        this.name = 'ConfigError';
+        this.file = file;
+        this.errors = errors;
+    }
+}
+
+// Все файлы конфигурации - для проверки при запуске и в /healthz
+const configStores = [];
+
+// Файл конфигурации в памяти. При каждом обращении сверяется stat файла: если файл изменили на диске,
+// он перечитывается; версия, не прошедшая проверку, не применяется - остается последняя корректная,
+// а ошибка видна в /healthz. get() отдает копию, в файл изменения попадают только через save() или update().
+// Запись синхронная и потому не перемежается с другими: временный файл, fsync, прежняя версия в .bak, rename
+class ConfigStore {
+    // options: defaults() - данные, если файла нет; create - сразу записать их в файл;
+    // validate(data) - список ошибок; migrate(data) - true, если данные обновлены и их нужно сохранить;
+    // onLoad(data) - после успешного чтения
+    constructor(file, options = {}) {
+        this.file = file;
+        this.options = options;
+        this.data = null;
+        this.stat = null;
+        this.checked = false;
+        this.error = null;
+        configStores.push(this);
+    }
+
+    fileStat() {
+        try {
+            const stat = fs.statSync(this.file);
+            return { mtimeMs: stat.mtimeMs, size: stat.size, ino: stat.ino };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Перечитывает файл, если он изменился с прошлой проверки. Возвращает текущую ошибку или null
+    refresh() {
+        const stat = this.fileStat();
+        if (this.checked && JSON.stringify(stat) === JSON.stringify(this.stat)) return this.error;
+        this.checked = true;
+        this.stat = stat;
+
+        try {
+            if (!stat) {
+                const data = this.options.defaults();
+                if (this.options.create) {
+                    this.write(data);
+                    console.log(`📁 Created ${path.basename(this.file)}`);
+                }
+                this.data = data;
+                this.error = null;
+                return null;
+            }
+
+            let data;
+            try {
+                data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            } catch (error) {
+                if (error instanceof SyntaxError) throw new ConfigError(this.file, [`некорректный JSON: ${error.message}`]);
+                throw error;
+            }
+            const errors = this.options.validate ? this.options.validate(data) : [];
+            if (errors.length > 0) throw new ConfigError(this.file, errors);
+            if (this.options.migrate && this.options.migrate(data)) this.write(data);
+
+            this.data = data;
+            this.error = null;
+            if (this.options.onLoad) this.options.onLoad(data);
+        } catch (error) {
+            this.error = error instanceof ConfigError ? error : new ConfigError(this.file, [error.message]);
+            console.error(`❌ ${this.error.message}${this.data ? ' (используется предыдущая версия)' : ''}`);
+        }
+        return this.error;
+    }
+
+    get() {
+        this.refresh();
+        if (this.data === null) throw this.error;
+        return structuredClone(this.data);
+    }
+
+    save(data) {
+        const errors = this.options.validate ? this.options.validate(data) : [];
+        if (errors.length > 0) {
+            console.error(`❌ Not saving ${path.basename(this.file)}: ${errors.join('; ')}`);
+            return false;
+        }
+
+        try {
+            this.write(data);
+            this.data = structuredClone(data);
+            this.error = null;
+            return true;
+        } catch (error) {
+            console.error(`❌ Error saving ${path.basename(this.file)}:`, error);
+            return false;
+        }
+    }
+
+    // Изменение последней версии: mutator(data) меняет данные на месте; вернув false, отменяет запись
+    update(mutator) {
+        const data = this.get();
+        if (mutator(data) === false) return false;
+        return this.save(data);
+    }
+
+    write(data) {
+        const tmpFile = `${this.file}.${process.pid}.tmp`;
+        const previous = this.fileStat() ? fs.statSync(this.file) : null;
+
+        try {
+            const fd = fs.openSync(tmpFile, 'w', previous ? previous.mode & 0o777 : 0o666);
+            try {
+                fs.writeSync(fd, JSON.stringify(data, null, 2));
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            if (previous) fs.copyFileSync(this.file, `${this.file}.bak`);
+            fs.renameSync(tmpFile, this.file);
+        } catch (error) {
+            fs.rmSync(tmpFile, { force: true });
+            throw error;
+        }
+
+        this.stat = this.fileStat();
+        this.checked = true;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Проверка элементов списка: check(item, where) возвращает ошибки элемента. Выводятся первые 10 ошибок
+function validateList(list, name, check) {
+    if (!Array.isArray(list)) return [`${name}: ожидается массив`];
+    const errors = list.flatMap((item, index) => {
+        const where = `${name}[${index}]`;
+        return isPlainObject(item) ? check(item, where) : [`${where}: ожидается объект`];
+    });
+    return errors.length > 10 ? [...errors.slice(0, 10), `и еще ${errors.length - 10}`] : errors;
+}
+
+function checkUniqueIds(list, name, field = 'id') {
+    const seen = new Set();
+    return list.filter(isPlainObject).flatMap(item => {
+        if (item[field] === undefined) return [];
+        if (seen.has(item[field])) return [`${name}: повторяется ${field} ${item[field]}`];
+        seen.add(item[field]);
+        return [];
+    });
+}
+
+// devices.json; допускается и старый формат (запись на дверь без списка doors) - он переводится при чтении
+function validateDevicesFile(data) {
+    if (!isPlainObject(data)) return ['ожидается объект { "devices": [...] }'];
+    const errors = validateList(data.devices, 'devices', (device, where) => {
+        const deviceErrors = [];
+        if (typeof device.ip !== 'string' || !device.ip) deviceErrors.push(`${where}.ip: не указан адрес`);
+        if (device.id !== undefined && typeof device.id !== 'string') deviceErrors.push(`${where}.id: ожидается строка`);
+        if (device.port !== undefined && !(Number.isInteger(Number(device.port)) && device.port >= 1 && device.port <= 65535)) {
+            deviceErrors.push(`${where}.port: ожидается число от 1 до 65535`);
+        }
+        if (device.login !== undefined && typeof device.login !== 'string') deviceErrors.push(`${where}.login: ожидается строка`);
+        if (device.doors !== undefined) {
+            deviceErrors.push(...validateList(device.doors, `${where}.doors`, (door, doorWhere) =>
+                Number.isInteger(door.doorNo) && door.doorNo >= 1 ? [] : [`${doorWhere}.doorNo: ожидается номер двери`]));
+        }
+        return deviceErrors;
+    });
+    return errors.length > 0 ? errors : checkUniqueIds(data.devices, 'devices');
+}
+
+// Функции для работы с устройствами
+const devicesStore = new ConfigStore(CONFIG.DEVICES_FILE, {
+    defaults: () => ({ devices: [] }),
+    create: true,
+    validate: validateDevicesFile,
+    migrate: devicesData => {
+        const migrated = migrateDevicesData(devicesData);
+        if (migrated) console.log('🔁 Migrated devices file to device ids and door lists');
+        const encrypted = encryptDevicePasswords(devicesData);
+        if (encrypted) console.log('🔐 Encrypted plaintext device passwords');
+        return migrated || encrypted;
+    },
+    onLoad: devicesData => console.log(`📊 Loaded ${devicesData.devices.length} devices from file`)
+});
+
+function loadDevices() {
+    return devicesStore.get();
+}
+
+function saveDevices(devicesData) {
+    return devicesStore.save(devicesData);
+}
+
+// Перевод старого формата (одна запись на дверь, устройство определяется IP) на устройства
+// со стабильным id и списком дверей. Записи с одинаковым адресом объединяются в одно устройство.
+// Возвращает true, если данные изменились и их нужно сохранить
+function migrateDevicesData(devicesData) {
+    let changed = false;
+    const migrated = [];
+
+    devicesData.devices.forEach(entry => {
+        if (Array.isArray(entry.doors)) {
+            if (!entry.id) {
+                entry.id = generateId('dev');
+                changed = true;
+            }
+            // Заданный режим раньше не хранился отдельно - им был последний установленный
+            entry.doors.filter(door => door.desiredStatus === undefined).forEach(door => {
+                door.desiredStatus = door.lastStatus === undefined ? null : door.lastStatus;
+                changed = true;
+            });
+            migrated.push(entry);
+            return;
+        }
+
+        changed = true;
+        const door = {
+            doorNo: entry.doorNo || 1,
+            name: entry.name,
+            lastStatus: entry.lastStatus === undefined ? null : entry.lastStatus,
+            lastUpdate: entry.lastUpdate === undefined ? null : entry.lastUpdate,
+            desiredStatus: entry.lastStatus === undefined ? null : entry.lastStatus
+        };
+        if (entry.doorParam) door.doorParam = entry.doorParam;
+
+        const existing = migrated.find(d => d.ip === entry.ip && (d.port || 80) === (entry.port || 80));
+        if (existing) {
+            if (!existing.doors.some(d => d.doorNo === door.doorNo)) existing.doors.push(door);
+            return;
+        }
+
+        const { doorNo, lastStatus, lastUpdate, doorParam, ...device } = entry;
+        migrated.push({ id: generateId('dev'), ...device, doors: [door] });
+    });
+
+    devicesData.devices = migrated;
+    return changed;
+}
+
+function findDevice(devicesData, deviceId) {
+    return devicesData.devices.find(d => d.id === deviceId) || null;
+}
+
+function findDoor(device, doorNo) {
+    return device ? device.doors.find(d => d.doorNo === doorNo) || null : null;
+}
+
+// Ключ двери в картах прав и состояний
+function doorKey(deviceId, doorNo) {
+    return `${deviceId}:${doorNo}`;
+}
+
+// Устройство без пароля - для отдачи наружу
+function sanitizeDevice(device) {
+    const { password, ...safeDevice } = device;
+    safeDevice.hasPassword = Boolean(password);
+    return safeDevice;
+}
+
+// Проверка полей устройства из админского API.
+// existing - текущая запись при редактировании (пустой пароль означает "не менять")
+function validateDevice(input, existing = null) {
+    const errors = [];
+    const data = input || {};
+
+    const scheme = data.scheme === undefined || data.scheme === '' ? 'http' : data.scheme;
+    const device = {
+        name: typeof data.name === 'string' ? data.name.trim() : '',
+        scheme,
+        ip: typeof data.ip === 'string' ? data.ip.trim() : '',
+        port: data.port === undefined || data.port === '' ? (scheme === 'https' ? 443 : 80) : Number(data.port),
+        login: typeof data.login === 'string' ? data.login.trim() : '',
+        password: typeof data.password === 'string' && data.password !== '' ? encryptSecret(data.password) : null
+    };
+
+    if (!device.name) errors.push('Не указано название устройства');
+    if (device.name.length > 100) errors.push('Название устройства длиннее 100 символов');
+
+    const ipv4 = /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/;
+    const hostname = /^(?=.{1,253}$)[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+    if (!device.ip) {
+        errors.push('Не указан IP-адрес');
+    } else if (!ipv4.test(device.ip) && (/^[\d.]+$/.test(device.ip) || !hostname.test(device.ip))) {
+        errors.push('Некорректный IP-адрес или имя хоста');
+    }
+
+    if (!Number.isInteger(device.port) || device.port < 1 || device.port > 65535) {
+        errors.push('Порт должен быть целым числом от 1 до 65535');
+    }
+
+    if (!['http', 'https'].includes(device.scheme)) {
+        errors.push('Протокол должен быть http или https');
+    }
+
+    // Отпечаток SHA-256 сертификата: с ним принимается самоподписанный сертификат устройства
+    if (data.certFingerprint) {
+        const fingerprint = normalizeFingerprint(data.certFingerprint);
+        if (!fingerprint) errors.push('Отпечаток сертификата должен быть SHA-256 (64 шестнадцатеричных символа)');
+        else if (device.scheme !== 'https') errors.push('Отпечаток сертификата используется только с https');
+        else device.certFingerprint = fingerprint;
+    }
+
+    if (!device.login) errors.push('Не указан логин устройства');
+
+    if (!device.password) {
+        if (existing && existing.password) {
+            device.password = existing.password;
+        } else {
+            errors.push('Не указан пароль устройства');
+        }
+    }
+
+    const doors = Array.isArray(data.doors) ? data.doors : (existing ? existing.doors : [{ doorNo: 1 }]);
+    if (doors.length === 0) errors.push('У устройства должна быть хотя бы одна дверь');
+    device.doors = doors.map(door => validateDoor(door, existing, errors));
+
+    const doorNos = device.doors.map(door => door.doorNo);
+    if (new Set(doorNos).size !== doorNos.length) {
+        errors.push('Номера дверей устройства не должны повторяться');
+    }
+
+    return { errors, device };
+}
+
+// Что делать, если режим двери на контроллере разошелся с заданным (например, после перезагрузки)
+const DRIFT_POLICIES = {
+    alert: 'Только предупредить',
+    reapply: 'Восстановить режим'
+};
+
+// Дверь устройства { doorNo, name, doorParam?, sensitive?, driftPolicy? };
+// состояние переносится из существующей двери с тем же номером
+function validateDoor(input, existingDevice, errors) {
+    const data = input || {};
+    const doorNo = data.doorNo === undefined || data.doorNo === '' ? 1 : Number(data.doorNo);
+
+    if (!Number.isInteger(doorNo) || doorNo < 1 || doorNo > 32) {
+        errors.push('Номер двери должен быть целым числом от 1 до 32');
+    }
+
+    const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : `Дверь ${doorNo}`;
+    if (name.length > 100) errors.push('Название двери длиннее 100 символов');
+
+    const previous = findDoor(existingDevice, doorNo);
+    const door = {
+        doorNo,
+        name,
+        lastStatus: previous ? previous.lastStatus : null,
+        lastUpdate: previous ? previous.lastUpdate : null,
+        desiredStatus: previous && previous.desiredStatus !== undefined ? previous.desiredStatus : null
+    };
+
+    // Переопределения DoorParam: остальные параметры двери берутся с контроллера
+    const overrides = data.doorParam || {};
+    const doorParam = {};
+
+    if (overrides.openDuration !== undefined && overrides.openDuration !== '' && overrides.openDuration !== null) {
+        const openDuration = Number(overrides.openDuration);
+        if (!Number.isInteger(openDuration) || openDuration < 1 || openDuration > 255) {
+            errors.push(`Время открытия двери ${doorNo} должно быть целым числом от 1 до 255 секунд`);
+        } else {
+            doorParam.openDuration = openDuration;
+        }
+    }
+
+    if (typeof overrides.doorName === 'string' && overrides.doorName.trim() !== '') {
+        if (overrides.doorName.trim().length > 32) {
+            errors.push(`Имя двери ${doorNo} на контроллере длиннее 32 символов`);
+        } else {
+            doorParam.doorName = overrides.doorName.trim();
+        }
+    }
+
+    if (Object.keys(doorParam).length > 0) door.doorParam = doorParam;
+    // Чувствительная дверь: режим "Открыто" только по подтвержденной заявке
+    if (data.sensitive === true) door.sensitive = true;
+    if (data.driftPolicy !== undefined && data.driftPolicy !== '' && !DRIFT_POLICIES[data.driftPolicy]) {
+        errors.push(`Действие при расхождении режима двери ${doorNo} должно быть одним из: ${Object.keys(DRIFT_POLICIES).join(', ')}`);
+    } else if (data.driftPolicy === 'reapply') {
+        door.driftPolicy = 'reapply';
+    }
+    return door;
+}
+
+// Роли пользователей: администратор видит и настраивает все,
+// оператор управляет устройствами своих групп, наблюдатель только смотрит
+const ROLES = {
+    admin: 'Администратор',
+    operator: 'Оператор',
+    viewer: 'Наблюдатель'
+};
+
+function generateId(prefix) {
+    return `${prefix}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Перевод старого формата (списки IP или "all" у каждого пользователя) на роли и группы.
+// Возвращает true, если данные изменились и их нужно сохранить
+function migrateUsersData(usersData) {
+    let changed = false;
+
+    if (!Array.isArray(usersData.groups)) {
+        usersData.groups = [];
+        changed = true;
+    }
+
+    usersData.users.forEach(user => {
+        const legacyDevices = Array.isArray(user.devices) ? user.devices : null;
+
+        if (!ROLES[user.role]) {
+            user.role = legacyDevices && legacyDevices.includes('all') ? 'admin' : 'operator';
+            changed = true;
+        }
+        if (!Array.isArray(user.grants)) {
+            user.grants = [];
+            changed = true;
+        }
+
+        if (legacyDevices) {
+            const ips = legacyDevices.filter(ip => ip !== 'all').sort();
+            if (ips.length > 0) {
+                // Пользователи с одинаковым набором IP получают общую группу
+                let group = usersData.groups.find(g => g.migrated && g.devices.join(',') === ips.join(','));
+                if (!group) {
+                    group = {
+                        id: generateId('group'),
+                        name: `Устройства ${ips.join(', ')}`,
+                        devices: ips,
+                        migrated: true
+                    };
+                    usersData.groups.push(group);
+                }
+                if (!user.grants.some(g => g.group === group.id)) {
+                    user.grants.push({ group: group.id });
+                }
+            }
+            delete user.devices;
+            changed = true;
+        }
+    });
+
+    // Группы раньше ссылались на устройства по IP - переводим на id устройств
+    const devices = loadDevices().devices;
+    usersData.groups.forEach(group => {
+        const entries = group.devices.flatMap(entry => {
+            if (resolveGroupEntry(entry, devices).length > 0) return [entry];
+            const ids = devices.filter(d => d.ip === entry).map(d => d.id);
+            return ids.length > 0 ? ids : [entry];
+        });
+        if (entries.join(',') !== group.devices.join(',')) {
+            group.devices = [...new Set(entries)];
+            changed = true;
+        }
+    });
+
+    return changed;
+}
+
+// users.json; старые записи (без роли и grants, с devices) допускаются и переводятся при чтении
+function validateUsersFile(data) {
+    if (!isPlainObject(data)) return ['ожидается объект { "users": [...], "groups": [...] }'];
+    const errors = validateList(data.users, 'users', (user, where) => {
+        const userErrors = [];
+        if (typeof user.login !== 'string' || !user.login) userErrors.push(`${where}.login: не указан логин`);
+        if (user.grants !== undefined) {
+            userErrors.push(...validateList(user.grants, `${where}.grants`, (grant, grantWhere) =>
+                typeof grant.group === 'string' ? [] : [`${grantWhere}.group: не указана группа`]));
+        }
+        return userErrors;
+    });
+    if (data.groups !== undefined) {
+        errors.push(...validateList(data.groups, 'groups', (group, where) => [
+            ...(typeof group.id === 'string' && group.id ? [] : [`${where}.id: не указан id`]),
+            ...(Array.isArray(group.devices) ? [] : [`${where}.devices: ожидается массив`])
+        ]));
+    }
+    if (errors.length > 0) return errors;
+    return [...checkUniqueIds(data.users, 'users', 'login'), ...checkUniqueIds(data.groups || [], 'groups')];
+}
+
+// Функции для работы с пользователями
+const usersStore = new ConfigStore(CONFIG.USERS_FILE, {
+    defaults: () => ({
+        users: [
+            {
+                login: "kalugin66@ya.ru",
+                role: "admin", // Администратор - доступ ко всем устройствам
+                grants: [],
+                createdAt: new Date().toISOString()
+            },
+            {
+                login: "blok_a",
+                role: "operator",
+                grants: [{ group: "block_a" }], // Доступ только к устройствам группы
+                createdAt: new Date().toISOString()
+            },
+            {
+                login: "blok_b",
+                role: "operator",
+                grants: [{ group: "block_b" }],
+                createdAt: new Date().toISOString()
+            }
+        ],
+        groups: [
+            { id: "block_a", name: "Блок А", devices: ["192.168.10.48"] },
+            { id: "block_b", name: "Блок Б", devices: ["192.168.10.49"] }
+        ]
+    }),
+    create: true,
+    validate: validateUsersFile,
+    migrate: usersData => {
+        const migrated = migrateUsersData(usersData);
+        if (migrated) console.log('🔁 Migrated users file to roles and groups');
+        return migrated;
+    },
+    onLoad: usersData => console.log(`👥 Loaded ${usersData.users.length} users from file`)
+});
+
+function loadUsers() {
+    return usersStore.get();
+}
+
+function saveUsers(usersData) {
+    return usersStore.save(usersData);
+}
+
+// Аутентификация: пароли, сессии и блокировка при подборе.
+// Неудачные попытки считаются по паре адрес + логин (блокировка на LOCKOUT_TIME) и по учетной записи
+// со всех адресов (нарастающая пауза): подбор с множества адресов тоже упирается в ограничение
+const sessions = new Map();
+const loginAttempts = new Map();
+const accountLoginFailures = new Map();
+const LOGIN_BACKOFF_BASE = 1000;
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return { salt, hash };
+}
+
+function verifyPassword(user, password) {
+    if (!user || !user.passwordHash || !user.salt || typeof password !== 'string') {
+        return false;
+    }
+
+    const { hash } = hashPassword(password, user.salt);
+    const expected = Buffer.from(user.passwordHash, 'hex');
+    const actual = Buffer.from(hash, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Сравнение секретов за постоянное время
+function safeEqual(a, b) {
+    const expected = Buffer.from(String(b));
+    const actual = Buffer.from(String(a));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function setUserPassword(user, password) {
+    const { salt, hash } = hashPassword(password);
+    user.salt = salt;
+    user.passwordHash = hash;
+    user.passwordUpdatedAt = new Date().toISOString();
+}
+
+// Пользователь без хешей паролей - для отдачи наружу
+function sanitizeUser(user) {
+    const { salt, passwordHash, ...safeUser } = user;
+    safeUser.hasPassword = Boolean(passwordHash);
+    return safeUser;
+}
+
+function getLoginAttemptKey(login, clientIp) {
+    return `${clientIp || ''}|${login}`;
+}
+
+// Запись о попытках живет до конца блокировки и не меньше LOCKOUT_TIME с последней ошибки.
+// Возвращает число удаленных записей
+function pruneLoginAttempts(now = Date.now()) {
+    let removed = 0;
+    for (const attempts of [loginAttempts, accountLoginFailures]) {
+        for (const [key, attempt] of attempts) {
+            if (Math.max(attempt.lockedUntil || 0, attempt.lastFailedAt + CONFIG.LOCKOUT_TIME) <= now) {
+                attempts.delete(key);
+                removed++;
+            }
+        }
+    }
+    return removed;
+}
+
+function getLockout(login, clientIp) {
+    const now = Date.now();
+    const lockedUntil = [loginAttempts.get(getLoginAttemptKey(login, clientIp)), accountLoginFailures.get(login)]
+        .map(attempt => (attempt && attempt.lockedUntil > now ? attempt.lockedUntil : 0))
+        .reduce((a, b) => Math.max(a, b));
+    return lockedUntil || null;
+}
+
+function registerFailedLogin(login, clientIp) {
+    const now = Date.now();
+    pruneLoginAttempts(now);
+
+    const key = getLoginAttemptKey(login, clientIp);
+    const attempt = loginAttempts.get(key) || { count: 0, lockedUntil: null, lastFailedAt: now };
+    attempt.count++;
+    attempt.lastFailedAt = now;
+
+    if (attempt.count >= CONFIG.MAX_LOGIN_ATTEMPTS) {
+        attempt.count = 0;
+        attempt.lockedUntil = now + CONFIG.LOCKOUT_TIME;
+        console.log(`🔒 Login ${key} locked until ${new Date(attempt.lockedUntil).toISOString()}`);
+    }
+    loginAttempts.set(key, attempt);
+
+    const account = accountLoginFailures.get(login) || { count: 0, lockedUntil: null, lastFailedAt: now };
+    account.count++;
+    account.lastFailedAt = now;
+
+    const excess = account.count - CONFIG.ACCOUNT_MAX_LOGIN_ATTEMPTS;
+    if (excess >= 0) {
+        account.lockedUntil = now + Math.min(CONFIG.LOCKOUT_TIME, LOGIN_BACKOFF_BASE * 2 ** excess);
+        console.log(`🔒 Account ${login}: ${account.count} failed logins, paused until ${new Date(account.lockedUntil).toISOString()}`);
+    }
+    accountLoginFailures.set(login, account);
+}
+
+function authenticateUser(login, password, clientIp) {
+    const lockedUntil = getLockout(login, clientIp);
+    if (lockedUntil) {
+        return { success: false, locked: true, lockedUntil };
+    }
+
+    const user = loadUsers().users.find(u => u.login === login);
+    if (!verifyPassword(user, password)) {
+        registerFailedLogin(login, clientIp);
+        const nowLocked = getLockout(login, clientIp);
+        return { success: false, locked: Boolean(nowLocked), lockedUntil: nowLocked };
+    }
+
+    loginAttempts.delete(getLoginAttemptKey(login, clientIp));
+    accountLoginFailures.delete(login);
+    return { success: true, user };
+}
+
+function createSession(login) {
+    const now = Date.now();
+    for (const [token, session] of sessions) {
+        if (session.expiresAt <= now) sessions.delete(token);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const session = {
+        login,
+        csrfToken: crypto.randomBytes(32).toString('hex'),
+        createdAt: now,
+        expiresAt: now + CONFIG.SESSION_TTL
+    };
+    sessions.set(token, session);
+    return { token, ...session };
+}
+
+function destroySession(token) {
+    return sessions.delete(token);
+}
+
+// Завершает все сессии пользователя (смена пароля, удаление), кроме exceptToken - сессии того, кто меняет
+// собственный пароль. Возвращает число завершенных сессий
+function revokeUserSessions(login, exceptToken = null) {
+    let revoked = 0;
+    for (const [token, session] of sessions) {
+        if (session.login === login && token !== exceptToken) {
+            sessions.delete(token);
+            revoked++;
+        }
+    }
+    if (revoked > 0) {
+        console.log(`🔒 Revoked ${revoked} session(s) of ${login}`);
+        serviceEvents.emit('revoke', login);
+    }
+    return revoked;
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+
+    header.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        const key = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[key] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[key] = value;
+        }
+    });
+
+    return cookies;
+}
+
+function getRequestToken(req) {
+    const authorization = req.headers['authorization'];
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^Bearer\s+/i, '').trim();
+    }
+    return parseCookies(req.headers['cookie'])[CONFIG.SESSION_COOKIE] || null;
+}
+
+// Возвращает сессию текущего запроса или null, если она отсутствует или истекла
+function getRequestSession(req) {
+    const token = getRequestToken(req);
+    if (!token) return null;
+    return getSession(token);
+}
+
+// Сессия по токену или null, если она отсутствует, истекла или ее пользователя больше нет
+function getSession(token) {
+    const session = sessions.get(token);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+        sessions.delete(token);
+        return null;
+    }
+
+    // Пользователь мог быть удален из users.json после входа
+    const user = loadUsers().users.find(u => u.login === session.login);
+    if (!user) {
+        sessions.delete(token);
+        return null;
+    }
+
+    return { token, ...session };
+}
+
+// Защита от CSRF: изменяющий запрос с cookie сессии должен нести заголовок X-CSRF-Token
+// из ответа /api/login или /api/session. Bearer-токен браузер сам не подставляет - такой запрос не проверяется
+function isCsrfSafe(req, session) {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return true;
+    if (/^Bearer\s+/i.test(req.headers['authorization'] || '')) return true;
+    return safeEqual(req.headers['x-csrf-token'] || '', session.csrfToken);
+}
+
+function sessionCookie(token, maxAgeMs) {
+    const parts = [
+        `${CONFIG.SESSION_COOKIE}=${token}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Max-Age=${Math.floor(maxAgeMs / 1000)}`
+    ];
+    if (CONFIG.COOKIE_SECURE) parts.push('Secure');
+    return parts.join('; ');
+}
+
+function parseTimeOfDay(value) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+// День недели 1 (пн) - 7 (вс) по локальному времени процесса (TZ контейнера)
+function getWeekday(date) {
+    return date.getDay() === 0 ? 7 : date.getDay();
+}
+
+// Попадает ли момент в окно расписания { days: [1..7], from: 'HH:MM', to: 'HH:MM' }.
+// Окно через полночь (from > to) относится к дню, в который оно начинается
+function isInScheduleWindow(window, now) {
+    const days = Array.isArray(window.days) && window.days.length > 0 ? window.days : [1, 2, 3, 4, 5, 6, 7];
+    const from = parseTimeOfDay(window.from) || 0;
+    const to = window.to === undefined ? 24 * 60 : parseTimeOfDay(window.to);
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const today = getWeekday(now);
+
+    if (from < to) {
+        return days.includes(today) && minutes >= from && minutes < to;
+    }
+
+    const yesterday = today === 1 ? 7 : today - 1;
+    return (days.includes(today) && minutes >= from) || (days.includes(yesterday) && minutes < to);
+}
+
+// Назначение действует: срок начался и не истек, текущее время попадает в расписание (если оно задано)
+function isGrantActive(grant, now = new Date()) {
+    if (grant.validFrom && new Date(grant.validFrom) > now) return false;
+    if (grant.validUntil && new Date(grant.validUntil) <= now) return false;
+    if (Array.isArray(grant.schedule) && grant.schedule.length > 0) {
+        return grant.schedule.some(window => isInScheduleWindow(window, now));
+    }
+    return true;
+}
+
+// Двери, на которые указывает запись группы: 'deviceId' - все двери устройства, 'deviceId:doorNo' - одна дверь
+function resolveGroupEntry(entry, devices) {
+    const [deviceId, doorPart] = String(entry).split(':');
+    const device = devices.find(d => d.id === deviceId);
+    if (!device) return [];
+    if (doorPart === undefined) return device.doors.map(door => doorKey(device.id, door.doorNo));
+    const door = findDoor(device, Number(doorPart));
+    return door ? [doorKey(device.id, door.doorNo)] : [];
+}
+
+// Права пользователя по дверям: Map 'deviceId:doorNo' -> Set разрешенных действий.
+// Администратор может все; наблюдатель видит двери групп, но действий у него нет
+function getUserPermissions(userLogin, now = new Date()) {
+    const usersData = loadUsers();
+    const devices = loadDevices().devices;
+    const user = usersData.users.find(u => u.login === userLogin);
+    const permissions = new Map();
+
+    if (!user) {
+        console.log(`❌ User ${userLogin} not found`);
+        return permissions;
+    }
+
+    if (user.role === 'admin') {
+        devices.forEach(device => device.doors.forEach(door => {
+            permissions.set(doorKey(device.id, door.doorNo), new Set(Object.keys(ACTIONS)));
+        }));
+        return permissions;
+    }
+
+    user.grants.filter(grant => isGrantActive(grant, now)).forEach(grant => {
+        const group = usersData.groups.find(g => g.id === grant.group);
+        if (!group) return;
+
+        const actions = user.role === 'viewer' ? [] : (grant.actions || Object.keys(ACTIONS));
+        group.devices.forEach(entry => resolveGroupEntry(entry, devices).forEach(key => {
+            if (!permissions.has(key)) permissions.set(key, new Set());
+            actions.forEach(action => permissions.get(key).add(action));
+        }));
+    });
+
+    return permissions;
+}
+
+// Id устройств, хотя бы одна дверь которых доступна пользователю
+function getUserDevices(userLogin) {
+    const devices = [...new Set([...getUserPermissions(userLogin).keys()].map(key => key.split(':')[0]))];
+    console.log(`✅ User ${userLogin} has access to devices: ${devices.join(', ') || 'none'}`);
+    return devices;
+}
+
+function getUserRole(userLogin) {
+    const user = loadUsers().users.find(u => u.login === userLogin);
+    return user ? user.role : null;
+}
+
+function isAdmin(userLogin) {
+    return getUserRole(userLogin) === 'admin';
+}
+
+// Право перевести дверь устройства в указанное состояние
+function validateUserAccess(userLogin, deviceId, doorNo, state) {
+    const action = getStateAction(state);
+    const actions = getUserPermissions(userLogin).get(doorKey(deviceId, doorNo));
+    return Boolean(action && actions && actions.has(action));
+}
+
+// Установленный режим становится заданным: его сервис сверяет с фактическим при опросе
+function updateDeviceStatus(deviceId, doorNo, status) {
+    let device = null;
+    const updated = devicesStore.update(devicesData => {
+        device = findDevice(devicesData, deviceId);
+        const door = findDoor(device, doorNo);
+        if (!door) return false;
+        door.lastStatus = status;
+        door.desiredStatus = status;
+        door.lastUpdate = new Date().toISOString();
+    });
+
+    if (updated) {
+        console.log(`📝 Updated status for device ${device.name} door ${doorNo} to ${status}`);
+        serviceEvents.emit('device', deviceId);
+    }
+    return updated;
+}
+
+// Фактическое состояние устройств по данным опроса (только в памяти, по id устройства)
+const deviceStatuses = new Map();
+let statusPollTimer = null;
+let statusPollInProgress = false;
+// Время завершения последнего опроса; до первого опроса сервис не готов (/readyz)
+let statusPollCompletedAt = null;
+
+function getDeviceStatus(deviceId) {
+    return deviceStatuses.get(deviceId) || {
+        online: null,
+        lastSeen: null,
+        lastError: null,
+        lastPoll: null,
+        latency: null,
+        uptime: null,
+        rebootedAt: null,
+        doors: {}
+    };
+}
+
+function getDoorStatus(deviceId, doorNo) {
+    return getDeviceStatus(deviceId).doors[doorNo] || {
+        actualStatus: null,
+        lockStatus: null,
+        magneticStatus: null
+    };
+}
+
+async function pollDevice(device) {
+    const previous = getDeviceStatus(device.id);
+    const status = { ...previous, lastPoll: new Date().toISOString() };
+    const startedAt = Date.now();
+    let rebooted = false;
+
+    try {
+        const doorNos = device.doors.map(door => door.doorNo);
+        const doors = await fetchDoorStatuses(device.ip, device.login, device.password, doorNos, getDeviceConnection(device));
+        Object.assign(status, { doors, online: true, lastSeen: status.lastPoll, lastError: null, latency: Date.now() - startedAt });
+
+        if (previous.uptimeSupported !== false) {
+            try {
+                status.uptime = await fetchDeviceUptime(device);
+            } catch (error) {
+                // Прошивка без /ISAPI/System/status: перезагрузка видна только по расхождению режимов
+                if (error.type === 'rejected') status.uptimeSupported = false;
+                status.uptime = null;
+            }
+        }
+        rebooted = isDeviceRebooted(previous, status);
+        if (rebooted) {
+            status.rebootedAt = status.lastPoll;
+            console.log(`🔁 Device ${device.name} (${device.ip}) rebooted: uptime ${status.uptime} s`);
+        }
+    } catch (error) {
+        Object.assign(status, { online: false, lastError: error.message, latency: null });
+    }
+
+    if (previous.online !== status.online && previous.online !== null) {
+        console.log(status.online
+            ? `🟢 Device ${device.name} (${device.ip}) is back online`
+            : `🔴 Device ${device.name} (${device.ip}) went offline: ${status.lastError}`);
+    }
+
+    deviceStatuses.set(device.id, status);
+
+    // Потеря и восстановление связи; устройство, доступное с первого опроса, событием не считается
+    if (status.online !== previous.online && !(previous.online === null && status.online)) {
+        serviceEvents.emit('availability', {
+            deviceId: device.id,
+            name: device.name,
+            ip: device.ip,
+            online: status.online,
+            error: status.lastError,
+            timestamp: status.lastPoll
+        });
+    }
+
+    const driftChanged = status.online ? await checkDoorDrift(device, status, rebooted) : false;
+
+    const changed = ['online', 'lastError', 'rebootedAt'].some(field => previous[field] !== status[field]) ||
+        JSON.stringify(previous.doors) !== JSON.stringify(status.doors);
+    if (changed || driftChanged) serviceEvents.emit('device', device.id);
+
+    return status;
+}
+
+// Выполняет worker для всех элементов, не более limit одновременно
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function runNext() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, runNext);
+    await Promise.all(runners);
+    return results;
+}
+
+async function pollDeviceStatuses() {
+    if (statusPollInProgress) return;
+    statusPollInProgress = true;
+
+    try {
+        const devices = loadDevices().devices;
+        const ids = new Set(devices.map(d => d.id));
+        for (const id of deviceStatuses.keys()) {
+            if (!ids.has(id)) deviceStatuses.delete(id);
+        }
+        for (const id of deviceHealthCache.keys()) {
+            if (!ids.has(id)) deviceHealthCache.delete(id);
+        }
+        for (const [key, drift] of doorDrifts) {
+            if (!ids.has(drift.deviceId)) doorDrifts.delete(key);
+        }
+
+        await runWithConcurrency(devices, CONFIG.STATUS_POLL_CONCURRENCY, async (device) => {
+            const status = await pollDevice(device);
+            // Сведения об устройстве обновляются попутно, когда устарели
+            if (status.online && isDeviceHealthStale(device.id)) {
+                await refreshDeviceHealth(device);
+            }
+        });
+        const online = devices.filter(d => getDeviceStatus(d.id).online).length;
+        statusPollCompletedAt = new Date().toISOString();
+        console.log(`🔄 Проверка статусов: ${online}/${devices.length} устройств в сети`);
+    } catch (error) {
+        console.error('❌ Status poll error:', error);
+    } finally {
+        statusPollInProgress = false;
+    }
+}
+
+function startStatusPoller() {
+    if (statusPollTimer) return;
+    pollDeviceStatuses();
+    statusPollTimer = setInterval(pollDeviceStatuses, CONFIG.STATUS_POLL_INTERVAL);
+}
+
+function stopStatusPoller() {
+    clearInterval(statusPollTimer);
+    statusPollTimer = null;
+}
+
+// Время работы контроллера с последнего запуска в секундах (DeviceStatus.deviceUpTime) или null
+async function fetchDeviceUptime(device) {
+    const response = await makeDigestRequest(
+        device.ip,
+        '/ISAPI/System/status',
+        'GET',
+        null,
+        new DigestAuth(device.login, device.password),
+        { timeout: CONFIG.STATUS_POLL_TIMEOUT, retries: 0, ...getDeviceConnection(device) }
+    );
+    const parsedXml = await xml2js.parseStringPromise(response, { explicitArray: false });
+    const uptime = parseInt(parsedXml && parsedXml.DeviceStatus && parsedXml.DeviceStatus.deviceUpTime, 10);
+    return Number.isNaN(uptime) ? null : uptime;
+}
+
+// Перезагрузка: время работы меньше, чем должно было набежать с прошлого ответа
+function isDeviceRebooted(previous, status) {
+    if (typeof previous.uptime !== 'number' || typeof status.uptime !== 'number' || !previous.lastSeen) return false;
+    const expected = previous.uptime + (Date.parse(status.lastSeen) - Date.parse(previous.lastSeen)) / 1000;
+    return status.uptime + CONFIG.REBOOT_UPTIME_TOLERANCE < expected;
+}
+
+// Расхождение режима двери с заданным (desiredStatus): после перезагрузки или отключения питания
+// контроллер возвращается в режим по умолчанию. Ключ - дверь: { deviceId, doorNo, reason: 'mismatch' | 'reboot',
+// desiredStatus, observedStatus, policy, detectedAt, reappliedAt, result }. Хранится в памяти до совпадения режимов
+const doorDrifts = new Map();
+// Двери, которыми сейчас управляют: их промежуточный режим расхождением не считается
+const doorsInControl = new Set();
+
+function getDriftPolicy(door) {
+    return door.driftPolicy === 'reapply' ? 'reapply' : 'alert';
+}
+
+// Сверка заданных режимов дверей с опросом; при политике reapply режим устанавливается заново,
+// не чаще DRIFT_REAPPLY_INTERVAL. Возвращает true, если сведения о расхождениях изменились
+async function checkDoorDrift(polledDevice, status, rebooted) {
+    // Заданный режим мог измениться, пока шел опрос: берем его из текущего devices.json
+    const device = findDevice(loadDevices(), polledDevice.id);
+    if (!device) return false;
+
+    let changed = false;
+    const doorNos = new Set(device.doors.map(door => door.doorNo));
+    for (const [key, drift] of doorDrifts) {
+        if (drift.deviceId === device.id && !doorNos.has(drift.doorNo)) doorDrifts.delete(key);
+    }
+
+    for (const door of device.doors) {
+        const key = doorKey(device.id, door.doorNo);
+        if (doorsInControl.has(key) || (door.lastUpdate && Date.parse(door.lastUpdate) >= Date.parse(status.lastPoll))) {
+            continue;
+        }
+
+        const desired = door.desiredStatus === undefined ? null : door.desiredStatus;
+        const observed = status.doors[door.doorNo] ? status.doors[door.doorNo].actualStatus : null;
+        // Режим CLOSE меняет только параметры двери: по AcsWorkStatus его не проверить
+        const expected = desired === ACTIONS.close.state ? null : desired;
+        // Неизвестный режим после перезагрузки тоже расхождение; без перезагрузки его не оцениваем
+        const drifted = expected !== null && observed !== expected && (rebooted || observed !== null);
+        const existing = doorDrifts.get(key);
+
+        if (!drifted) {
+            if (existing && (expected === null || existing.desiredStatus !== desired || observed === expected)) {
+                doorDrifts.delete(key);
+                console.log(`✅ Door ${door.doorNo} of ${device.name} is back in ${getStateText(desired)}`);
+                changed = true;
+            }
+            continue;
+        }
+
+        let drift = existing;
+        if (!drift || drift.desiredStatus !== desired) {
+            drift = {
+                deviceId: device.id,
+                doorNo: door.doorNo,
+                reason: rebooted ? 'reboot' : 'mismatch',
+                desiredStatus: desired,
+                observedStatus: observed,
+                policy: getDriftPolicy(door),
+                detectedAt: status.lastPoll,
+                reappliedAt: null,
+                result: null
+            };
+            doorDrifts.set(key, drift);
+            changed = true;
+            console.log(`⚠️ Door ${door.doorNo} of ${device.name} is ${getStateText(observed)} instead of ${getStateText(desired)}` +
+                ` (${drift.reason}, policy ${drift.policy})`);
+            incrementMetric('scud_door_drift_total', { reason: drift.reason, policy: drift.policy });
+            notify('doorDrift', {
+                ...drift,
+                name: device.name,
+                ip: device.ip,
+                doorName: door.name
+            });
+        } else if (drift.observedStatus !== observed || (rebooted && drift.reason !== 'reboot')) {
+            drift.observedStatus = observed;
+            if (rebooted) drift.reason = 'reboot';
+            changed = true;
+        }
+
+        if (drift.policy === 'reapply' && (!drift.reappliedAt ||
+            Date.now() - Date.parse(drift.reappliedAt) >= CONFIG.DRIFT_REAPPLY_INTERVAL)) {
+            await reapplyDesiredState(device, door, drift);
+            changed = true;
+        }
+    }
+
+    return changed;
+}
+
+// Повторная установка заданного режима от имени сервиса. Открытие чувствительной двери
+// восстанавливается только при действующей подтвержденной заявке
+async function reapplyDesiredState(device, door, drift) {
+    drift.reappliedAt = new Date().toISOString();
+
+    const approval = findOpenApproval(loadApprovals(), device.id, door.doorNo);
+    if (requiresApproval(door, drift.desiredStatus) && !(approval && approval.status === 'approved')) {
+        drift.result = { success: false, skipped: true, message: 'Открытие двери требует подтвержденной заявки' };
+        return;
+    }
+
+    console.log(`🔧 Reapplying ${getStateText(drift.desiredStatus)} to door ${door.doorNo} of ${device.name}`);
+    try {
+        const result = await controlDoor(device, door, drift.desiredStatus, {
+            user: 'system',
+            clientIp: null,
+            source: 'drift',
+            deviceId: device.id,
+            deviceName: device.name,
+            doorName: door.name
+        });
+        drift.result = { success: result.success, message: result.message };
+    } catch (error) {
+        drift.result = { success: false, message: error.message };
+    }
+}
+
+// Расхождение режима двери для карточки: null, если режим совпадает с заданным
+function getDoorDrift(deviceId, doorNo) {
+    const drift = doorDrifts.get(doorKey(deviceId, doorNo));
+    return drift ? { ...drift } : null;
+}
+
+// Сведения об устройствах: deviceInfo, время и возможности контроллера (AcsCap).
+// Ключ - id устройства: { fetchedAt, info, time, capabilities, errors }
+const deviceHealthCache = new Map();
+const deviceHealthRequests = new Map();
+
+// Версия прошивки 'V2.2.0 build 230101' -> [2, 2, 0]
+function parseFirmwareVersion(value) {
+    const match = String(value || '').match(/V?(\d+)\.(\d+)(?:\.(\d+))?/i);
+    return match ? [Number(match[1]), Number(match[2]), Number(match[3] || 0)] : null;
+}
+
+function compareVersions(a, b) {
+    for (let i = 0; i < 3; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+// Время устройства в мс UTC. Если в localTime нет смещения, оно берется из timeZone
+// в формате POSIX (CST-5:00:00 означает UTC+5)
+function parseDeviceTime(localTime, timeZone) {
+    if (!localTime) return null;
+    if (/(Z|[+-]\d{2}:?\d{2})$/.test(localTime)) {
+        const time = Date.parse(localTime);
+        return Number.isNaN(time) ? null : time;
+    }
+
+    const time = Date.parse(`${localTime}Z`);
+    if (Number.isNaN(time)) return null;
+    const zone = String(timeZone || '').match(/([+-])(\d{1,2})(?::(\d{2}))?/);
+    if (!zone) return time;
+    const offset = (Number(zone[2]) * 60 + Number(zone[3] || 0)) * 60 * 1000;
+    return zone[1] === '-' ? time - offset : time + offset;
+}
+
+// Возможности контроллера: число дверей, команды RemoteControl и флаги isSupport*
+function parseAcsCapabilities(acsCap) {
+    const remote = acsCap.RemoteControlDoor || {};
+    const doorNo = remote.doorNo && remote.doorNo.$;
+    const cmd = remote.cmd && remote.cmd.$;
+
+    return {
+        doorCount: doorNo && doorNo.max ? parseInt(doorNo.max, 10) : null,
+        commands: cmd && cmd.opt ? cmd.opt.split(',').map(item => item.trim()) : null,
+        features: Object.keys(acsCap)
+            .filter(key => key.startsWith('isSupport') && String(acsCap[key]) === 'true')
+            .map(key => key.slice('isSupport'.length))
+    };
+}
+
+// Запрос deviceInfo, времени и возможностей; ошибка одного запроса не мешает остальным
+async function fetchDeviceHealth(device) {
+    const digestAuth = new DigestAuth(device.login, device.password);
+    const options = getDeviceConnection(device);
+    const entry = { fetchedAt: new Date().toISOString(), info: null, time: null, capabilities: null, errors: {} };
+
+    const request = async (isapiPath) => {
+        const response = await makeDigestRequest(device.ip, isapiPath, 'GET', null, digestAuth, options);
+        return xml2js.parseStringPromise(response, { explicitArray: false });
+    };
+
+    try {
+        const info = (await request('/ISAPI/System/deviceInfo')).DeviceInfo || {};
+        entry.info = {
+            deviceName: info.deviceName || null,
+            model: info.model || null,
+            serialNumber: info.serialNumber || null,
+            macAddress: info.macAddress || null,
+            firmwareVersion: info.firmwareVersion || null,
+            firmwareReleasedDate: info.firmwareReleasedDate || null,
+            deviceType: info.deviceType || null
+        };
+    } catch (error) {
+        entry.errors.info = error.message;
+    }
+
+    try {
+        const requestedAt = Date.now();
+        const time = (await request('/ISAPI/System/time')).Time || {};
+        const deviceTime = parseDeviceTime(time.localTime, time.timeZone);
+        // Время ответа устройства - середина запроса
+        const serverTime = Math.round((requestedAt + Date.now()) / 2);
+        entry.time = {
+            localTime: time.localTime || null,
+            timeZone: time.timeZone || null,
+            timeMode: time.timeMode || null,
+            driftSeconds: deviceTime === null ? null : Math.round((deviceTime - serverTime) / 1000)
+        };
+    } catch (error) {
+        entry.errors.time = error.message;
+    }
+
+    try {
+        const capabilities = (await request('/ISAPI/AccessControl/capabilities')).AcsCap;
+        if (!capabilities) throw new Error('Response does not contain AcsCap');
+        entry.capabilities = parseAcsCapabilities(capabilities);
+    } catch (error) {
+        entry.errors.capabilities = error.message;
+    }
+
+    return entry;
+}
+
+function isDeviceHealthStale(deviceId) {
+    const entry = deviceHealthCache.get(deviceId);
+    return !entry || Date.now() - Date.parse(entry.fetchedAt) > CONFIG.DEVICE_INFO_TTL;
+}
+
+// Обновление сведений; одновременные запросы к одному устройству объединяются
+function refreshDeviceHealth(device) {
+    if (!deviceHealthRequests.has(device.id)) {
+        const pending = fetchDeviceHealth(device)
+            .then(entry => {
+                deviceHealthCache.set(device.id, entry);
+                return entry;
+            })
+            .finally(() => deviceHealthRequests.delete(device.id));
+        deviceHealthRequests.set(device.id, pending);
+    }
+    return deviceHealthRequests.get(device.id);
+}
+
+// Предупреждения по устройству: нет связи, расхождение часов, прошивка, двери вне возможностей контроллера
+function getDeviceHealthWarnings(device, status, entry) {
+    const warnings = [];
+
+    if (status.online === false) {
+        warnings.push({ code: 'offline', message: `Нет связи: ${status.lastError}` });
+    }
+
+    if (entry && entry.time && entry.time.driftSeconds !== null &&
+        Math.abs(entry.time.driftSeconds) * 1000 > CONFIG.CLOCK_DRIFT_LIMIT) {
+        warnings.push({
+            code: 'clockDrift',
+            message: `Часы контроллера расходятся с сервером на ${entry.time.driftSeconds} с`
+        });
+    }
+
+    const version = entry && entry.info && parseFirmwareVersion(entry.info.firmwareVersion);
+    const minVersion = parseFirmwareVersion(CONFIG.MIN_FIRMWARE_VERSION);
+    if (version && minVersion && compareVersions(version, minVersion) < 0) {
+        warnings.push({
+            code: 'firmware',
+            message: `Прошивка ${entry.info.firmwareVersion} старше поддерживаемой ${CONFIG.MIN_FIRMWARE_VERSION}`
+        });
+    }
+
+    const capabilities = entry && entry.capabilities;
+    if (capabilities) {
+        if (capabilities.commands) {
+            const missing = ['open', 'alwaysOpen', 'alwaysClose', 'resume'].filter(cmd => !capabilities.commands.includes(cmd));
+            if (missing.length > 0) {
+                warnings.push({ code: 'unsupportedCommand', message: `Контроллер не поддерживает команды: ${missing.join(', ')}` });
+            }
+        }
+        if (capabilities.doorCount) {
+            device.doors.filter(door => door.doorNo > capabilities.doorCount).forEach(door => {
+                warnings.push({
+                    code: 'doorMissing',
+                    message: `Дверь ${door.doorNo} (${door.name}) отсутствует на контроллере: дверей ${capabilities.doorCount}`
+                });
+            });
+        }
+    }
+
+    return warnings;
+}
+
+// Состояние устройства для администратора: связь, задержка, сведения из кеша и предупреждения
+function buildDeviceHealth(device) {
+    const status = getDeviceStatus(device.id);
+    const entry = deviceHealthCache.get(device.id) || null;
+
+    return {
+        deviceId: device.id,
+        name: device.name,
+        online: status.online,
+        lastSeen: status.lastSeen,
+        lastPoll: status.lastPoll,
+        lastError: status.lastError,
+        latency: status.latency === undefined ? null : status.latency,
+        uptime: status.uptime === undefined ? null : status.uptime,
+        rebootedAt: status.rebootedAt || null,
+        fetchedAt: entry ? entry.fetchedAt : null,
+        info: entry ? entry.info : null,
+        time: entry ? entry.time : null,
+        capabilities: entry ? entry.capabilities : null,
+        fetchErrors: entry ? entry.errors : {},
+        warnings: getDeviceHealthWarnings(device, status, entry)
+    };
+}
+
+// События контроллеров (AcsEvent): проходы по карте/лицу, отказы, взлом и удержание двери, вскрытие корпуса.
+// Контроллер отправляет их сервису как на HTTP listening host.
+// Ключ - 'major:minor' из кодов событий Hikvision
+const ACS_EVENT_TYPES = {
+    '5:1': { type: 'granted', text: 'Проход по карте' },
+    '5:2': { type: 'granted', text: 'Проход по карте и паролю' },
+    '5:3': { type: 'denied', text: 'Неверный пароль к карте' },
+    '5:6': { type: 'denied', text: 'Нет прав доступа' },
+    '5:7': { type: 'denied', text: 'Вне разрешенного времени' },
+    '5:8': { type: 'denied', text: 'Срок действия карты истек' },
+    '5:9': { type: 'denied', text: 'Неизвестная карта' },
+    '5:21': { type: 'doorOpen', text: 'Дверь открыта' },
+    '5:22': { type: 'doorClose', text: 'Дверь закрыта' },
+    '5:23': { type: 'doorForced', text: 'Дверь открыта без разрешения' },
+    '5:24': { type: 'doorHeldOpen', text: 'Дверь удерживается открытой' },
+    '5:38': { type: 'granted', text: 'Проход по отпечатку' },
+    '5:39': { type: 'denied', text: 'Отпечаток не распознан' },
+    '5:75': { type: 'granted', text: 'Проход по лицу' },
+    '5:76': { type: 'denied', text: 'Лицо не распознано' },
+    '1:1028': { type: 'tamper', text: 'Вскрытие корпуса контроллера' },
+    '1:1030': { type: 'tamper', text: 'Вскрытие считывателя' }
+};
+
+const ACS_EVENT_TYPE_NAMES = {
+    granted: 'Доступ разрешен',
+    denied: 'Доступ запрещен',
+    doorOpen: 'Дверь открыта',
+    doorClose: 'Дверь закрыта',
+    doorForced: 'Взлом двери',
+    doorHeldOpen: 'Дверь не закрыта',
+    tamper: 'Вскрытие',
+    other: 'Прочее'
+};
+
+function toIntOrNull(value) {
+    const number = parseInt(value, 10);
+    return isNaN(number) ? null : number;
+}
+
+// Приводит событие к общему виду. Понимает push-уведомление (EventNotificationAlert с AccessControllerEvent,
+// JSON или XML) и элемент AcsEvent.InfoList из поиска событий. Возвращает null для не-AcsEvent (heartBeat и т.п.)
+function normalizeAcsEvent(payload) {
+    const alert = payload.EventNotificationAlert || payload;
+    const info = alert.AccessControllerEvent || (alert.major !== undefined ? alert : null);
+    if (!info) return null;
+
+    const major = toIntOrNull(info.majorEventType !== undefined ? info.majorEventType : info.major);
+    const minor = toIntOrNull(info.subEventType !== undefined ? info.subEventType : info.minor);
+    const known = ACS_EVENT_TYPES[`${major}:${minor}`] || { type: 'other', text: `Событие ${major}:${minor}` };
+    const time = new Date(alert.dateTime || info.time || Date.now());
+
+    return {
+        time: isNaN(time.getTime()) ? new Date().toISOString() : time.toISOString(),
+        type: known.type,
+        text: known.text,
+        major,
+        minor,
+        doorNo: toIntOrNull(info.doorNo) || 1,
+        cardNo: info.cardNo || null,
+        employeeNo: info.employeeNoString || (info.employeeNo !== undefined ? String(info.employeeNo) : null),
+        name: info.name || null,
+        verifyMode: info.currentVerifyMode || null,
+        serialNo: toIntOrNull(info.serialNo),
+        sourceIp: alert.ipAddress || null
+    };
+}
+
+// Из multipart/form-data (так контроллер шлет события с фото) берем часть с JSON или XML события
+function extractEventPayload(body, contentType) {
+    const boundaryMatch = /boundary="?([^";]+)"?/i.exec(contentType || '');
+    if (!/^multipart\//i.test(contentType || '') || !boundaryMatch) return body.toString('utf8');
+
+    const parts = body.toString('latin1').split(`--${boundaryMatch[1]}`);
+    for (const part of parts) {
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd === -1) continue;
+        const headers = part.slice(0, headerEnd).toLowerCase();
+        if (/name="?(event_log|accesscontrollerevent|eventnotificationalert)"?/.test(headers) ||
+            /content-type:\s*(application\/json|application\/xml|text\/xml)/.test(headers)) {
+            return Buffer.from(part.slice(headerEnd + 4).replace(/\r\n$/, ''), 'latin1').toString('utf8');
+        }
+    }
+    return null;
+}
+
+async function parseAcsEventPayload(text) {
+    const trimmed = (text || '').trim();
+    if (trimmed.startsWith('{')) return normalizeAcsEvent(JSON.parse(trimmed));
+    if (trimmed.startsWith('<')) {
+        return normalizeAcsEvent(await xml2js.parseStringPromise(trimmed, { explicitArray: false }));
+    }
+    throw new Error('Неизвестный формат события');
+}
+
+// Последние serialNo по устройствам: контроллер повторяет неподтвержденные события
+const recentEventSerials = new Map();
+
+function isDuplicateEvent(deviceId, serialNo) {
+    if (serialNo === null) return false;
+    const serials = recentEventSerials.get(deviceId) || [];
+    if (serials.includes(serialNo)) return true;
+    serials.push(serialNo);
+    if (serials.length > 200) serials.shift();
+    recentEventSerials.set(deviceId, serials);
+    return false;
+}
+
+// Сохраняет событие устройства и рассылает его в поток. Возвращает запись или null для повтора
+function storeAccessEvent(device, event) {
+    if (isDuplicateEvent(device.id, event.serialNo)) return null;
+
+    const door = findDoor(device, event.doorNo);
+    const record = {
+        id: generateId('evt'),
+        receivedAt: new Date().toISOString(),
+        deviceId: device.id,
+        deviceName: device.name,
+        doorName: door ? door.name : null,
+        ...event
+    };
+
+    const deviceDir = path.join(CONFIG.EVENTS_DIR, device.id);
+    try {
+        fs.mkdirSync(deviceDir, { recursive: true });
+        fs.appendFileSync(path.join(deviceDir, `${record.time.split('T')[0]}.jsonl`), JSON.stringify(record) + '\n', 'utf8');
+    } catch (error) {
+        console.error('❌ Error writing access event:', error);
+    }
+
+    console.log(`🪪 ${device.name}, дверь ${record.doorNo}: ${record.text}${record.name ? ` (${record.name})` : ''}`);
+    serviceEvents.emit('access', record);
+    return record;
+}
+
+// Устройство, приславшее событие: по ?device=<id>, иначе по IP из события или адресу соединения
+function findEventDevice(devicesData, deviceId, addresses) {
+    if (deviceId) return findDevice(devicesData, deviceId);
+    return devicesData.devices.find(d => addresses.includes(d.ip)) || null;
+}
+
+// События по фильтрам { from, to (Date), device, doorNo, type, limit }, новые сначала
+function queryAccessEvents(filters = {}) {
+    const fromDay = filters.from ? filters.from.toISOString().split('T')[0] : null;
+    const toDay = filters.to ? filters.to.toISOString().split('T')[0] : null;
+    const records = [];
+
+    if (!fs.existsSync(CONFIG.EVENTS_DIR)) return { total: 0, records };
+
+    const deviceDirs = filters.device ? [filters.device] : fs.readdirSync(CONFIG.EVENTS_DIR);
+    deviceDirs.forEach(deviceId => {
+        const deviceDir = path.join(CONFIG.EVENTS_DIR, path.basename(deviceId));
+        if (!fs.existsSync(deviceDir)) return;
+
+        fs.readdirSync(deviceDir)
+            .filter(fileName => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(fileName))
+            .filter(fileName => (!fromDay || fileName >= fromDay) && (!toDay || fileName.slice(0, 10) <= toDay))
+            .forEach(fileName => {
+                fs.readFileSync(path.join(deviceDir, fileName), 'utf8').split('\n').forEach(line => {
+                    if (!line.trim()) return;
+                    let record;
+                    try {
+                        record = JSON.parse(line);
+                    } catch (error) {
+                        return;
+                    }
+
+                    const time = new Date(record.time);
+                    if (filters.from && time < filters.from) return;
+                    if (filters.to && time > filters.to) return;
+                    if (filters.doorNo && record.doorNo !== filters.doorNo) return;
+                    if (filters.type && record.type !== filters.type) return;
+                    records.push(record);
+                });
+            });
+    });
+
+    records.sort((a, b) => b.time.localeCompare(a.time));
+    const limit = Math.min(filters.limit || CONFIG.AUDIT_QUERY_LIMIT, CONFIG.AUDIT_QUERY_LIMIT);
+    return { total: records.length, records: records.slice(0, limit) };
+}
+
+function cleanupEventLogs(now = new Date()) {
+    if (!CONFIG.EVENTS_RETENTION_DAYS || !fs.existsSync(CONFIG.EVENTS_DIR)) return 0;
+
+    const cutoff = new Date(now.getTime() - CONFIG.EVENTS_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+        .toISOString().split('T')[0];
+    let removed = 0;
+
+    fs.readdirSync(CONFIG.EVENTS_DIR).forEach(deviceId => {
+        const deviceDir = path.join(CONFIG.EVENTS_DIR, deviceId);
+        fs.readdirSync(deviceDir).forEach(fileName => {
+            if (!/^\d{4}-\d{2}-\d{2}\.jsonl$/.test(fileName) || fileName.slice(0, 10) >= cutoff) return;
+            try {
+                fs.unlinkSync(path.join(deviceDir, fileName));
+                removed++;
+            } catch (error) {
+                console.error(`❌ Error removing old events ${fileName}:`, error);
+            }
+        });
+    });
+
+    if (removed > 0) console.log(`🧹 Removed ${removed} event file(s) older than ${CONFIG.EVENTS_RETENTION_DAYS} days`);
+    return removed;
+}
+
+let eventsTokenCache = null;
+
+// Токен приема событий: переменная окружения, затем файл; если нет ни того, ни другого - создается файл
+function getEventsToken() {
+    if (eventsTokenCache) return eventsTokenCache;
+
+    if (CONFIG.EVENTS_TOKEN) {
+        eventsTokenCache = CONFIG.EVENTS_TOKEN;
+    } else if (fs.existsSync(CONFIG.EVENTS_TOKEN_FILE)) {
+        eventsTokenCache = fs.readFileSync(CONFIG.EVENTS_TOKEN_FILE, 'utf8').trim();
+    } else {
+        eventsTokenCache = crypto.randomBytes(24).toString('hex');
+        fs.mkdirSync(path.dirname(CONFIG.EVENTS_TOKEN_FILE), { recursive: true });
+        fs.writeFileSync(CONFIG.EVENTS_TOKEN_FILE, eventsTokenCache + '\n', { mode: 0o600 });
+        console.log(`🔐 Created events token: ${CONFIG.EVENTS_TOKEN_FILE}`);
+    }
+    return eventsTokenCache;
+}
+
+// Прописывает сервис на контроллере как HTTP listening host (JSON-уведомления)
+async function configureEventHost(device, options = {}) {
+    if (!CONFIG.EVENTS_PUBLIC_URL) {
+        return { success: false, message: 'Не задан EVENTS_PUBLIC_URL - адрес сервиса для контроллеров' };
+    }
+
+    const publicUrl = new URL(CONFIG.EVENTS_PUBLIC_URL);
+    const params = new URLSearchParams({ device: device.id, token: getEventsToken() });
+
+    const builder = new xml2js.Builder({ rootName: 'HttpHostNotificationList', headless: true, renderOpts: { pretty: false } });
+    const xml = builder.buildObject({
+        $: { version: '2.0', xmlns: 'http://www.isapi.org/ver20/XMLSchema' },
+        HttpHostNotification: {
+            id: 1,
+            url: `${publicUrl.pathname.replace(/\/$/, '')}/api/events/ingest?${params}`,
+            protocolType: publicUrl.protocol === 'https:' ? 'HTTPS' : 'HTTP',
+            parameterFormatType: 'JSON',
+            addressingFormatType: 'ipaddress',
+            ipAddress: publicUrl.hostname,
+            portNo: publicUrl.port || (publicUrl.protocol === 'https:' ? 443 : 80),
+            httpAuthenticationMethod: 'none'
+        }
+    });
+
+    try {
+        const digestAuth = new DigestAuth(device.login, device.password);
+        const response = await makeDigestRequest(device.ip, '/ISAPI/Event/notification/httpHosts', 'PUT', xml, digestAuth, {
+            ...getDeviceConnection(device),
+            timeout: options.timeout
+        });
+        const result = await parseResponseStatus(response);
+        return {
+            success: result.success,
+            message: result.success ? 'Сервис назначен получателем событий' : `Контроллер отклонил настройку (код ${result.statusCode})`
+        };
+    } catch (error) {
+        return { success: false, message: error.message };
+    }
+}
+
+function readRawBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new HttpError(413, 'payload_too_large', 'Слишком большое тело запроса'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// Прием уведомления от контроллера. Сессии здесь нет: запрос принимается только с токеном,
+// устройство определяется по адресу
+async function handleEventIngest(req, res, query) {
+    if (!safeEqual(query.token || '', getEventsToken())) {
+        sendJson(res, 401, { success: false, message: 'Неверный токен' });
+        return;
+    }
+
+    const body = await readRawBody(req, CONFIG.EVENTS_MAX_BODY);
+    const payload = extractEventPayload(body, req.headers['content-type']);
+    if (!payload) {
+        sendJson(res, 400, { success: false, message: 'В запросе нет данных события' });
+        return;
+    }
+
+    let event;
+    try {
+        event = await parseAcsEventPayload(payload);
+    } catch (error) {
+        sendJson(res, 400, { success: false, message: `Не удалось разобрать событие: ${error.message}` });
+        return;
+    }
+    // heartBeat и прочие не-AcsEvent уведомления просто подтверждаем
+    if (!event) {
+        sendJson(res, 200, { success: true, ignored: true });
+        return;
+    }
+
+    const remoteAddress = (req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+    const device = findEventDevice(loadDevices(), query.device, [event.sourceIp, remoteAddress].filter(Boolean));
+    if (!device) {
+        console.log(`⚠️ Event from unknown device ${event.sourceIp || remoteAddress}`);
+        sendJson(res, 404, { success: false, message: 'Устройство не найдено' });
+        return;
+    }
+
+    const record = storeAccessEvent(device, event);
+    sendJson(res, 200, { success: true, duplicate: record === null });
+}
+
+// Перевод двери в состояние с сохранением статуса, рассылкой события 'control' и внеочередным опросом.
+// Общий путь для веб-запросов и расписаний; audit.user - кто выполняет действие
+async function controlDoor(device, door, state, audit) {
+    const key = doorKey(device.id, door.doorNo);
+    doorsInControl.add(key);
+    let result;
+    try {
+        result = await setDoorState(
+            device.ip,
+            device.login,
+            device.password,
+            state,
+            door.doorNo,
+            { ...getDeviceConnection(device), doorParam: door.doorParam, audit }
+        );
+
+        if (result.success && !isMomentaryState(state)) {
+            updateDeviceStatus(device.id, door.doorNo, state);
+        }
+    } finally {
+        doorsInControl.delete(key);
+    }
+
+    serviceEvents.emit('control', {
+        deviceId: device.id,
+        doorNo: door.doorNo,
+        ip: device.ip,
+        name: device.name,
+        doorName: door.name,
+        state,
+        login: audit.user,
+        source: audit.source || null,
+        success: result.success,
+        message: result.message,
+        timestamp: new Date().toISOString()
+    });
+
+    // Сразу уточняем фактическое состояние, не дожидаясь очередного опроса
+    pollDevice(device).catch(error => console.error('❌ Status poll error:', error));
+
+    return result;
+}
+
+// Массовое управление: двери переключаются параллельно (не более BULK_CONCURRENCY одновременно),
+// неудачные попытки повторяются BULK_RETRIES раз с растущей паузой. targets: [{ device, door }]
+async function runBulkControl(targets, state, audit) {
+    return runWithConcurrency(targets, CONFIG.BULK_CONCURRENCY, async ({ device, door }) => {
+        let result = { success: false, message: 'Не выполнялось' };
+        let attempts = 0;
+
+        while (attempts <= CONFIG.BULK_RETRIES) {
+            if (attempts > 0) {
+                await new Promise(resolve => setTimeout(resolve, CONFIG.BULK_RETRY_DELAY * attempts));
+            }
+            attempts++;
+            try {
+                result = await controlDoor(device, door, state, {
+                    ...audit,
+                    deviceId: device.id,
+                    deviceName: device.name,
+                    doorName: door.name
+                });
+            } catch (error) {
+                result = { success: false, message: error.message };
+            }
+            if (result.success) break;
+        }
+
+        return {
+            deviceId: device.id,
+            doorNo: door.doorNo,
+            deviceName: device.name,
+            doorName: door.name,
+            success: result.success,
+            message: result.message,
+            attempts
+        };
+    });
+}
+
+// Двери по записям вида 'deviceId' / 'deviceId:doorNo': [{ device, door }]
+function resolveTargets(entries, devices) {
+    const keys = new Set(entries.flatMap(entry => resolveGroupEntry(entry, devices)));
+    return devices.flatMap(device => device.doors
+        .filter(door => keys.has(doorKey(device.id, door.doorNo)))
+        .map(door => ({ device, door })));
+}
+
+// Экстренный режим: { active, mode: 'lockdown' | 'evacuation', state, group, doors: [ключи дверей],
+// reason, startedBy, startedAt, results }. Пока он действует, двери режима не переключаются
+// ни вручную, ни по расписанию - до снятия администратором
+// Эвакуация открывает и чувствительные двери без заявки: это осознанное исключение из двухэтапного
+// подтверждения (requiresApproval), при пожаре ждать второго сотрудника нельзя
+const EMERGENCY_MODES = {
+    lockdown: { state: 5, action: 'lock', title: 'Блокировка' },
+    evacuation: { state: 1, action: 'open', title: 'Эвакуация' }
+};
+
+const emergencyStore = new ConfigStore(CONFIG.EMERGENCY_FILE, {
+    defaults: () => ({ active: false }),
+    validate: data => {
+        if (!isPlainObject(data) || typeof data.active !== 'boolean') return ['ожидается объект { "active": true | false, ... }'];
+        return data.active && !Array.isArray(data.doors) ? ['doors: ожидается массив'] : [];
+    }
+});
+
+function loadEmergency() {
+    return emergencyStore.get();
+}
+
+function saveEmergency(emergency) {
+    return emergencyStore.save(emergency);
+}
+
+function isDoorInEmergency(emergency, deviceId, doorNo) {
+    return Boolean(emergency.active && emergency.doors.includes(doorKey(deviceId, doorNo)));
+}
+
+// Кто может объявить режим: администратор - для всех дверей или группы,
+// остальные - только для группы, на все двери которой у них есть нужное действие
+function canStartEmergency(login, mode, targets) {
+    if (isAdmin(login)) return true;
+    if (targets.length === 0) return false;
+    const permissions = getUserPermissions(login);
+    return targets.every(({ device, door }) => {
+        const actions = permissions.get(doorKey(device.id, door.doorNo));
+        return Boolean(actions && actions.has(EMERGENCY_MODES[mode].action));
+    });
+}
+
+async function startEmergency(mode, targets, login, options = {}) {
+    const emergency = {
+        active: true,
+        mode,
+        state: EMERGENCY_MODES[mode].state,
+        group: options.group || null,
+        doors: targets.map(({ device, door }) => doorKey(device.id, door.doorNo)),
+        reason: options.reason || '',
+        startedBy: login,
+        startedAt: new Date().toISOString(),
+        results: []
+    };
+    saveEmergency(emergency);
+    console.log(`🚨 ${EMERGENCY_MODES[mode].title}: ${login} -> ${targets.length} door(s)${emergency.reason ? ` (${emergency.reason})` : ''}`);
+    serviceEvents.emit('emergency', emergency);
+
+    emergency.results = await runBulkControl(targets, emergency.state, {
+        user: login,
+        clientIp: options.clientIp,
+        source: 'emergency'
+    });
+    emergency.updatedAt = new Date().toISOString();
+
+    // Пока шли команды, режим могли снять
+    if (loadEmergency().active) {
+        saveEmergency(emergency);
+        serviceEvents.emit('emergency', emergency);
+    }
+
+    const failed = emergency.results.filter(result => !result.success).length;
+    console.log(`🚨 ${EMERGENCY_MODES[mode].title}: ${targets.length - failed}/${targets.length} doors switched`);
+    return emergency;
+}
+
+// Повтор для дверей, которые не удалось переключить при объявлении режима (из прохода планировщика)
+async function retryEmergencyDoors(now = new Date()) {
+    const emergency = loadEmergency();
+    if (!emergency.active || !emergency.updatedAt) return;
+    if (now - new Date(emergency.updatedAt) < CONFIG.SCHEDULER_RETRY_INTERVAL) return;
+
+    const failedKeys = emergency.results.filter(result => !result.success).map(result => doorKey(result.deviceId, result.doorNo));
+    if (failedKeys.length === 0) return;
+
+    const retried = await runBulkControl(resolveTargets(failedKeys, loadDevices().devices), emergency.state, {
+        user: emergency.startedBy,
+        source: 'emergency'
+    });
+    const current = loadEmergency();
+    if (!current.active || current.startedAt !== emergency.startedAt) return;
+
+    current.results = current.results.map(result =>
+        retried.find(r => r.deviceId === result.deviceId && r.doorNo === result.doorNo) || result);
+    current.updatedAt = new Date().toISOString();
+    saveEmergency(current);
+    serviceEvents.emit('emergency', current);
+}
+
+// Снятие режима: двери по расписанию вернутся к нему на ближайшем проходе планировщика,
+// остальные переводятся в обычный режим (RESUME)
+async function clearEmergency(login, options = {}) {
+    const emergency = loadEmergency();
+    if (!emergency.active) return null;
+
+    const cleared = { active: false, clearedBy: login, clearedAt: new Date().toISOString(), previous: { ...emergency, results: undefined } };
+    saveEmergency(cleared);
+    console.log(`✅ Emergency mode cleared by ${login}`);
+    serviceEvents.emit('emergency', cleared);
+
+    const schedulesData = loadSchedules();
+    const devices = loadDevices().devices;
+    const applied = loadSchedulerState();
+    const unscheduled = [];
+
+    resolveTargets(emergency.doors, devices).forEach(target => {
+        if (findDoorSchedule(schedulesData, devices, target.device.id, target.door.doorNo)) {
+            delete applied[doorKey(target.device.id, target.door.doorNo)];
+        } else {
+            unscheduled.push(target);
+        }
+    });
+    saveSchedulerState(applied);
+
+    const results = options.resume === false ? [] : await runBulkControl(unscheduled, 3, {
+        user: login,
+        clientIp: options.clientIp,
+        source: 'emergency'
+    });
+    runScheduler();
+    return { ...cleared, results };
+}
+
+// Заявки на открытие чувствительных дверей (door.sensitive): режим "Открыто" включается только после того,
+// как заявку подтвердит второй сотрудник с правом открывать эту дверь. По истечении срока дверь возвращается
+// в обычный режим (или к расписанию), если ее режим с тех пор никто не менял.
+// Заявка: { id, deviceId, doorNo, deviceName, doorName, reason, durationMinutes, status,
+//   requestedBy, requestedAt, decidedBy, decidedAt, comment, appliedAt, expiresAt, closedBy, closedAt, result }
+const APPROVAL_STATUSES = {
+    pending: 'Ожидает подтверждения',
+    approved: 'Открыта по заявке',
+    expired: 'Срок истек',
+    rejected: 'Отклонена',
+    cancelled: 'Отменена',
+    stale: 'Не рассмотрена вовремя',
+    failed: 'Не выполнена'
+};
+
+const approvalsStore = new ConfigStore(CONFIG.APPROVALS_FILE, {
+    defaults: () => ({ requests: [] }),
+    validate: data => {
+        if (!isPlainObject(data)) return ['ожидается объект { "requests": [...] }'];
+        const errors = validateList(data.requests, 'requests', (request, where) => [
+            ...(typeof request.id === 'string' ? [] : [`${where}.id: не указан id`]),
+            ...(APPROVAL_STATUSES[request.status] ? [] : [`${where}.status: неизвестный статус`])
+        ]);
+        return errors.length > 0 ? errors : checkUniqueIds(data.requests, 'requests');
+    }
+});
+
+function loadApprovals() {
+    return approvalsStore.get();
+}
+
+function requiresApproval(door, state) {
+    return Boolean(door && door.sensitive) && state === ACTIONS.open.state;
+}
+
+function isApprovalOpen(request) {
+    return request.status === 'pending' || request.status === 'approved';
+}
+
+function findOpenApproval(approvalsData, deviceId, doorNo) {
+    return approvalsData.requests.find(request =>
+        request.deviceId === deviceId && request.doorNo === doorNo && isApprovalOpen(request)) || null;
+}
+
+// Переход заявки из одного из статусов from в новый; проверка и запись атомарны,
+// поэтому два одновременных подтверждения не откроют дверь дважды. Возвращает заявку или null
+function transitionApproval(id, from, changes) {
+    let updated = null;
+    approvalsStore.update(approvalsData => {
+        const request = approvalsData.requests.find(r => r.id === id);
+        if (!request || !from.includes(request.status)) return false;
+        Object.assign(request, changes);
+        updated = { ...request };
+    });
+    return updated;
+}
+
+function logApproval(request, message, login, details = {}) {
+    const device = findDevice(loadDevices(), request.deviceId);
+    logToFile(message, device ? device.ip : null, ACTIONS.open.state, request.doorNo, {
+        user: login,
+        source: 'approval',
+        deviceId: request.deviceId,
+        deviceName: request.deviceName,
+        doorName: request.doorName,
+        ...details
+    });
+}
+
+function emitApproval(request) {
+    serviceEvents.emit('approval', request);
+    serviceEvents.emit('device', request.deviceId);
+}
+
+// { deviceId, doorNo, reason, durationMinutes } -> { errors, request, device, door }
+function validateApprovalRequest(input, devicesData) {
+    const data = input || {};
+    const errors = [];
+    const doorNo = data.doorNo === undefined ? 1 : parseInt(data.doorNo, 10);
+    const device = findDevice(devicesData, data.deviceId);
+    const door = findDoor(device, doorNo);
+    const reason = typeof data.reason === 'string' ? data.reason.trim() : '';
+    const durationMinutes = Number(data.durationMinutes);
+
+    if (!door) errors.push('Дверь не найдена');
+    else if (!door.sensitive) errors.push('Дверь не требует подтверждения: откройте ее обычной командой');
+    if (!reason) errors.push('Укажите причину');
+    if (reason.length > 200) errors.push('Причина длиннее 200 символов');
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > CONFIG.APPROVAL_MAX_MINUTES) {
+        errors.push(`Срок открытия должен быть от 1 до ${CONFIG.APPROVAL_MAX_MINUTES} минут`);
+    }
+
+    const request = {
+        deviceId: device ? device.id : null,
+        doorNo,
+        deviceName: device ? device.name : null,
+        doorName: door ? door.name : null,
+        reason,
+        durationMinutes
+    };
+    return { errors, request, device, door };
+}
+
+function createApproval(request, login, clientIp) {
+    const created = {
+        id: generateId('apr'),
+        ...request,
+        status: 'pending',
+        requestedBy: login,
+        requestedAt: new Date().toISOString(),
+        decidedBy: null,
+        decidedAt: null,
+        comment: null,
+        appliedAt: null,
+        expiresAt: null,
+        closedBy: null,
+        closedAt: null,
+        result: null
+    };
+
+    let duplicate = null;
+    const saved = approvalsStore.update(approvalsData => {
+        duplicate = findOpenApproval(approvalsData, request.deviceId, request.doorNo);
+        if (duplicate) return false;
+        approvalsData.requests.push(created);
+
+        // История ограничена: старые закрытые заявки удаляются
+        const closed = approvalsData.requests.filter(r => !isApprovalOpen(r));
+        const excess = closed.length - CONFIG.APPROVAL_HISTORY_LIMIT;
+        if (excess > 0) {
+            const removed = new Set(closed.slice(0, excess));
+            approvalsData.requests = approvalsData.requests.filter(r => !removed.has(r));
+        }
+    });
+    if (duplicate) return { duplicate };
+    if (!saved) return { error: 'Не удалось сохранить заявку' };
+
+    console.log(`🔐 ${login} requested always-open for ${created.deviceName} door ${created.doorNo} (${created.durationMinutes} min)`);
+    logApproval(created, `Заявка на открытие на ${created.durationMinutes} мин: ${created.reason}`, login, { clientIp });
+    notify('approvalRequested', created);
+    emitApproval(created);
+    return { request: created };
+}
+
+// Подтверждение: дверь открывается от имени подтвердившего, срок отсчитывается с момента открытия
+async function approveApproval(id, login, comment, clientIp) {
+    const decided = transitionApproval(id, ['pending'], {
+        status: 'approved',
+        decidedBy: login,
+        decidedAt: new Date().toISOString(),
+        comment
+    });
+    if (!decided) return null;
+
+    logApproval(decided, `Заявка подтверждена (запросил ${decided.requestedBy})`, login, { clientIp });
+    const device = findDevice(loadDevices(), decided.deviceId);
+    const door = findDoor(device, decided.doorNo);
+    let result = { success: false, message: 'Дверь не найдена' };
+    if (door) {
+        // Ошибка связи не должна оставить заявку подтвержденной без срока: она станет failed
+        try {
+            result = await controlDoor(device, door, ACTIONS.open.state, { user: login, clientIp, source: 'approval' });
+        } catch (error) {
+            result = { success: false, message: error.message };
+        }
+    }
+
+    const appliedAt = new Date();
+    const changes = result.success
+        ? {
+            appliedAt: appliedAt.toISOString(),
+            expiresAt: new Date(appliedAt.getTime() + decided.durationMinutes * 60 * 1000).toISOString()
+        }
+        : { status: 'failed', closedAt: appliedAt.toISOString(), result: { success: false, message: result.message } };
+    let updated = transitionApproval(id, ['approved'], changes);
+    if (!updated) {
+        // Заявку отменили или удалили из approvals.json, пока выполнялась команда: дверь не должна остаться открытой
+        const revert = result.success ? await revertApprovedDoor(decided, { user: login, clientIp, source: 'approval' }) : null;
+        const current = loadApprovals().requests.find(r => r.id === id);
+        if (!current) {
+            console.log(`⚠️ Approval ${id} disappeared while the door was being opened`);
+            return null;
+        }
+        updated = (revert && transitionApproval(id, [current.status], { result: revert })) || current;
+    }
+
+    emitApproval(updated);
+    return { request: updated, result };
+}
+
+// Возврат двери после открытия по заявке: к расписанию, если оно есть, иначе в обычный режим.
+// Дверь, режим которой после открытия изменили вручную или экстренным режимом, не трогается
+async function revertApprovedDoor(request, audit) {
+    const devices = loadDevices().devices;
+    const device = devices.find(d => d.id === request.deviceId);
+    const door = findDoor(device, request.doorNo);
+
+    if (!door) return { success: false, message: 'Дверь удалена' };
+    if (isDoorInEmergency(loadEmergency(), device.id, door.doorNo)) {
+        return { success: true, skipped: true, message: 'Действует экстренный режим' };
+    }
+    if (door.lastStatus !== ACTIONS.open.state) {
+        return { success: true, skipped: true, message: `Режим изменен: ${getStateText(door.lastStatus)}` };
+    }
+
+    if (findDoorSchedule(loadSchedules(), devices, device.id, door.doorNo)) {
+        const applied = loadSchedulerState();
+        delete applied[doorKey(device.id, door.doorNo)];
+        saveSchedulerState(applied);
+        await runScheduler();
+        return { success: true, message: 'Дверь возвращена к расписанию' };
+    }
+
+    const result = await controlDoor(device, door, ACTIONS.resume.state, audit);
+    return { success: result.success, message: result.success ? 'Дверь возвращена в обычный режим' : result.message };
+}
+
+// Закрытие заявки: отмена, отклонение, истечение срока. Открытая по заявке дверь возвращается
+async function closeApproval(id, from, status, login, details = {}) {
+    const before = loadApprovals().requests.find(r => r.id === id);
+    const closed = transitionApproval(id, from, {
+        status,
+        closedBy: login,
+        closedAt: new Date().toISOString(),
+        ...(details.comment !== undefined ? { comment: details.comment } : {})
+    });
+    if (!closed) return null;
+
+    const messages = {
+        expired: 'Срок открытия по заявке истек',
+        rejected: 'Заявка отклонена',
+        cancelled: 'Заявка отменена',
+        stale: 'Заявка не рассмотрена вовремя'
+    };
+    logApproval(closed, `${messages[status]}${details.comment ? `: ${details.comment}` : ''}`, login, {
+        clientIp: details.clientIp,
+        outcome: status === 'rejected' ? 'denied' : 'success'
+    });
+
+    let updated = closed;
+    if (before.status === 'approved' && before.appliedAt) {
+        const result = await revertApprovedDoor(closed, { user: login, clientIp: details.clientIp, source: 'approval' });
+        updated = transitionApproval(id, [status], { result }) || { ...closed, result };
+    }
+
+    console.log(`🔐 Approval ${id} for ${closed.deviceName} door ${closed.doorNo}: ${status} (${login})`);
+    emitApproval(updated);
+    return updated;
+}
+
+let approvalTimer = null;
+let approvalCheckInProgress = false;
+
+// Заявки без решения дольше APPROVAL_REQUEST_TTL устаревают, у открытых по заявке дверей истекает срок
+async function runApprovalExpiry(now = new Date()) {
+    if (approvalCheckInProgress) return;
+    approvalCheckInProgress = true;
+
+    try {
+        for (const request of loadApprovals().requests) {
+            if (request.status === 'pending' && now - new Date(request.requestedAt) >= CONFIG.APPROVAL_REQUEST_TTL) {
+                await closeApproval(request.id, ['pending'], 'stale', 'system');
+            } else if (request.status === 'approved' && request.expiresAt && now >= new Date(request.expiresAt)) {
+                await closeApproval(request.id, ['approved'], 'expired', 'system');
+            }
+        }
+    } catch (error) {
+        console.error('❌ Approval expiry error:', error.message);
+    } finally {
+        approvalCheckInProgress = false;
+    }
+}
+
+function startApprovalTimer() {
+    if (approvalTimer) return;
+    runApprovalExpiry();
+    approvalTimer = setInterval(runApprovalExpiry, CONFIG.APPROVAL_CHECK_INTERVAL);
+}
+
+function stopApprovalTimer() {
+    clearInterval(approvalTimer);
+    approvalTimer = null;
+}
+
+// Заявка для клиента: что текущий пользователь может с ней сделать. Подтвердить или отклонить
+// может только другой сотрудник с правом открывать дверь; отменить - автор или администратор
+function buildApprovalView(request, login, permissions, admin) {
+    const actions = permissions.get(doorKey(request.deviceId, request.doorNo));
+    const canOpen = Boolean(actions && actions.has('open'));
+    return {
+        ...request,
+        statusText: APPROVAL_STATUSES[request.status],
+        canDecide: request.status === 'pending' && canOpen && request.requestedBy !== login,
+        canCancel: isApprovalOpen(request) && (request.requestedBy === login || admin)
+    };
+}
+
+// Расписания дверей: { id, name, enabled, doors: ['deviceId' | 'deviceId:doorNo'],
+// rules: [{ days, from, to, state }], defaultState, holidayState? } и общий список праздников
+// [{ date: 'YYYY-MM-DD', name }]. В праздник правила не действуют - держится holidayState (или defaultState)
+const SCHEDULE_STATES = [1, 2, 3, 5];
+
+const schedulesStore = new ConfigStore(CONFIG.SCHEDULES_FILE, {
+    defaults: () => ({ schedules: [], holidays: [] }),
+    validate: data => {
+        if (!isPlainObject(data)) return ['ожидается объект { "schedules": [...], "holidays": [...] }'];
+        const errors = [
+            ...validateList(data.schedules || [], 'schedules', (schedule, where) => [
+                ...(typeof schedule.id === 'string' ? [] : [`${where}.id: не указан id`]),
+                ...(Array.isArray(schedule.doors) ? [] : [`${where}.doors: ожидается массив`]),
+                ...(Array.isArray(schedule.rules) ? [] : [`${where}.rules: ожидается массив`])
+            ]),
+            ...validateList(data.holidays || [], 'holidays', (holiday, where) =>
+                /^\d{4}-\d{2}-\d{2}$/.test(holiday.date) ? [] : [`${where}.date: ожидается дата ГГГГ-ММ-ДД`])
+        ];
+        return errors.length > 0 ? errors : checkUniqueIds(data.schedules || [], 'schedules');
+    }
+});
+
+function loadSchedules() {
+    const data = schedulesStore.get();
+    return { schedules: data.schedules || [], holidays: data.holidays || [] };
+}
+
+function saveSchedules(schedulesData) {
+    return schedulesStore.save(schedulesData);
+}
+
+// Дата YYYY-MM-DD по локальному времени процесса (TZ контейнера)
+function getLocalDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function isHoliday(holidays, date) {
+    const day = getLocalDate(date);
+    return holidays.some(holiday => holiday.date === day);
+}
+
+// Состояние, которое расписание требует в момент now
+function getScheduledState(schedule, holidays, now = new Date()) {
+    if (isHoliday(holidays, now)) {
+        return schedule.holidayState || schedule.defaultState;
+    }
+    const rule = schedule.rules.find(r => isInScheduleWindow(r, now));
+    return rule ? rule.state : schedule.defaultState;
+}
+
+// Ближайшее переключение в пределах недели: { at, state } или null, если состояние не меняется
+function getNextScheduledChange(schedule, holidays, now = new Date()) {
+    const current = getScheduledState(schedule, holidays, now);
+    const candidates = [];
+
+    for (let offset = 0; offset <= 8; offset++) {
+        const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+        candidates.push(day);
+        schedule.rules.forEach(rule => {
+            [rule.from, rule.to].forEach(time => {
+                const minutes = parseTimeOfDay(time);
+                if (minutes === null) return;
+                candidates.push(new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(minutes / 60), minutes % 60));
+            });
+        });
+    }
+
+    const next = candidates
+        .filter(at => at > now)
+        .sort((a, b) => a - b)
+        .find(at => getScheduledState(schedule, holidays, at) !== current);
+
+    return next ? { at: next.toISOString(), state: getScheduledState(schedule, holidays, next) } : null;
+}
+
+// Расписание, которому подчиняется дверь (у двери не больше одного включенного расписания)
+function findDoorSchedule(schedulesData, devices, deviceId, doorNo) {
+    const key = doorKey(deviceId, doorNo);
+    return schedulesData.schedules.find(schedule =>
+        schedule.enabled && schedule.doors.some(entry => resolveGroupEntry(entry, devices).includes(key))) || null;
+}
+
+const schedulerStateStore = new ConfigStore(CONFIG.SCHEDULER_STATE_FILE, {
+    defaults: () => ({}),
+    validate: data => (isPlainObject(data) ? [] : ['ожидается объект'])
+});
+
+function loadSchedulerState() {
+    return schedulerStateStore.get();
+}
+
+function saveSchedulerState(state) {
+    schedulerStateStore.save(state);
+}
+
+let schedulerTimer = null;
+let schedulerInProgress = false;
+
+// Один проход планировщика: дверь переключается, когда требуемое расписанием состояние отличается
+// от последнего выставленного им же. Ручное управление между переключениями расписание не перебивает,
+// а пропущенное за время простоя переключение выполняется при первом проходе после запуска
+async function runScheduler(now = new Date()) {
+    if (schedulerInProgress) return;
+    schedulerInProgress = true;
+
+    try {
+        await retryEmergencyDoors(now);
+
+        const schedulesData = loadSchedules();
+        const devices = loadDevices().devices;
+        const applied = loadSchedulerState();
+        const emergency = loadEmergency();
+        const activeKeys = new Set();
+        const tasks = [];
+
+        schedulesData.schedules.filter(schedule => schedule.enabled).forEach(schedule => {
+            const state = getScheduledState(schedule, schedulesData.holidays, now);
+            schedule.doors.forEach(entry => resolveGroupEntry(entry, devices).forEach(key => {
+                activeKeys.add(key);
+                // Во время экстренного режима расписание ждет; пропущенное выполнится после его снятия
+                if (emergency.active && emergency.doors.includes(key)) return;
+                const previous = applied[key];
+                if (previous && previous.state === state && previous.scheduleId === schedule.id) {
+                    if (previous.success !== false) return;
+                    if (now - new Date(previous.at) < CONFIG.SCHEDULER_RETRY_INTERVAL) return;
+                }
+                tasks.push({ key, schedule, state });
+            }));
+        });
+
+        // Двери, снятые с расписаний, больше не отслеживаются
+        Object.keys(applied).forEach(key => {
+            if (!activeKeys.has(key)) delete applied[key];
+        });
+
+        for (const task of tasks) {
+            const [deviceId, doorNo] = task.key.split(':');
+            const device = devices.find(d => d.id === deviceId);
+            const door = findDoor(device, Number(doorNo));
+
+            // Дверь могли отметить чувствительной уже после сохранения расписания: открывается только по заявке
+            if (requiresApproval(door, task.state)) {
+                console.log(`⚠️ Schedule "${task.schedule.name}": door ${task.key} opens only by approved request, skipped`);
+                applied[task.key] = { scheduleId: task.schedule.id, state: task.state, success: false, at: now.toISOString() };
+                continue;
+            }
+
+            console.log(`⏰ Schedule "${task.schedule.name}": ${device.name}, door ${door.doorNo} -> ${getStateText(task.state)}`);
+            let result;
+            try {
+                result = await controlDoor(device, door, task.state, {
+                    user: 'scheduler',
+                    source: 'scheduler',
+                    deviceId: device.id,
+                    deviceName: device.name,
+                    doorName: door.name
+                });
+            } catch (error) {
+                result = { success: false, message: error.message };
+            }
+
+            applied[task.key] = {
+                scheduleId: task.schedule.id,
+                state: task.state,
+                success: result.success,
+                at: now.toISOString()
+            };
+        }
+
+        saveSchedulerState(applied);
+    } catch (error) {
+        console.error('❌ Scheduler error:', error);
+    } finally {
+        schedulerInProgress = false;
+    }
+}
+
+function startScheduler() {
+    if (schedulerTimer) return;
+    runScheduler();
+    schedulerTimer = setInterval(runScheduler, CONFIG.SCHEDULER_INTERVAL);
+}
+
+function stopScheduler() {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+}
+
+// Убирает из расписаний удаленное устройство или его удаленные двери (как pruneGroupDevices для групп)
+function pruneScheduleDoors(deviceId, doorNos = null) {
+    const schedulesData = loadSchedules();
+    let changed = false;
+
+    schedulesData.schedules.forEach(schedule => {
+        const doors = schedule.doors.filter(entry => {
+            const [id, doorPart] = String(entry).split(':');
+            if (id !== deviceId) return true;
+            if (!doorNos) return false;
+            return doorPart === undefined || doorNos.includes(Number(doorPart));
+        });
+        if (doors.length !== schedule.doors.length) {
+            schedule.doors = doors;
+            changed = true;
+        }
+    });
+
+    if (changed) saveSchedules(schedulesData);
+}
+
+// Сотрудники и их карты (persons.json). Сотрудник назначается на устройства, двери или группы;
+// сервис записывает его на каждый затронутый контроллер через UserInfo/CardInfo (и FDLib для лица).
+// person_sync.json хранит, что и в каком виде уже записано на каждом контроллере
+const personsStore = new ConfigStore(CONFIG.PERSONS_FILE, {
+    defaults: () => ({ persons: [] }),
+    validate: data => {
+        if (!isPlainObject(data)) return ['ожидается объект { "persons": [...] }'];
+        const errors = validateList(data.persons, 'persons', (person, where) => [
+            ...(typeof person.id === 'string' ? [] : [`${where}.id: не указан id`]),
+            ...(typeof person.employeeNo === 'string' && person.employeeNo ? [] : [`${where}.employeeNo: не указан табельный номер`]),
+            ...['cards', 'devices', 'groups'].filter(field => !Array.isArray(person[field]))
+                .map(field => `${where}.${field}: ожидается массив`)
+        ]);
+        if (errors.length > 0) return errors;
+        return [...checkUniqueIds(data.persons, 'persons'), ...checkUniqueIds(data.persons, 'persons', 'employeeNo')];
+    }
+});
+
+function loadPersons() {
+    return personsStore.get();
+}
+
+function savePersons(personsData) {
+    return personsStore.save(personsData);
+}
+
+const personSyncStore = new ConfigStore(CONFIG.PERSON_SYNC_FILE, {
+    defaults: () => ({ devices: {} }),
+    validate: data => (isPlainObject(data) && isPlainObject(data.devices) ? [] : ['ожидается объект { "devices": {...} }'])
+});
+
+function loadPersonSyncState() {
+    return personSyncStore.get();
+}
+
+function savePersonSyncState(syncState) {
+    return personSyncStore.save(syncState);
+}
+
+function getFacePath(personId) {
+    return path.join(CONFIG.FACES_DIR, `${personId}.jpg`);
+}
+
+// Двери, на которые назначен сотрудник: Map deviceId -> отсортированные номера дверей
+function getPersonDoors(person, devices, groups) {
+    const entries = [...person.devices];
+    person.groups.forEach(groupId => {
+        const group = groups.find(g => g.id === groupId);
+        if (group) entries.push(...group.devices);
+    });
+
+    const result = new Map();
+    entries.forEach(entry => {
+        resolveGroupEntry(entry, devices).forEach(key => {
+            const [deviceId, doorNo] = key.split(':');
+            if (!result.has(deviceId)) result.set(deviceId, new Set());
+            result.get(deviceId).add(Number(doorNo));
+        });
+    });
+
+    return new Map([...result].map(([deviceId, doorNos]) => [deviceId, [...doorNos].sort((a, b) => a - b)]));
+}
+
+// Сотрудники, которые должны быть на устройстве: [{ person, doorNos, hash }].
+// hash - отпечаток данных, записываемых на контроллер; по нему видно, что запись устарела
+function getDevicePersons(device, personsData, devices, groups) {
+    return personsData.persons
+        .filter(person => person.enabled !== false)
+        .map(person => ({ person, doorNos: getPersonDoors(person, devices, groups).get(device.id) }))
+        .filter(item => item.doorNos && item.doorNos.length > 0)
+        .map(item => ({ ...item, hash: getPersonHash(item.person, item.doorNos) }));
+}
+
+function getPersonHash(person, doorNos) {
+    const data = {
+        employeeNo: person.employeeNo,
+        name: person.name,
+        validFrom: person.validFrom || null,
+        validUntil: person.validUntil || null,
+        doorNos,
+        cards: [...person.cards].sort(),
+        face: person.face ? person.face.hash : null
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex').slice(0, 16);
+}
+
+function buildUserInfo(person, doorNos) {
+    return {
+        UserInfo: {
+            employeeNo: person.employeeNo,
+            name: person.name,
+            userType: 'normal',
+            Valid: {
+                enable: true,
+                beginTime: `${person.validFrom || '2000-01-01'}T00:00:00`,
+                endTime: `${person.validUntil || '2037-12-31'}T23:59:59`,
+                timeType: 'local'
+            },
+            doorRight: doorNos.join(','),
+            RightPlan: doorNos.map(doorNo => ({ doorNo, planTemplateNo: '1' }))
+        }
+    };
+}
+
+// JSON-запрос ISAPI; statusCode в ответе, отличный от 1, - отказ устройства
+async function sendIsapiJson(device, digestAuth, method, isapiPath, body) {
+    const response = await makeDigestRequest(device.ip, isapiPath, method, JSON.stringify(body), digestAuth, {
+        ...getDeviceConnection(device),
+        contentType: 'application/json'
+    });
+    const result = response ? JSON.parse(response) : {};
+    if (result.statusCode !== undefined && Number(result.statusCode) !== 1) {
+        throw new IsapiError('rejected', result.subStatusCode || `statusCode ${result.statusCode}`, {
+            subStatusCode: result.subStatusCode || null
+        });
+    }
+    return result;
+}
+
+// Добавление записи (UserInfo или CardInfo); если она уже есть на контроллере - изменение
+async function upsertIsapiRecord(device, digestAuth, kind, body, existsCode) {
+    try {
+        await sendIsapiJson(device, digestAuth, 'POST', `/ISAPI/AccessControl/${kind}/Record?format=json`, body);
+    } catch (error) {
+        if (error.subStatusCode !== existsCode) throw error;
+        await sendIsapiJson(device, digestAuth, 'PUT', `/ISAPI/AccessControl/${kind}/Modify?format=json`, body);
+    }
+}
+
+// Фото лица в библиотеку FDLib (multipart: описание записи и JPEG)
+async function uploadFace(device, digestAuth, employeeNo, image) {
+    const boundary = `----scud${crypto.randomBytes(8).toString('hex')}`;
+    const record = JSON.stringify({ faceLibType: 'blackFD', FDID: '1', FPID: employeeNo });
+    const data = Buffer.concat([
+        Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="FaceDataRecord"\r\n` +
+            `Content-Type: application/json\r\n\r\n${record}\r\n` +
+            `--${boundary}\r\nContent-Disposition: form-data; name="img"; filename="face.jpg"\r\n` +
+            'Content-Type: image/jpeg\r\n\r\n'),
+        image,
+        Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]);
+
+    const response = await makeDigestRequest(device.ip, '/ISAPI/Intelligent/FDLib/FDSetUp?format=json', 'PUT', data, digestAuth, {
+        ...getDeviceConnection(device),
+        contentType: `multipart/form-data; boundary=${boundary}`
+    });
+    const result = response ? JSON.parse(response) : {};
+    if (result.statusCode !== undefined && Number(result.statusCode) !== 1) {
+        throw new IsapiError('rejected', result.subStatusCode || `statusCode ${result.statusCode}`);
+    }
+}
+
+// Удаление сотрудника с контроллера; карты и лицо удаляются вместе с ним
+function deleteDevicePerson(device, digestAuth, employeeNo) {
+    return sendIsapiJson(device, digestAuth, 'PUT', '/ISAPI/AccessControl/UserInfo/Delete?format=json', {
+        UserInfoDelCond: { EmployeeNoList: [{ employeeNo }] }
+    });
+}
+
+// Запись сотрудника на контроллер: UserInfo, карты (лишние удаляются), лицо, если контроллер умеет
+async function pushDevicePerson(device, digestAuth, person, doorNos, synced, supportsFaces) {
+    if (synced && synced.employeeNo !== person.employeeNo) {
+        await deleteDevicePerson(device, digestAuth, synced.employeeNo);
+        synced = null;
+    }
+
+    await upsertIsapiRecord(device, digestAuth, 'UserInfo', buildUserInfo(person, doorNos), 'employeeNoAlreadyExist');
+
+    for (const cardNo of person.cards) {
+        await upsertIsapiRecord(device, digestAuth, 'CardInfo', {
+            CardInfo: { employeeNo: person.employeeNo, cardNo, cardType: 'normalCard' }
+        }, 'cardNoAlreadyExist');
+    }
+    const removedCards = synced ? synced.cards.filter(cardNo => !person.cards.includes(cardNo)) : [];
+    if (removedCards.length > 0) {
+        await sendIsapiJson(device, digestAuth, 'PUT', '/ISAPI/AccessControl/CardInfo/Delete?format=json', {
+            CardInfoDelCond: { CardNoList: removedCards.map(cardNo => ({ cardNo })) }
+        });
+    }
+
+    let face = null;
+    if (supportsFaces && person.face) {
+        face = person.face.hash;
+        if (!synced || synced.face !== face) {
+            await uploadFace(device, digestAuth, person.employeeNo, fs.readFileSync(getFacePath(person.id)));
+        }
+    } else if (supportsFaces && synced && synced.face) {
+        await sendIsapiJson(device, digestAuth, 'PUT',
+            '/ISAPI/Intelligent/FDLib/FDSearch/Delete?format=json&FDID=1&faceLibType=blackFD',
+            { FPID: [{ value: person.employeeNo }] });
+    }
+
+    return { employeeNo: person.employeeNo, cards: [...person.cards], face };
+}
+
+// Приведение списка сотрудников контроллера к ожидаемому: запись новых и измененных, удаление лишних.
+// Изменяет syncState; при потере связи с устройством синхронизация прерывается
+async function syncDevicePersons(device, personsData, devices, groups, syncState) {
+    const deviceState = syncState.devices[device.id] || { persons: {}, errors: {} };
+    syncState.devices[device.id] = deviceState;
+    const result = { deviceId: device.id, deviceName: device.name, pushed: 0, removed: 0, failed: 0, errors: [] };
+    const digestAuth = new DigestAuth(device.login, device.password);
+
+    // Поддержка лиц - по возможностям контроллера (isSupportFDLib в AcsCap)
+    if (isDeviceHealthStale(device.id) && getDeviceStatus(device.id).online !== false) {
+        await refreshDeviceHealth(device);
+    }
+    const health = deviceHealthCache.get(device.id);
+    const supportsFaces = Boolean(health && health.capabilities && health.capabilities.features.includes('FDLib'));
+
+    const expected = getDevicePersons(device, personsData, devices, groups);
+    const expectedIds = new Set(expected.map(item => item.person.id));
+
+    const fail = (person, error) => {
+        deviceState.errors[person.id] = error.message;
+        result.failed++;
+        result.errors.push({ personId: person.id, name: person.name, message: error.message });
+        if (error.type === 'unreachable') throw error;
+    };
+
+    try {
+        for (const { person, doorNos, hash } of expected) {
+            const synced = deviceState.persons[person.id];
+            if (synced && synced.hash === hash) continue;
+
+            try {
+                const pushed = await pushDevicePerson(device, digestAuth, person, doorNos, synced, supportsFaces);
+                deviceState.persons[person.id] = { ...pushed, hash, syncedAt: new Date().toISOString() };
+                delete deviceState.errors[person.id];
+                result.pushed++;
+            } catch (error) {
+                fail(person, error);
+            }
+        }
+
+        for (const [personId, synced] of Object.entries(deviceState.persons)) {
+            if (expectedIds.has(personId)) continue;
+            try {
+                await deleteDevicePerson(device, digestAuth, synced.employeeNo);
+                delete deviceState.persons[personId];
+                delete deviceState.errors[personId];
+                result.removed++;
+            } catch (error) {
+                fail({ id: personId, name: synced.employeeNo }, error);
+            }
+        }
+        deviceState.lastError = null;
+    } catch (error) {
+        deviceState.lastError = error.message;
+    }
+
+    Object.keys(deviceState.errors).forEach(personId => {
+        if (!expectedIds.has(personId) && !deviceState.persons[personId]) delete deviceState.errors[personId];
+    });
+    deviceState.lastSyncAt = new Date().toISOString();
+
+    if (result.pushed || result.removed || result.failed) {
+        console.log(`👤 Sync ${device.name}: записано ${result.pushed}, удалено ${result.removed}, ошибок ${result.failed}`);
+    }
+    return result;
+}
+
+// Синхронизация сотрудников на устройствах (null - на всех). Запуски выполняются по очереди,
+// чтобы не перезаписать состояние друг друга
+let personSyncQueue = Promise.resolve();
+
+function syncPersons(deviceIds = null) {
+    const run = async () => {
+        const devices = loadDevices().devices;
+        const groups = loadUsers().groups;
+        const personsData = loadPersons();
+        const syncState = loadPersonSyncState();
+
+        Object.keys(syncState.devices).forEach(id => {
+            if (!devices.some(d => d.id === id)) delete syncState.devices[id];
+        });
+
+        const targets = devices.filter(device => !deviceIds || deviceIds.includes(device.id));
+        const results = await runWithConcurrency(targets, CONFIG.BULK_CONCURRENCY,
+            device => syncDevicePersons(device, personsData, devices, groups, syncState));
+
+        savePersonSyncState(syncState);
+        return results;
+    };
+
+    const pending = personSyncQueue.then(run);
+    personSyncQueue = pending.catch(() => {});
+    return pending;
+}
+
+// Фоновая синхронизация после изменений, которые меняют назначения сотрудников косвенно
+// (состав группы, двери устройства). Без сотрудников ничего не делает
+function syncPersonsInBackground(deviceIds = null) {
+    const syncState = loadPersonSyncState();
+    const hasSynced = Object.values(syncState.devices).some(deviceState => Object.keys(deviceState.persons).length > 0);
+    if (loadPersons().persons.length === 0 && !hasSynced) return;
+
+    syncPersons(deviceIds).catch(error => console.error('❌ Person sync error:', error));
+}
+
+// Устройства, которых касается сотрудник: назначенные сейчас и те, где он уже записан
+function getPersonAffectedDevices(person, devices, groups) {
+    const ids = new Set(getPersonDoors(person, devices, groups).keys());
+    const syncState = loadPersonSyncState();
+    Object.entries(syncState.devices).forEach(([deviceId, deviceState]) => {
+        if (deviceState.persons[person.id]) ids.add(deviceId);
+    });
+    return [...ids];
+}
+
+// Отчет о синхронизации: по каждому устройству - кто не записан или записан в устаревшем виде
+// и кого нужно удалить
+function buildPersonSyncReport() {
+    const devices = loadDevices().devices;
+    const groups = loadUsers().groups;
+    const personsData = loadPersons();
+    const syncState = loadPersonSyncState();
+
+    return devices.map(device => {
+        const deviceState = syncState.devices[device.id] || { persons: {}, errors: {} };
+        const expected = getDevicePersons(device, personsData, devices, groups);
+        const expectedIds = new Set(expected.map(item => item.person.id));
+
+        const outdated = expected
+            .filter(({ person, hash }) => !deviceState.persons[person.id] || deviceState.persons[person.id].hash !== hash)
+            .map(({ person }) => ({
+                personId: person.id,
+                name: person.name,
+                employeeNo: person.employeeNo,
+                reason: deviceState.persons[person.id] ? 'changed' : 'missing',
+                error: deviceState.errors[person.id] || null
+            }));
+
+        const pendingRemoval = Object.entries(deviceState.persons)
+            .filter(([personId]) => !expectedIds.has(personId))
+            .map(([personId, synced]) => {
+                const person = personsData.persons.find(p => p.id === personId);
+                return {
+                    personId,
+                    name: person ? person.name : null,
+                    employeeNo: synced.employeeNo,
+                    error: deviceState.errors[personId] || null
+                };
+            });
+
+        return {
+            deviceId: device.id,
+            deviceName: device.name,
+            online: getDeviceStatus(device.id).online,
+            expected: expected.length,
+            synced: expected.length - outdated.length,
+            outdated,
+            pendingRemoval,
+            upToDate: outdated.length === 0 && pendingRemoval.length === 0,
+            lastSyncAt: deviceState.lastSyncAt || null,
+            lastError: deviceState.lastError || null
+        };
+    });
+}
+
+// Проверка полей сотрудника из админского API. existing - текущая запись при редактировании.
+// face: data URL JPEG - новое фото, null - удалить, не указано - не менять
+function validatePerson(input, personsData, devicesData, groups, existing = null) {
+    const errors = [];
+    const data = input || {};
+
+    const splitList = value => (Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+
+    const person = {
+        name: typeof data.name === 'string' ? data.name.trim() : '',
+        employeeNo: typeof data.employeeNo === 'string' ? data.employeeNo.trim() : String(data.employeeNo || ''),
+        cards: [...new Set(splitList(data.cards))],
+        validFrom: data.validFrom || null,
+        validUntil: data.validUntil || null,
+        devices: Array.isArray(data.devices) ? data.devices.map(String) : [],
+        groups: Array.isArray(data.groups) ? data.groups.map(String) : [],
+        enabled: data.enabled !== false
+    };
+
+    if (!person.name) errors.push('Не указано имя сотрудника');
+    if (person.name.length > 32) errors.push('Имя сотрудника длиннее 32 символов');
+
+    if (!/^[A-Za-z0-9_-]{1,32}$/.test(person.employeeNo)) {
+        errors.push('Табельный номер: от 1 до 32 латинских букв, цифр, _ или -');
+    } else if (personsData.persons.some(p => p !== existing && p.employeeNo === person.employeeNo)) {
+        errors.push(`Табельный номер ${person.employeeNo} уже используется`);
+    }
+
+    person.cards.forEach(cardNo => {
+        if (!/^[A-Za-z0-9]{1,20}$/.test(cardNo)) {
+            errors.push(`Некорректный номер карты: ${cardNo}`);
+            return;
+        }
+        const owner = personsData.persons.find(p => p !== existing && p.cards.includes(cardNo));
+        if (owner) errors.push(`Карта ${cardNo} уже выдана: ${owner.name}`);
+    });
+
+    ['validFrom', 'validUntil'].forEach(field => {
+        if (person[field] && !/^\d{4}-\d{2}-\d{2}$/.test(person[field])) {
+            errors.push('Срок действия указывается в формате ГГГГ-ММ-ДД');
+        }
+    });
+    if (person.validFrom && person.validUntil && person.validFrom > person.validUntil) {
+        errors.push('Начало срока действия позже окончания');
+    }
+
+    person.devices.forEach(entry => {
+        if (resolveGroupEntry(entry, devicesData.devices).length === 0) {
+            errors.push(`Устройство или дверь не найдены: ${entry}`);
+        }
+    });
+    person.groups.forEach(groupId => {
+        if (!groups.some(group => group.id === groupId)) errors.push(`Группа не найдена: ${groupId}`);
+    });
+
+    let face;
+    if (data.face === null) {
+        face = null;
+    } else if (typeof data.face === 'string') {
+        const match = data.face.match(/^data:image\/jpeg;base64,([A-Za-z0-9+/=]+)$/);
+        const image = match ? Buffer.from(match[1], 'base64') : null;
+        if (!image) {
+            errors.push('Фото лица должно быть в формате JPEG');
+        } else if (image.length > CONFIG.FACE_MAX_SIZE) {
+            errors.push(`Фото лица больше ${CONFIG.FACE_MAX_SIZE / 1024} КБ`);
+        } else {
+            face = image;
+        }
+    }
+
+    return { errors, person, face };
+}
+
+// Сотрудник для отдачи наружу: вместо фото - признак его наличия
+function sanitizePerson(person) {
+    const { face, ...safePerson } = person;
+    safePerson.hasFace = Boolean(face);
+    return safePerson;
+}
+
+// Сохраняет или удаляет фото лица и обновляет отпечаток в записи сотрудника
+function applyPersonFace(person, face) {
+    if (face === undefined) return;
+    if (face === null) {
+        if (fs.existsSync(getFacePath(person.id))) fs.unlinkSync(getFacePath(person.id));
+        person.face = null;
+        return;
+    }
+    fs.mkdirSync(CONFIG.FACES_DIR, { recursive: true });
+    fs.writeFileSync(getFacePath(person.id), face);
+    person.face = {
+        hash: crypto.createHash('sha256').update(face).digest('hex').slice(0, 16),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+// Убирает у сотрудников ссылки на удаленное устройство, его двери или группу
+function prunePersonTargets(deviceId, doorNos = null, groupId = null) {
+    const personsData = loadPersons();
+    let changed = false;
+
+    personsData.persons.forEach(person => {
+        const devices = person.devices.filter(entry => {
+            const [id, doorPart] = String(entry).split(':');
+            if (id !== deviceId) return true;
+            if (!doorNos) return false;
+            return doorPart === undefined || doorNos.includes(Number(doorPart));
+        });
+        const groups = person.groups.filter(id => id !== groupId);
+        if (devices.length !== person.devices.length || groups.length !== person.groups.length) {
+            Object.assign(person, { devices, groups });
+            changed = true;
+        }
+    });
+
+    if (changed) savePersons(personsData);
+}
+
+// Устройство в том виде, в каком его видит пользователь в /api/devices и в потоке событий:
+// только доступные двери, у каждой - разрешенные состояния и фактический статус.
+// null, если пользователю не доступна ни одна дверь устройства
+function buildDeviceView(device, permissions) {
+    const { online, lastSeen, lastError, lastPoll, rebootedAt } = getDeviceStatus(device.id);
+    const schedulesData = loadSchedules();
+    const emergency = loadEmergency();
+    const approvalsData = loadApprovals();
+    const devices = [device];
+    const doors = device.doors
+        .filter(door => permissions.has(doorKey(device.id, door.doorNo)))
+        .map(door => {
+            const allowedStates = [...permissions.get(doorKey(device.id, door.doorNo))]
+                .map(action => ACTIONS[action].state).sort();
+            const schedule = findDoorSchedule(schedulesData, devices, device.id, door.doorNo);
+            const approval = findOpenApproval(approvalsData, device.id, door.doorNo);
+            return {
+                ...door,
+                ...getDoorStatus(device.id, door.doorNo),
+                allowedStates,
+                canControl: allowedStates.length > 0,
+                emergency: isDoorInEmergency(emergency, device.id, door.doorNo),
+                sensitive: Boolean(door.sensitive),
+                driftPolicy: getDriftPolicy(door),
+                drift: getDoorDrift(device.id, door.doorNo),
+                approval: approval ? {
+                    id: approval.id,
+                    status: approval.status,
+                    requestedBy: approval.requestedBy,
+                    decidedBy: approval.decidedBy,
+                    expiresAt: approval.expiresAt
+                } : null,
+                schedule: schedule ? {
+                    id: schedule.id,
+                    name: schedule.name,
+                    nextChange: getNextScheduledChange(schedule, schedulesData.holidays)
+                } : null
+            };
+        });
+
+    if (doors.length === 0) return null;
+    return { ...sanitizeDevice(device), online, lastSeen, lastError, lastPoll, rebootedAt, doors };
+}
+
+// Подключенные клиенты потока событий (Server-Sent Events)
+const streamClients = new Set();
+
+function sendStreamEvent(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function closeStream(client) {
+    sendStreamEvent(client, 'session-expired', {});
+    client.res.end();
+}
+
+function handleStream(req, res, session) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    const client = { res, login: session.login, token: session.token };
+    streamClients.add(client);
+    console.log(`📡 Stream opened for ${client.login} (${streamClients.size} clients)`);
+
+    // Heartbeat не дает прокси закрыть соединение и заодно проверяет, жива ли сессия и есть ли еще
+    // ее пользователь. Права на двери проверяются при рассылке каждого события
+    const heartbeat = setInterval(() => {
+        if (!getSession(client.token)) {
+            closeStream(client);
+            return;
+        }
+        res.write(': ping\n\n');
+    }, CONFIG.STREAM_HEARTBEAT);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        streamClients.delete(client);
+        console.log(`📡 Stream closed for ${client.login} (${streamClients.size} clients)`);
+    });
+}
+
+// Сессии пользователя завершены (смена пароля, удаление): его потоки закрываются, не дожидаясь heartbeat
+serviceEvents.on('revoke', (login) => {
+    streamClients.forEach(client => {
+        if (client.login === login && !sessions.has(client.token)) closeStream(client);
+    });
+});
+
+// Рассылка изменения устройства тем клиентам, у которых есть доступ хотя бы к одной его двери
+serviceEvents.on('device', (deviceId) => {
+    if (streamClients.size === 0) return;
+
+    const device = findDevice(loadDevices(), deviceId);
+    if (!device) return;
+
+    streamClients.forEach(client => {
+        const view = buildDeviceView(device, getUserPermissions(client.login));
+        if (view) sendStreamEvent(client, 'device', view);
+    });
+});
+
+serviceEvents.on('control', (event) => {
+    streamClients.forEach(client => {
+        if (getUserPermissions(client.login).has(doorKey(event.deviceId, event.doorNo))) {
+            sendStreamEvent(client, 'control', event);
+        }
+    });
+});
+
+// Экстренный режим касается всех: баннер показывается каждому клиенту
+serviceEvents.on('emergency', (emergency) => {
+    streamClients.forEach(client => sendStreamEvent(client, 'emergency', emergency));
+});
+
+// События контроллеров видят те, у кого есть доступ к двери
+serviceEvents.on('access', (record) => {
+    streamClients.forEach(client => {
+        if (getUserPermissions(client.login).has(doorKey(record.deviceId, record.doorNo))) {
+            sendStreamEvent(client, 'access', record);
+        }
+    });
+});
+
+// Заявки на открытие видят те, у кого есть доступ к двери
+serviceEvents.on('approval', (request) => {
+    streamClients.forEach(client => {
+        const permissions = getUserPermissions(client.login);
+        if (permissions.has(doorKey(request.deviceId, request.doorNo))) {
+            sendStreamEvent(client, 'approval', buildApprovalView(request, client.login, permissions, isAdmin(client.login)));
+        }
+    });
+});
+
+// Изменились устройства, пользователи или группы - клиентам нужно перечитать список
+serviceEvents.on('refresh', () => {
+    streamClients.forEach(client => sendStreamEvent(client, 'refresh', {}));
+});
+
+// Уведомления: исходящие webhooks (JSON POST с подписью HMAC-SHA256) и Telegram-бот.
+// Настройки - notifications.json; секреты webhooks и токен бота хранятся зашифрованными, как пароли устройств.
+// Доставки идут через очередь в памяти: при ошибке сети, 5xx, 408 и 429 - повтор с растущей паузой
+const NOTIFICATION_EVENTS = {
+    doorAlwaysOpen: 'Дверь оставлена открытой',
+    controlFailed: 'Ошибка управления дверью',
+    deviceOffline: 'Контроллер недоступен',
+    deviceOnline: 'Контроллер снова на связи',
+    emergency: 'Экстренный режим',
+    approvalRequested: 'Заявка на открытие двери',
+    doorDrift: 'Режим двери разошелся с заданным'
+};
+
+const notificationsStore = new ConfigStore(CONFIG.NOTIFICATIONS_FILE, {
+    defaults: () => ({
+        webhooks: [],
+        telegram: { enabled: false, botToken: null, chatIds: [], apiUrl: null, events: Object.keys(NOTIFICATION_EVENTS) }
+    }),
+    validate: data => {
+        if (!isPlainObject(data) || !isPlainObject(data.telegram)) {
+            return ['ожидается объект { "webhooks": [...], "telegram": {...} }'];
+        }
+        const errors = validateList(data.webhooks, 'webhooks', (hook, where) => [
+            ...(typeof hook.id === 'string' ? [] : [`${where}.id: не указан id`]),
+            ...(typeof hook.url === 'string' ? [] : [`${where}.url: не указан адрес`]),
+            ...(Array.isArray(hook.events) ? [] : [`${where}.events: ожидается массив`])
+        ]);
+        ['chatIds', 'events'].forEach(field => {
+            if (!Array.isArray(data.telegram[field])) errors.push(`telegram.${field}: ожидается массив`);
+        });
+        return errors.length > 0 ? errors : checkUniqueIds(data.webhooks, 'webhooks');
+    }
+});
+
+function loadNotifications() {
+    return notificationsStore.get();
+}
+
+function saveNotifications(settings) {
+    return notificationsStore.save(settings);
+}
+
+// Текст уведомления по событию сервиса
+function formatNotificationText(event, data) {
+    const door = `${data.name || ''}${data.doorName ? ` / ${data.doorName}` : ''}`;
+    const who = data.source === 'scheduler' ? 'по расписанию' : (data.login || data.source || 'система');
+
+    switch (event) {
+    case 'doorAlwaysOpen':
+        return `🟢 ${door}: дверь оставлена открытой (${who})`;
+    case 'controlFailed':
+        return `❌ ${door}: не удалось выполнить «${getStateText(data.state)}» (${who}): ${data.message}`;
+    case 'deviceOffline':
+        return `🔴 Контроллер ${data.name} (${data.ip}) недоступен: ${data.error}`;
+    case 'deviceOnline':
+        return `🟢 Контроллер ${data.name} (${data.ip}) снова на связи`;
+    case 'doorDrift':
+        return `⚠️ ${door}: режим ${getStateText(data.observedStatus)} вместо ${getStateText(data.desiredStatus)}` +
+            `${data.reason === 'reboot' ? ' после перезагрузки контроллера' : ''}` +
+            `${data.policy === 'reapply' ? '. Режим восстанавливается' : ''}`;
+    case 'approvalRequested':
+        return `🔐 ${data.deviceName} / ${data.doorName}: ${data.requestedBy} просит открыть дверь ` +
+            `на ${data.durationMinutes} мин (${data.reason}). Нужно подтверждение второго сотрудника`;
+    case 'emergency':
+        return data.active
+            ? `🚨 ${EMERGENCY_MODES[data.mode].title}: объявил ${data.startedBy}, дверей: ${data.doors.length}` +
+                `${data.reason ? ` (${data.reason})` : ''}`
+            : `✅ Экстренный режим снят (${data.clearedBy})`;
+    default:
+        return `🔔 Проверка уведомлений СКУД (${data.login})`;
+    }
+}
+
+function buildNotification(event, data) {
+    return {
+        id: generateId('ntf'),
+        event,
+        title: NOTIFICATION_EVENTS[event] || 'Проверка уведомлений',
+        text: formatNotificationText(event, data),
+        timestamp: new Date().toISOString(),
+        data
+    };
+}
+
+// Очередь доставок: { id, channel: 'webhook' | 'telegram', targetId, chatId, notification, attempts, nextAttemptAt }
+const notificationQueue = [];
+// Последние доставки (успешные и окончательно неудачные) - для админки
+const notificationLog = [];
+let notificationTimer = null;
+let notificationInProgress = false;
+
+// Постановка события в очередь для всех подписанных на него получателей
+function notify(event, data) {
+    let settings;
+    try {
+        settings = loadNotifications();
+    } catch (error) {
+        console.error('❌ Notification settings error:', error.message);
+        return;
+    }
+
+    const notification = buildNotification(event, data);
+    settings.webhooks
+        .filter(hook => hook.enabled !== false && hook.events.includes(event))
+        .forEach(hook => enqueueDelivery({ channel: 'webhook', targetId: hook.id, notification }));
+
+    const telegram = settings.telegram;
+    if (telegram.enabled && telegram.events.includes(event)) {
+        telegram.chatIds.forEach(chatId => enqueueDelivery({ channel: 'telegram', chatId, notification }));
+    }
+}
+
+function enqueueDelivery(job) {
+    if (notificationQueue.length >= CONFIG.NOTIFY_QUEUE_LIMIT) {
+        const dropped = notificationQueue.shift();
+        recordDelivery(dropped, { success: false, error: 'Очередь уведомлений переполнена' }, 'dropped');
+    }
+    notificationQueue.push({ id: generateId('dlv'), attempts: 0, nextAttemptAt: Date.now(), lastError: null, ...job });
+    scheduleNotificationQueue(0);
+}
+
+function scheduleNotificationQueue(delay) {
+    if (notificationInProgress) return;
+    clearTimeout(notificationTimer);
+    notificationTimer = setTimeout(processNotificationQueue, Math.max(0, delay));
+    notificationTimer.unref();
+}
+
+async function processNotificationQueue() {
+    if (notificationInProgress) return;
+    notificationInProgress = true;
+
+    try {
+        const due = notificationQueue.filter(job => job.nextAttemptAt <= Date.now());
+        await runWithConcurrency(due, 4, async (job) => {
+            job.attempts++;
+            const result = await deliverNotification(job);
+
+            if (!result.success && result.retry && job.attempts <= CONFIG.NOTIFY_RETRIES) {
+                job.lastError = result.error;
+                job.nextAttemptAt = Date.now() + (result.retryAfter || CONFIG.NOTIFY_RETRY_DELAY * 2 ** (job.attempts - 1));
+                console.log(`🔁 Notification ${job.id} retry ${job.attempts}/${CONFIG.NOTIFY_RETRIES}: ${result.error}`);
+                return;
+            }
+
+            notificationQueue.splice(notificationQueue.indexOf(job), 1);
+            recordDelivery(job, result, result.success ? 'sent' : 'failed');
+        });
+    } finally {
+        notificationInProgress = false;
+        if (notificationQueue.length > 0) {
+            scheduleNotificationQueue(Math.min(...notificationQueue.map(job => job.nextAttemptAt)) - Date.now());
+        }
+    }
+}
+
+// Ожидание отправки очереди перед выходом процесса (командная строка), не дольше timeout.
+// Доставки, отложенные для повтора, после этого теряются
+async function flushNotifications(timeout = CONFIG.NOTIFY_TIMEOUT) {
+    const deadline = Date.now() + timeout;
+    while (notificationQueue.some(job => job.nextAttemptAt <= deadline) && Date.now() < deadline) {
+        await processNotificationQueue();
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+function recordDelivery(job, result, outcome) {
+    incrementMetric('scud_notifications_total', { channel: job.channel, outcome });
+    if (!result.success) {
+        console.error(`❌ Notification ${job.notification.event} via ${job.channel} failed: ${result.error}`);
+    }
+
+    notificationLog.unshift({
+        id: job.id,
+        channel: job.channel,
+        targetId: job.targetId || null,
+        chatId: job.chatId || null,
+        event: job.notification.event,
+        text: job.notification.text,
+        success: result.success,
+        status: result.status || null,
+        error: result.error || null,
+        attempts: job.attempts,
+        at: new Date().toISOString()
+    });
+    notificationLog.splice(100);
+}
+
+// Доставка берет актуальные настройки получателя: удаленный webhook больше не повторяется
+async function deliverNotification(job) {
+    let settings;
+    try {
+        settings = loadNotifications();
+    } catch (error) {
+        return { success: false, retry: true, error: error.message };
+    }
+
+    if (job.channel === 'webhook') {
+        const hook = settings.webhooks.find(h => h.id === job.targetId);
+        if (!hook) return { success: false, retry: false, error: 'Webhook удален' };
+        return sendWebhook(hook, job.notification);
+    }
+    return sendTelegram(settings.telegram, job.chatId, job.notification);
+}
+
+function postJson(targetUrl, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(targetUrl);
+        const client = target.protocol === 'https:' ? https : http;
+        const req = client.request(target, {
+            method: 'POST',
+            timeout: CONFIG.NOTIFY_TIMEOUT,
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'scud-notifier',
+                ...headers
+            }
+        }, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => text += chunk);
+            res.on('end', () => resolve({ statusCode: res.statusCode, body: text }));
+        });
+        req.on('timeout', () => req.destroy(new Error(`Нет ответа за ${CONFIG.NOTIFY_TIMEOUT} мс`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+function describeHttpResult(response) {
+    const status = response.statusCode;
+    if (status >= 200 && status < 300) return { success: true, status };
+    return { success: false, status, retry: status >= 500 || status === 408 || status === 429, error: `HTTP ${status}` };
+}
+
+// Подпись: HMAC-SHA256 секрета от "<X-Scud-Timestamp>.<тело>"; получатель проверяет ее и свежесть метки времени
+function signWebhookBody(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+async function sendWebhook(hook, notification) {
+    const body = JSON.stringify(notification);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+        'X-Scud-Event': notification.event,
+        'X-Scud-Delivery': notification.id,
+        'X-Scud-Timestamp': timestamp
+    };
+
+    try {
+        if (hook.secret) headers['X-Scud-Signature'] = signWebhookBody(decryptSecret(hook.secret), timestamp, body);
+        return describeHttpResult(await postJson(hook.url, body, headers));
+    } catch (error) {
+        return { success: false, retry: true, error: error.message };
+    }
+}
+
+async function sendTelegram(telegram, chatId, notification) {
+    if (!telegram.botToken) return { success: false, retry: false, error: 'Не задан токен бота' };
+
+    const apiUrl = (telegram.apiUrl || CONFIG.TELEGRAM_API_URL).replace(/\/+$/, '');
+    const body = JSON.stringify({ chat_id: chatId, text: notification.text, disable_web_page_preview: true });
+
+    try {
+        const response = await postJson(`${apiUrl}/bot${decryptSecret(telegram.botToken)}/sendMessage`, body);
+        const result = describeHttpResult(response);
+        if (!result.success) {
+            // Telegram объясняет отказ в description, при 429 просит подождать parameters.retry_after секунд
+            try {
+                const parsed = JSON.parse(response.body);
+                if (parsed.description) result.error += `: ${parsed.description}`;
+                if (parsed.parameters && parsed.parameters.retry_after) result.retryAfter = parsed.parameters.retry_after * 1000;
+            } catch (error) {
+                // тело ответа не JSON - достаточно HTTP-кода
+            }
+        }
+        return result;
+    } catch (error) {
+        return { success: false, retry: true, error: error.message };
+    }
+}
+
+serviceEvents.on('control', (event) => {
+    if (!event.success) {
+        notify('controlFailed', event);
+    } else if (event.state === ACTIONS.open.state && event.source !== 'emergency' && event.source !== 'drift') {
+        // При эвакуации отдельные двери не сообщаются - достаточно уведомления о режиме,
+        // восстановление режима после расхождения сообщается уведомлением doorDrift
+        notify('doorAlwaysOpen', event);
+    }
+});
+
+serviceEvents.on('availability', (event) => {
+    notify(event.online ? 'deviceOnline' : 'deviceOffline', event);
+});
+
+// Объявление и снятие режима; промежуточные обновления результатов не сообщаются
+serviceEvents.on('emergency', (emergency) => {
+    if (!emergency.active || !emergency.updatedAt) notify('emergency', emergency);
+});
+
+// Проверки и ответы API: секреты наружу не отдаются
+function sanitizeWebhook(hook) {
+    const { secret, ...safeHook } = hook;
+    safeHook.hasSecret = Boolean(secret);
+    return safeHook;
+}
+
+function sanitizeTelegram(telegram) {
+    const { botToken, ...safeTelegram } = telegram;
+    safeTelegram.hasToken = Boolean(botToken);
+    return safeTelegram;
+}
+
+function validateNotificationEvents(events, errors) {
+    if (!Array.isArray(events) || events.length === 0) {
+        errors.push('Выберите хотя бы одно событие');
+        return [];
+    }
+    const unknown = events.filter(event => !NOTIFICATION_EVENTS[event]);
+    if (unknown.length > 0) errors.push(`Неизвестные события: ${unknown.join(', ')}`);
+    return [...new Set(events)];
+}
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+// secret: новая строка - заменить, '' или не указан - оставить прежний, null - убрать подпись
+function validateWebhook(input, existing = null) {
+    const data = input || {};
+    const errors = [];
+    const hook = {
+        name: typeof data.name === 'string' ? data.name.trim() : '',
+        url: typeof data.url === 'string' ? data.url.trim() : '',
+        enabled: data.enabled !== false
+    };
+
+    if (!hook.name) errors.push('Не указано название');
+    if (!isHttpUrl(hook.url)) errors.push('Адрес должен начинаться с http:// или https://');
+    hook.events = validateNotificationEvents(data.events, errors);
+
+    if (data.secret === null) {
+        hook.secret = null;
+    } else if (typeof data.secret === 'string' && data.secret !== '') {
+        hook.secret = encryptSecret(data.secret);
+    } else {
+        hook.secret = existing ? existing.secret : null;
+    }
+
+    return { errors, hook };
+}
+
+// botToken - как secret у webhook; chatIds - список или строка через запятую
+function validateTelegram(input, existing) {
+    const data = input || {};
+    const errors = [];
+    const chatIds = (Array.isArray(data.chatIds) ? data.chatIds : String(data.chatIds || '').split(/[\s,;]+/))
+        .map(chatId => String(chatId).trim())
+        .filter(Boolean);
+    const telegram = {
+        enabled: data.enabled === true,
+        chatIds: [...new Set(chatIds)],
+        apiUrl: typeof data.apiUrl === 'string' && data.apiUrl.trim() ? data.apiUrl.trim() : null
+    };
+
+    telegram.chatIds.forEach(chatId => {
+        if (!/^(-?\d+|@\w{5,})$/.test(chatId)) errors.push(`Некорректный chat id: ${chatId}`);
+    });
+    if (telegram.apiUrl && !isHttpUrl(telegram.apiUrl)) errors.push('Адрес API должен начинаться с http:// или https://');
+    telegram.events = validateNotificationEvents(data.events, errors);
+
+    if (data.botToken === null) {
+        telegram.botToken = null;
+    } else if (typeof data.botToken === 'string' && data.botToken !== '') {
+        if (!/^\d+:[\w-]+$/.test(data.botToken)) errors.push('Токен бота должен иметь вид 123456:ABC...');
+        telegram.botToken = encryptSecret(data.botToken);
+    } else {
+        telegram.botToken = existing.botToken;
+    }
+
+    if (telegram.enabled && (!telegram.botToken || telegram.chatIds.length === 0)) {
+        errors.push('Для включения укажите токен бота и хотя бы один chat id');
+    }
+
+    return { errors, telegram };
+}
+
+function getNotificationsView() {
+    const settings = loadNotifications();
+    return {
+        events: NOTIFICATION_EVENTS,
+        webhooks: settings.webhooks.map(sanitizeWebhook),
+        telegram: sanitizeTelegram(settings.telegram),
+        queue: notificationQueue.map(job => ({
+            id: job.id,
+            channel: job.channel,
+            targetId: job.targetId || null,
+            chatId: job.chatId || null,
+            event: job.notification.event,
+            attempts: job.attempts,
+            nextAttemptAt: new Date(job.nextAttemptAt).toISOString(),
+            lastError: job.lastError
+        })),
+        deliveries: notificationLog
+    };
+}
+
+// Адрес клиента для журнала аудита
+function getClientIp(req) {
+    if (CONFIG.TRUST_PROXY && req.headers['x-forwarded-for']) {
+        return req.headers['x-forwarded-for'].split(',')[0].trim();
+    }
+    return req.socket.remoteAddress;
+}
+
+// Ошибка обработки запроса с известным HTTP-статусом; code - машиночитаемый код для клиента
+class HttpError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Код ошибки по статусу ответа, если обработчик не задал свой
+const ERROR_CODES = {
+    400: 'validation_failed',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    405: 'method_not_allowed',
+    409: 'conflict',
+    413: 'payload_too_large',
+    415: 'unsupported_media_type',
+    423: 'emergency_lock',
+    428: 'approval_required',
+    429: 'rate_limited',
+    500: 'internal_error',
+    502: 'device_error',
+    503: 'unavailable'
+};
+
+function sendJson(res, statusCode, data, headers = {}) {
+    if (data && data.success === false && !data.code && ERROR_CODES[statusCode]) {
+        data = { ...data, code: ERROR_CODES[statusCode] };
+    }
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+}
+
+// Ответ на исключение в обработчике: HttpError - со своим статусом, остальное - 500 без подробностей
+function sendError(res, error) {
+    if (res.headersSent) {
+        res.end();
+        return;
+    }
+    if (error instanceof HttpError) {
+        // Непрочитанный остаток тела не должен разбираться как следующий запрос
+        const headers = error.status === 413 ? { Connection: 'close' } : {};
+        sendJson(res, error.status, { success: false, code: error.code, message: error.message }, headers);
+        return;
+    }
+    sendJson(res, 500, { success: false, message: 'Внутренняя ошибка сервера' });
+}
+
+// Тело запроса - JSON-объект не больше limit байт с Content-Type: application/json; пустое тело - {}
+function readJsonBody(req, limit = CONFIG.MAX_BODY_SIZE) {
+    return new Promise((resolve, reject) => {
+        const tooLarge = () => new HttpError(413, 'payload_too_large', `Тело запроса больше ${Math.floor(limit / 1024)} КБ`);
+        if (parseInt(req.headers['content-length'], 10) > limit) {
+            reject(tooLarge());
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        let failed = false;
+        req.on('data', chunk => {
+            if (failed) return;
+            size += chunk.length;
+            if (size > limit) {
+                failed = true;
+                chunks.length = 0;
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (failed) return;
+            if (size === 0) {
+                resolve({});
+                return;
+            }
+            const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            if (type !== 'application/json') {
+                reject(new HttpError(415, 'unsupported_media_type', 'Тело запроса должно быть в формате application/json'));
+                return;
+            }
+            let data;
+            try {
+                data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (error) {
+                reject(new HttpError(400, 'invalid_json', 'Некорректный JSON в запросе'));
+                return;
+            }
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                reject(new HttpError(400, 'invalid_json', 'Тело запроса должно быть JSON-объектом'));
+                return;
+            }
+            resolve(data);
+        });
+        req.on('error', reject);
+    });
+}
+
+// Ограничение частоты запросов: не больше limit запросов на ключ (адрес или пользователь) за окно windowMs
+class RateLimiter {
+    constructor(limit, windowMs) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.windows = new Map();
+    }
+
+    // Учитывает запрос: { allowed, retryAfter } - через сколько секунд окно начнется заново
+    hit(key, now = Date.now()) {
+        let window = this.windows.get(key);
+        if (!window || window.resetAt <= now) {
+            if (this.windows.size >= 10000) this.prune(now);
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(key, window);
+        }
+        window.count++;
+        return { allowed: window.count <= this.limit, retryAfter: Math.ceil((window.resetAt - now) / 1000) };
+    }
+
+    prune(now = Date.now()) {
+        for (const [key, window] of this.windows) {
+            if (window.resetAt <= now) this.windows.delete(key);
+        }
+    }
+}
+
+const rateLimiters = {
+    login: new RateLimiter(CONFIG.LOGIN_RATE_LIMIT, CONFIG.RATE_LIMIT_WINDOW),
+    controlIp: new RateLimiter(CONFIG.CONTROL_RATE_LIMIT_IP, CONFIG.RATE_LIMIT_WINDOW),
+    controlUser: new RateLimiter(CONFIG.CONTROL_RATE_LIMIT_USER, CONFIG.RATE_LIMIT_WINDOW)
+};
+
+// Управление дверьми: одиночное, групповое, экстренный режим и заявки
+const CONTROL_ROUTE = /^\/api\/(control(\/bulk)?|emergency|approvals(\/.*)?)$/;
+
+// false - лимит исчерпан, ответ 429 уже отправлен
+function checkRateLimit(res, limiter, key, labels) {
+    const { allowed, retryAfter } = limiter.hit(key);
+    if (allowed) return true;
+
+    incrementMetric('scud_rate_limited_total', labels);
+    console.log(`🚦 Rate limit exceeded: ${labels.route} by ${labels.key} ${key}`);
+    sendJson(res, 429, {
+        success: false,
+        message: 'Слишком много запросов, повторите позже',
+        retryAfter
+    }, { 'Retry-After': String(retryAfter) });
+    return false;
+}
+
+// CORS-заголовки только для сайтов из CORS_ORIGINS; true - источник разрешен
+function applyCors(req, res) {
+    const origin = req.headers.origin;
+    res.setHeader('Vary', 'Origin');
+    if (!origin || !CONFIG.CORS_ORIGINS.includes(origin)) return false;
+
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Max-Age', '600');
+    return true;
+}
+
+// Заголовки безопасности страницы интерфейса. Скрипт встроен в index.html и разрешается одноразовым nonce
+// из ответа, встроенные обработчики событий запрещены; стили встроены, поэтому для них 'unsafe-inline'.
+// Внешние источники и встраивание во фреймы запрещены
+function buildHtmlSecurityHeaders(nonce) {
+    return {
+        'Content-Security-Policy': [
+            "default-src 'self'",
+            `script-src 'self' 'nonce-${nonce}'`,
+            "style-src 'self' 'unsafe-inline'",
+            "img-src 'self' data: blob:",
+            "connect-src 'self'",
+            "object-src 'none'",
+            "base-uri 'self'",
+            "form-action 'self'",
+            "frame-ancestors 'none'"
+        ].join('; '),
+        'X-Frame-Options': 'DENY',
+        'Referrer-Policy': 'no-referrer',
+        'Cache-Control': 'no-store'
+    };
+}
+
+// Убирает из групп ссылки на удаленное устройство или на его удаленные двери.
+// doorNos - оставшиеся двери устройства; null - устройство удалено целиком
+function pruneGroupDevices(deviceId, doorNos = null) {
+    const usersData = loadUsers();
+    let changed = false;
+
+    usersData.groups.forEach(group => {
+        const devices = group.devices.filter(entry => {
+            const [id, doorPart] = String(entry).split(':');
+            if (id !== deviceId) return true;
+            if (!doorNos) return false;
+            return doorPart === undefined || doorNos.includes(Number(doorPart));
+        });
+        if (devices.length !== group.devices.length) {
+            group.devices = devices;
+            changed = true;
+        }
+    });
+
+    if (changed) saveUsers(usersData);
+}
+
+// Проверка полей пользователя из админского API.
+// existing - текущая запись при редактировании (пустой пароль означает "не менять")
+function validateUser(input, usersData, existing = null) {
+    const errors = [];
+    const data = input || {};
+
+    const user = {
+        login: existing ? existing.login : (typeof data.login === 'string' ? data.login.trim() : ''),
+        role: data.role || (existing ? existing.role : 'operator'),
+        grants: Array.isArray(data.grants) ? data.grants : (existing ? existing.grants : [])
+    };
+    const password = typeof data.password === 'string' ? data.password : '';
+
+    if (!existing) {
+        if (!user.login) errors.push('Не указан логин');
+        if (usersData.users.some(u => u.login === user.login)) {
+            errors.push('Пользователь с таким логином уже существует');
+        }
+    }
+
+    if (!ROLES[user.role]) {
+        errors.push(`Неизвестная роль. Допустимо: ${Object.keys(ROLES).join(', ')}`);
+    }
+
+    if (password || !existing) {
+        if (password.length < 8) errors.push('Пароль должен быть не короче 8 символов');
+    }
+
+    user.grants = user.grants.map(grant => normalizeGrant(grant, errors));
+    user.grants.forEach(grant => {
+        if (!usersData.groups.some(g => g.id === grant.group)) {
+            errors.push(`Группа ${grant.group} не найдена`);
+        }
+    });
+
+    return { errors, user, password };
+}
+
+// Приводит назначение группы к виду { group, actions?, validFrom?, validUntil?, schedule? },
+// ошибки добавляются в errors
+function normalizeGrant(input, errors) {
+    const data = typeof input === 'string' ? { group: input } : (input || {});
+    const grant = { group: data.group };
+
+    if (data.actions !== undefined && data.actions !== null) {
+        if (!Array.isArray(data.actions) || data.actions.some(action => !ACTIONS[action])) {
+            errors.push(`Недопустимые действия в группе ${grant.group}. Допустимо: ${Object.keys(ACTIONS).join(', ')}`);
+        } else {
+            grant.actions = [...new Set(data.actions)];
+        }
+    }
+
+    ['validFrom', 'validUntil'].forEach(field => {
+        if (!data[field]) return;
+        const date = new Date(data[field]);
+        if (isNaN(date.getTime())) {
+            errors.push(`Некорректная дата ${field} в группе ${grant.group}`);
+        } else {
+            grant[field] = date.toISOString();
+        }
+    });
+    if (grant.validFrom && grant.validUntil && grant.validFrom >= grant.validUntil) {
+        errors.push(`Срок действия в группе ${grant.group} заканчивается раньше, чем начинается`);
+    }
+
+    if (Array.isArray(data.schedule) && data.schedule.length > 0) {
+        grant.schedule = data.schedule.map(window => {
+            const days = Array.isArray(window.days) ? window.days.map(Number) : [];
+            if (days.some(day => !Number.isInteger(day) || day < 1 || day > 7)) {
+                errors.push(`Дни недели в группе ${grant.group} должны быть числами от 1 (пн) до 7 (вс)`);
+            }
+            if (parseTimeOfDay(window.from) === null || parseTimeOfDay(window.to) === null || window.from === window.to) {
+                errors.push(`Время в расписании группы ${grant.group} должно быть в формате ЧЧ:ММ`);
+            }
+            return { days, from: window.from, to: window.to };
+        });
+    }
+
+    return grant;
+}
+
+function validateGroup(input, devicesData) {
+    const errors = [];
+    const data = input || {};
+
+    const group = {
+        name: typeof data.name === 'string' ? data.name.trim() : '',
+        devices: Array.isArray(data.devices) ? [...new Set(data.devices)] : []
+    };
+
+    if (!group.name) errors.push('Не указано название группы');
+    group.devices.forEach(entry => {
+        if (resolveGroupEntry(entry, devicesData.devices).length === 0) {
+            errors.push(`Устройство или дверь ${entry} не найдены`);
+        }
+    });
+
+    return { errors, group };
+}
+
+// Проверка расписания из админского API. Дверь может входить только в одно включенное расписание
+function validateSchedule(input, schedulesData, devicesData, existingId = null) {
+    const errors = [];
+    const data = input || {};
+
+    const schedule = {
+        name: typeof data.name === 'string' ? data.name.trim() : '',
+        enabled: data.enabled !== false,
+        doors: Array.isArray(data.doors) ? [...new Set(data.doors.map(String))] : [],
+        rules: [],
+        defaultState: data.defaultState === undefined ? 3 : Number(data.defaultState)
+    };
+
+    if (!schedule.name) errors.push('Не указано название расписания');
+    if (schedule.doors.length === 0) errors.push('В расписании нет дверей');
+    schedule.doors.forEach(entry => {
+        if (resolveGroupEntry(entry, devicesData.devices).length === 0) {
+            errors.push(`Устройство или дверь ${entry} не найдены`);
+        }
+    });
+
+    const stateNames = SCHEDULE_STATES.map(state => `${state} (${getStateText(state)})`).join(', ');
+    if (!SCHEDULE_STATES.includes(schedule.defaultState)) {
+        errors.push(`Состояние по умолчанию должно быть одним из: ${stateNames}`);
+    }
+    if (data.holidayState !== undefined && data.holidayState !== null && data.holidayState !== '') {
+        schedule.holidayState = Number(data.holidayState);
+        if (!SCHEDULE_STATES.includes(schedule.holidayState)) {
+            errors.push(`Состояние в праздники должно быть одним из: ${stateNames}`);
+        }
+    }
+
+    (Array.isArray(data.rules) ? data.rules : []).forEach(rule => {
+        const days = Array.isArray(rule.days) ? rule.days.map(Number) : [];
+        const state = Number(rule.state);
+        if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 1 || day > 7)) {
+            errors.push('Дни недели в правиле должны быть числами от 1 (пн) до 7 (вс)');
+        }
+        if (parseTimeOfDay(rule.from) === null || parseTimeOfDay(rule.to) === null || rule.from === rule.to) {
+            errors.push('Время в правиле должно быть в формате ЧЧ:ММ');
+        }
+        if (!SCHEDULE_STATES.includes(state)) {
+            errors.push(`Состояние в правиле должно быть одним из: ${stateNames}`);
+        }
+        schedule.rules.push({ days, from: rule.from, to: rule.to, state });
+    });
+
+    // Чувствительную дверь открывают только по подтвержденной заявке, расписание ее не открывает
+    const states = [schedule.defaultState, schedule.holidayState, ...schedule.rules.map(rule => rule.state)];
+    schedule.doors.flatMap(entry => resolveGroupEntry(entry, devicesData.devices)).forEach(key => {
+        const [deviceId, doorNo] = key.split(':');
+        const door = findDoor(devicesData.devices.find(d => d.id === deviceId), Number(doorNo));
+        if (states.some(state => requiresApproval(door, state))) {
+            errors.push(`Дверь ${key} открывается только по заявке: расписание не может держать ее открытой`);
+        }
+    });
+
+    if (schedule.enabled) {
+        const keys = new Set(schedule.doors.flatMap(entry => resolveGroupEntry(entry, devicesData.devices)));
+        schedulesData.schedules
+            .filter(other => other.enabled && other.id !== existingId)
+            .forEach(other => {
+                const overlap = other.doors.flatMap(entry => resolveGroupEntry(entry, devicesData.devices)).some(key => keys.has(key));
+                if (overlap) errors.push(`Двери уже управляются расписанием "${other.name}"`);
+            });
+    }
+
+    return { errors, schedule };
+}
+
+function validateHolidays(input) {
+    const errors = [];
+    const holidays = (Array.isArray(input) ? input : []).map(holiday => {
+        const date = holiday && typeof holiday.date === 'string' ? holiday.date : '';
+        const parsed = new Date(`${date}T00:00:00`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(parsed.getTime()) || getLocalDate(parsed) !== date) {
+            errors.push(`Некорректная дата праздника: ${date || '(пусто)'}`);
+        }
+        return { date, name: holiday && typeof holiday.name === 'string' ? holiday.name.trim() : '' };
+    });
+
+    const dates = holidays.map(holiday => holiday.date);
+    if (new Set(dates).size !== dates.length) errors.push('Даты праздников не должны повторяться');
+
+    return { errors, holidays: holidays.sort((a, b) => a.date.localeCompare(b.date)) };
+}
+
+// Расписание для админки: с ближайшим переключением
+function buildScheduleView(schedule, holidays) {
+    return {
+        ...schedule,
+        currentState: getScheduledState(schedule, holidays),
+        nextChange: schedule.enabled ? getNextScheduledChange(schedule, holidays) : null
+    };
+}
+
+// Заявки на открытие чувствительных дверей (/api/approvals). Возвращает false, если маршрут не найден
+async function handleApprovalRoute(req, res, pathname, session) {
+    const login = session.login;
+
+    // Открытые заявки и последние закрытые по дверям, доступным пользователю
+    if (pathname === '/api/approvals' && req.method === 'GET') {
+        const permissions = getUserPermissions(login);
+        const admin = isAdmin(login);
+        const visible = loadApprovals().requests
+            .filter(request => admin || permissions.has(doorKey(request.deviceId, request.doorNo)))
+            .reverse();
+        const approvals = [
+            ...visible.filter(isApprovalOpen),
+            ...visible.filter(request => !isApprovalOpen(request)).slice(0, 50)
+        ].map(request => buildApprovalView(request, login, permissions, admin));
+
+        sendJson(res, 200, { success: true, approvals, statuses: APPROVAL_STATUSES, maxMinutes: CONFIG.APPROVAL_MAX_MINUTES });
+        return true;
+    }
+
+    if (pathname === '/api/approvals' && req.method === 'POST') {
+        const { errors, request, device } = validateApprovalRequest(await readJsonBody(req), loadDevices());
+
+        if (device && !validateUserAccess(login, request.deviceId, request.doorNo, ACTIONS.open.state)) {
+            sendJson(res, 403, { success: false, message: 'Действие с устройством запрещено' });
+            return true;
+        }
+        if (errors.length > 0) {
+            sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+            return true;
+        }
+        if (isDoorInEmergency(loadEmergency(), request.deviceId, request.doorNo)) {
+            sendJson(res, 423, { success: false, message: 'Действует экстренный режим: управление дверью заблокировано' });
+            return true;
+        }
+
+        const created = createApproval(request, login, getClientIp(req));
+        if (created.duplicate) {
+            sendJson(res, 409, { success: false, message: `По этой двери уже есть заявка (${created.duplicate.requestedBy})` });
+            return true;
+        }
+        if (created.error) {
+            sendJson(res, 500, { success: false, message: created.error });
+            return true;
+        }
+
+        sendJson(res, 201, { success: true, approval: buildApprovalView(created.request, login, getUserPermissions(login), isAdmin(login)) });
+        return true;
+    }
+
+    const approvalMatch = pathname.match(/^\/api\/approvals\/([^/]+)\/(approve|reject|cancel)$/);
+    if (approvalMatch && req.method === 'POST') {
+        const id = decodeURIComponent(approvalMatch[1]);
+        const decision = approvalMatch[2];
+        const body = await readJsonBody(req);
+        const comment = typeof body.comment === 'string' && body.comment.trim() ? body.comment.trim().slice(0, 200) : null;
+        const clientIp = getClientIp(req);
+        const permissions = getUserPermissions(login);
+        const request = loadApprovals().requests.find(r => r.id === id);
+
+        if (!request || !(isAdmin(login) || permissions.has(doorKey(request.deviceId, request.doorNo)))) {
+            sendJson(res, 404, { success: false, message: 'Заявка не найдена' });
+            return true;
+        }
+
+        const view = buildApprovalView(request, login, permissions, isAdmin(login));
+        const allowed = decision === 'cancel' ? view.canCancel : view.canDecide;
+        if (!allowed) {
+            let message = `Заявка уже закрыта: ${APPROVAL_STATUSES[request.status]}`;
+            if (isApprovalOpen(request)) {
+                message = decision === 'cancel'
+                    ? 'Отменить заявку может только ее автор или администратор'
+                    : 'Заявку должен рассмотреть другой сотрудник с правом открывать эту дверь';
+            }
+            sendJson(res, isApprovalOpen(request) ? 403 : 409, { success: false, message });
+            return true;
+        }
+
+        if (decision === 'approve') {
+            if (isDoorInEmergency(loadEmergency(), request.deviceId, request.doorNo)) {
+                sendJson(res, 423, { success: false, message: 'Действует экстренный режим: управление дверью заблокировано' });
+                return true;
+            }
+
+            const approved = await approveApproval(id, login, comment, clientIp);
+            if (!approved) {
+                sendJson(res, 409, { success: false, message: 'Заявка уже рассмотрена' });
+                return true;
+            }
+            sendJson(res, approved.result.success ? 200 : 502, {
+                success: approved.result.success,
+                message: approved.result.success
+                    ? `Дверь открыта до ${new Date(approved.request.expiresAt).toLocaleString('ru-RU')}`
+                    : `Не удалось открыть дверь: ${approved.result.message}`,
+                approval: buildApprovalView(approved.request, login, permissions, isAdmin(login))
+            });
+            return true;
+        }
+
+        const closed = await closeApproval(id, decision === 'reject' ? ['pending'] : ['pending', 'approved'],
+            decision === 'reject' ? 'rejected' : 'cancelled', login, { comment, clientIp });
+        if (!closed) {
+            sendJson(res, 409, { success: false, message: 'Заявка уже закрыта' });
+            return true;
+        }
+        sendJson(res, 200, {
+            success: true,
+            message: closed.result ? `${APPROVAL_STATUSES[closed.status]}: ${closed.result.message}` : APPROVAL_STATUSES[closed.status],
+            approval: buildApprovalView(closed, login, permissions, isAdmin(login))
+        });
+        return true;
+    }
+
+    return false;
+}
+
+// Массовое управление и экстренный режим (/api/control/bulk, /api/emergency).
+// Возвращает false, если маршрут не найден
+async function handleBulkRoute(req, res, pathname, session) {
+    // Массовое управление: { state, doors: ['deviceId' | 'deviceId:doorNo'] } или { state, group }.
+    // Ответ - результат по каждой двери; двери без прав или под экстренным режимом пропускаются
+    if (pathname === '/api/control/bulk' && req.method === 'POST') {
+        const body = await readJsonBody(req);
+        const state = parseInt(body.state, 10);
+        const action = getStateAction(state);
+        const login = session.login;
+
+        if (!action || isMomentaryState(state)) {
+            sendJson(res, 400, { success: false, message: 'Недопустимое состояние двери' });
+            return true;
+        }
+
+        let entries = Array.isArray(body.doors) ? body.doors.map(String) : null;
+        if (body.group) {
+            const group = loadUsers().groups.find(g => g.id === body.group);
+            if (!group) {
+                sendJson(res, 404, { success: false, message: 'Группа не найдена' });
+                return true;
+            }
+            entries = group.devices;
+        }
+        if (!entries || entries.length === 0) {
+            sendJson(res, 400, { success: false, message: 'Не указаны двери или группа' });
+            return true;
+        }
+
+        const targets = resolveTargets(entries, loadDevices().devices);
+        const permissions = getUserPermissions(login);
+        const emergency = loadEmergency();
+        const audit = { user: login, clientIp: getClientIp(req), source: 'bulk' };
+        const skipped = [];
+        const allowed = targets.filter(({ device, door }) => {
+            const actions = permissions.get(doorKey(device.id, door.doorNo));
+            let message = null;
+            if (!actions || !actions.has(action)) message = 'Действие с устройством запрещено';
+            else if (isDoorInEmergency(emergency, device.id, door.doorNo)) message = 'Действует экстренный режим';
+            else if (requiresApproval(door, state)) message = 'Требуется подтверждение второго сотрудника';
+            if (!message) return true;
+
+            logToFile(message, device.ip, state, door.doorNo, {
+                ...audit, deviceId: device.id, deviceName: device.name, doorName: door.name, outcome: 'denied'
+            });
+            skipped.push({
+                deviceId: device.id, doorNo: door.doorNo, deviceName: device.name, doorName: door.name,
+                success: false, skipped: true, message, attempts: 0
+            });
+            return false;
+        });
+
+        console.log(`🎯 Bulk: User ${login} setting ${allowed.length} door(s) to ${state}`);
+        const results = [...await runBulkControl(allowed, state, audit), ...skipped];
+        const failed = results.filter(result => !result.success).length;
+        sendJson(res, 200, {
+            success: failed === 0,
+            message: `Переключено дверей: ${results.length - failed} из ${results.length}`,
+            results
+        });
+        return true;
+    }
+
+    if (pathname === '/api/emergency' && req.method === 'GET') {
+        const login = session.login;
+        const groups = loadUsers().groups
+            .filter(group => Object.keys(EMERGENCY_MODES).some(mode =>
+                canStartEmergency(login, mode, resolveTargets(group.devices, loadDevices().devices))))
+            .map(group => ({ id: group.id, name: group.name }));
+        sendJson(res, 200, {
+            success: true,
+            emergency: loadEmergency(),
+            modes: EMERGENCY_MODES,
+            groups,
+            canStartAll: isAdmin(login),
+            canClear: isAdmin(login)
+        });
+        return true;
+    }
+
+    // Объявление режима: { mode: 'lockdown' | 'evacuation', group?, reason? }; без группы - все двери
+    if (pathname === '/api/emergency' && req.method === 'POST') {
+        const body = await readJsonBody(req);
+        const login = session.login;
+
+        if (!EMERGENCY_MODES[body.mode]) {
+            sendJson(res, 400, { success: false, message: `Режим должен быть одним из: ${Object.keys(EMERGENCY_MODES).join(', ')}` });
+            return true;
+        }
+
+        const devices = loadDevices().devices;
+        let entries = devices.map(device => device.id);
+        if (body.group) {
+            const group = loadUsers().groups.find(g => g.id === body.group);
+            if (!group) {
+                sendJson(res, 404, { success: false, message: 'Группа не найдена' });
+                return true;
+            }
+            entries = group.devices;
+        }
+
+        const targets = resolveTargets(entries, devices);
+        if (!body.group && !isAdmin(login)) {
+            sendJson(res, 403, { success: false, message: 'Режим для всех дверей может объявить только администратор' });
+            return true;
+        }
+        if (!canStartEmergency(login, body.mode, targets)) {
+            sendJson(res, 403, { success: false, message: 'Недостаточно прав для объявления режима' });
+            return true;
+        }
+
+        // Новый режим поверх действующего вытеснил бы его двери из защиты и из возврата при снятии
+        if (loadEmergency().active) {
+            sendJson(res, 409, { success: false, message: 'Экстренный режим уже действует: сначала снимите его' });
+            return true;
+        }
+
+        const emergency = await startEmergency(body.mode, targets, login, {
+            group: body.group,
+            reason: typeof body.reason === 'string' ? body.reason.trim().slice(0, 200) : '',
+            clientIp: getClientIp(req)
+        });
+        const failed = emergency.results.filter(result => !result.success).length;
+        sendJson(res, 200, {
+            success: failed === 0,
+            message: `${EMERGENCY_MODES[body.mode].title}: переключено дверей ${targets.length - failed} из ${targets.length}`,
+            emergency
+        });
+        return true;
+    }
+
+    if (pathname === '/api/emergency' && req.method === 'DELETE') {
+        if (!isAdmin(session.login)) {
+            sendJson(res, 403, { success: false, message: 'Снять экстренный режим может только администратор' });
+            return true;
+        }
+
+        const body = await readJsonBody(req);
+        const result = await clearEmergency(session.login, { resume: body.resume !== false, clientIp: getClientIp(req) });
+        if (!result) {
+            sendJson(res, 409, { success: false, message: 'Экстренный режим не действует' });
+            return true;
+        }
+        sendJson(res, 200, { success: true, message: 'Экстренный режим снят', emergency: result });
+        return true;
+    }
+
+    return false;
+}
+
+// Админские маршруты /api/admin/*. Права администратора уже проверены
+async function handleAdminRoute(req, res, pathname, session) {
+    if (pathname === '/api/admin/devices' && req.method === 'GET') {
+        sendJson(res, 200, {
+            success: true,
+            devices: loadDevices().devices.map(device => ({
+                ...sanitizeDevice(device),
+                ...getDeviceStatus(device.id),
+                warnings: buildDeviceHealth(device).warnings,
+                doors: device.doors.map(door => ({ ...door, ...getDoorStatus(device.id, door.doorNo) }))
+            }))
+        });
+        return;
+    }
+
+    // Состояние всех устройств по данным кеша, без запросов к контроллерам
+    if (pathname === '/api/admin/health' && req.method === 'GET') {
+        sendJson(res, 200, { success: true, devices: loadDevices().devices.map(buildDeviceHealth) });
+        return;
+    }
+
+    if (pathname === '/api/admin/devices' && req.method === 'POST') {
+        const { errors, device } = validateDevice(await readJsonBody(req));
+        const devicesData = loadDevices();
+
+        if (devicesData.devices.some(d => d.ip === device.ip && d.port === device.port)) {
+            errors.push('Устройство с таким адресом и портом уже существует');
+        }
+        if (errors.length > 0) {
+            sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+            return;
+        }
+
+        device.id = generateId('dev');
+        devicesData.devices.push(device);
+        if (!saveDevices(devicesData)) {
+            sendJson(res, 500, { success: false, message: 'Не удалось сохранить устройства' });
+            return;
+        }
+
+        console.log(`➕ Admin ${session.login} added device ${device.name} (${device.ip})`);
+        sendJson(res, 201, { success: true, device: sanitizeDevice(device) });
+        return;
+    }
+
+    // Проверка связи с параметрами из формы (пароль можно не указывать для существующего устройства)
+    if (pathname === '/api/admin/devices/test' && req.method === 'POST') {
+        const body = await readJsonBody(req);
+        const existing = body.originalId ? findDevice(loadDevices(), body.originalId) : null;
+        const { errors, device } = validateDevice(body, existing);
+
+        if (errors.length > 0) {
+            sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+            return;
+        }
+
+        const result = await testDeviceConnection(device.ip, device.login, device.password, getDeviceConnection(device));
+        sendJson(res, 200, result);
+        return;
+    }
+
+    const deviceMatch = pathname.match(/^\/api\/admin\/devices\/([^/]+)(\/test|\/event-host|\/health)?$/);
+    if (deviceMatch) {
+        const id = decodeURIComponent(deviceMatch[1]);
+        const isTest = deviceMatch[2] === '/test';
+        const isEventHost = deviceMatch[2] === '/event-host';
+        const isHealth = deviceMatch[2] === '/health';
+        const devicesData = loadDevices();
+        const index = devicesData.devices.findIndex(d => d.id === id);
+
+        if (index === -1) {
+            sendJson(res, 404, { success: false, message: 'Устройство не найдено' });
+            return;
+        }
+        const existing = devicesData.devices[index];
+
+        if (isTest && req.method === 'POST') {
+            const result = await testDeviceConnection(existing.ip, existing.login, existing.password, getDeviceConnection(existing));
+            sendJson(res, 200, result);
+            return;
+        }
+
+        // GET - сведения из кеша (запрашиваются, если устарели), POST - принудительное обновление
+        if (isHealth && (req.method === 'GET' || req.method === 'POST')) {
+            if (req.method === 'POST' || isDeviceHealthStale(existing.id)) {
+                await refreshDeviceHealth(existing);
+            }
+            sendJson(res, 200, { success: true, health: buildDeviceHealth(existing) });
+            return;
+        }
+
+        if (isEventHost && req.method === 'POST') {
+            const result = await configureEventHost(existing);
+            if (result.success) console.log(`📨 Admin ${session.login} configured event host on ${existing.name}`);
+            sendJson(res, result.success ? 200 : 502, result);
+            return;
+        }
+
+        if (!deviceMatch[2] && req.method === 'PUT') {
+            const { errors, device } = validateDevice(await readJsonBody(req), existing);
+
+            if (devicesData.devices.some(d => d.id !== id && d.ip === device.ip && d.port === device.port)) {
+                errors.push('Устройство с таким адресом и портом уже существует');
+            }
+            if (errors.length > 0) {
+                sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+                return;
+            }
+
+            const updated = { ...existing, ...device, id };
+            devicesData.devices[index] = updated;
+            if (!saveDevices(devicesData)) {
+                sendJson(res, 500, { success: false, message: 'Не удалось сохранить устройства' });
+                return;
+            }
+            pruneGroupDevices(id, updated.doors.map(door => door.doorNo));
+            pruneScheduleDoors(id, updated.doors.map(door => door.doorNo));
+            prunePersonTargets(id, updated.doors.map(door => door.doorNo));
+            syncPersonsInBackground([id]);
+
+            console.log(`✏️ Admin ${session.login} updated device ${updated.name} (${updated.ip})`);
+            sendJson(res, 200, { success: true, device: sanitizeDevice(updated) });
+            return;
+        }
+
+        if (!deviceMatch[2] && req.method === 'DELETE') {
+            devicesData.devices.splice(index, 1);
+            if (!saveDevices(devicesData)) {
+                sendJson(res, 500, { success: false, message: 'Не удалось сохранить устройства' });
+                return;
+            }
+            pruneGroupDevices(id);
+            pruneScheduleDoors(id);
+            prunePersonTargets(id);
+
+            console.log(`🗑️ Admin ${session.login} deleted device ${existing.name} (${existing.ip})`);
+            sendJson(res, 200, { success: true });
+            return;
+        }
+    }
+
+    if (pathname === '/api/admin/schedules' && req.method === 'GET') {
+        const schedulesData = loadSchedules();
+        sendJson(res, 200, {
+            success: true,
+            schedules: schedulesData.schedules.map(schedule => buildScheduleView(schedule, schedulesData.holidays)),
+            holidays: schedulesData.holidays,
+            states: SCHEDULE_STATES
+        });
+        return;
+    }
+
+    if (pathname === '/api/admin/schedules' && req.method === 'POST') {
+        const schedulesData = loadSchedules();
+        const { errors, schedule } = validateSchedule(await readJsonBody(req), schedulesData, loadDevices());
+        if (errors.length > 0) {
+            sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+            return;
+        }
+
+        schedule.id = generateId('schedule');
+        schedulesData.schedules.push(schedule);
+        if (!saveSchedules(schedulesData)) {
+            sendJson(res, 500, { success: false, message: 'Не удалось сохранить расписания' });
+            return;
+        }
+
+        console.log(`➕ Admin ${session.login} added schedule ${schedule.name}`);
+        runScheduler();
+        sendJson(res, 201, { success: true, schedule: buildScheduleView(schedule, schedulesData.holidays) });
+        return;
+    }
+
+    if (pathname === '/api/admin/holidays' && req.method === 'PUT') {
+        const body = await readJsonBody(req);
+        const { errors, holidays } = validateHolidays(body.holidays);
+        if (errors.length > 0) {
+            sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+            return;
+        }
+
+        const schedulesData = loadSchedules();
+        schedulesData.holidays = holidays;
+        if (!saveSchedules(schedulesData)) {
+            sendJson(res, 500, { success: false, message: 'Не удалось сохранить расписания' });
+            return;
+        }
+
+        console.log(`📅 Admin ${session.login} updated holidays (${holidays.length})`);
+        runScheduler();
+        sendJson(res, 200, { success: true, holidays });
+        return;
+    }
+
+    const scheduleMatch = pathname.match(/^\/api\/admin\/schedules\/([^/]+)$/);
+    if (scheduleMatch) {
+        const id = decodeURIComponent(scheduleMatch[1]);
+        const schedulesData = loadSchedules();
+        const index = schedulesData.schedules.findIndex(s => s.id === id);
+
+        if (index === -1) {
+            sendJson(res, 404, { success: false, message: 'Расписание не найдено' });
+            return;
+        }
+
+        if (req.method === 'PUT') {
+            const { errors, schedule } = validateSchedule(await readJsonBody(req), schedulesData, loadDevices(), id);
+            if (errors.length > 0) {
+                sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+                return;
+            }
+
+            schedulesData.schedules[index] = { ...schedule, id };
+            if (!saveSchedules(schedulesData)) {
+                sendJson(res, 500, { success: false, message: 'Не удалось сохранить расписания' });
+                return;
+            }
+
+            console.log(`✏️ Admin ${session.login} updated schedule ${schedule.name}`);
+            runScheduler();
+            sendJson(res, 200, { success: true, schedule: buildScheduleView(schedulesData.schedules[index], schedulesData.holidays) });
+            return;
+        }
+
+        if (req.method === 'DELETE') {
+            const [removed] = schedulesData.schedules.splice(index, 1);
+            if (!saveSchedules(schedulesData)) {
+                sendJson(res, 500, { success: false, message: 'Не удалось сохранить расписания' });
+                return;
+            }
+
+            console.log(`🗑️ Admin ${session.login} deleted schedule ${removed.name}`);
+            sendJson(res, 200, { success: true });
+            return;
+        }
+    }
+
+    if (pathname === '/api/admin/users' && req.method === 'GET') {
+        const usersData = loadUsers();
+        sendJson(res, 200, { success: true, users: usersData.users.map(sanitizeUser), roles: ROLES, actions: ACTIONS });
+        return;
+    }
+
+    if (pathname === '/api/admin/users' && req.method === 'POST') {
+        const usersData = loadUsers();
+        const { errors, user, password } = validateUser(await readJsonBody(req), usersData);
+
+        if (errors.length > 0) {
+            sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+            return;
+        }
+
+        user.createdAt = new Date().toISOString();
+        setUserPassword(user, password);
+        usersData.users.push(user);
+        if (!saveUsers(usersData)) {
+            sendJson(res, 500, { success: false, message: 'Не удалось сохранить пользователей' });
+            return;
+        }
+
+        console.log(`➕ Admin ${session.login} added user ${user.login} (${user.role})`);
+        sendJson(res, 201, { success: true, user: sanitizeUser(user) });
+        return;
+    }
+
+    const userMatch = pathname.match(/^\/api\/admin\/users\/([^/]+)$/);
+    if (userMatch) {
+        const login = decodeURIComponent(userMatch[1]);
+        const usersData = loadUsers();
+        const index = usersData.users.findIndex(u => u.login === login);
+
+        if (index === -1) {
+            sendJson(res, 404, { success: false, message: 'Пользователь не найден' });
+            return;
+        }
+        const existing = usersData.users[index];
+        const otherAdmins = usersData.users.filter(u => u.role === 'admin' && u.login !== login);
+
+        if (req.method === 'PUT') {
+            const { errors, user, password } = validateUser(await readJsonBody(req), usersData, existing);
+
+            if (existing.role === 'admin' && user.role !== 'admin' && otherAdmins.length === 0) {
+                errors.push('Нельзя снять роль с последнего администратора');
+            }
+            if (errors.length > 0) {
+                sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+                return;
+            }
+
+            existing.role = user.role;
+            existing.grants = user.grants;
+            if (password) setUserPassword(existing, password);
+            if (!saveUsers(usersData)) {
+                sendJson(res, 500, { success: false, message: 'Не удалось сохранить пользователей' });
+                return;
+            }
+            if (password) revokeUserSessions(login, session.token);
+
+            console.log(`✏️ Admin ${session.login} updated user ${login}`);
+            sendJson(res, 200, { success: true, user: sanitizeUser(existing) });
+            return;
+        }
+
+        if (req.method === 'DELETE') {
+            if (login === session.login) {
+                sendJson(res, 400, { success: false, message: 'Нельзя удалить самого себя' });
+                return;
+            }
+            if (existing.role === 'admin' && otherAdmins.length === 0) {
+                sendJson(res, 400, { success: false, message: 'Нельзя удалить последнего администратора' });
+                return;
+            }
+
+            usersData.users.splice(index, 1);
+            if (!saveUsers(usersData)) {
+                sendJson(res, 500, { success: false, message: 'Не удалось сохранить пользователей' });
+                return;
+            }
+            revokeUserSessions(login);
+
+            console.log(`🗑️ Admin ${session.login} deleted user ${login}`);
+            sendJson(res, 200, { success: true });
+            return;
+        }
+    }
+
+    if (pathname === '/api/admin/persons' && req.method === 'GET') {
+        sendJson(res, 200, {
+            success: true,
+            persons: loadPersons().persons.map(sanitizePerson),
+            report: buildPersonSyncReport()
+        });
+        return;
+    }
+
+    if (pathname === '/api/admin/persons/sync' && req.method === 'GET') {
+        sendJson(res, 200, { success: true, report: buildPersonSyncReport() });
+        return;
+    }
+
+    // Синхронизация всех устройств или одного: { deviceId }
+    if (pathname === '/api/admin/persons/sync' && req.method === 'POST') {
+        const body = await readJsonBody(req);
+        if (body.deviceId && !findDevice(loadDevices(), body.deviceId)) {
+            sendJson(res, 404, { success: false, message: 'Устройство не найдено' });
+            return;
+        }
+
+        const results = await syncPersons(body.deviceId ? [body.deviceId] : null);
+        console.log(`👤 Admin ${session.login} synced persons on ${results.length} device(s)`);
+        sendJson(res, 200, { success: true, results, report: buildPersonSyncReport() });
+        return;
+    }
+
+    if (pathname === '/api/admin/persons' && req.method === 'POST') {
+        const personsData = loadPersons();
+        const devicesData = loadDevices();
+        const groups = loadUsers().groups;
+        const { errors, person, face } = validatePerson(await readJsonBody(req), personsData, devicesData, groups);
+
+        if (errors.length > 0) {
+            sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+            return;
+        }
+
+        person.id = generateId('person');
+        person.face = null;
+        applyPersonFace(person, face);
+        person.updatedAt = new Date().toISOString();
+        personsData.persons.push(person);
+        if (!savePersons(personsData)) {
+            sendJson(res, 500, { success: false, message: 'Не удалось сохранить сотрудников' });
+            return;
+        }
+
+        console.log(`➕ Admin ${session.login} added person ${person.name} (${person.employeeNo})`);
+        const sync = await syncPersons(getPersonAffectedDevices(person, devicesData.devices, groups));
+        sendJson(res, 201, { success: true, person: sanitizePerson(person), sync });
+        return;
+    }
+
+    const personMatch = pathname.match(/^\/api\/admin\/persons\/([^/]+)$/);
+    if (personMatch) {
+        const id = decodeURIComponent(personMatch[1]);
+        const personsData = loadPersons();
+        const devicesData = loadDevices();
+        const groups = loadUsers().groups;
+        const index = personsData.persons.findIndex(p => p.id === id);
+
+        if (index === -1) {
+            sendJson(res, 404, { success: false, message: 'Сотрудник не найден' });
+            return;
+        }
+        const existing = personsData.persons[index];
+
+        if (req.method === 'PUT') {
+            const { errors, person, face } = validatePerson(await readJsonBody(req), personsData, devicesData, groups, existing);
+
+            if (errors.length > 0) {
+                sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+                return;
+            }
+
+            // Устройства, где сотрудник был до изменения, тоже нужно обновить (или удалить его там)
+            const affected = new Set(getPersonAffectedDevices(existing, devicesData.devices, groups));
+            const updated = { ...existing, ...person, id, updatedAt: new Date().toISOString() };
+            applyPersonFace(updated, face);
+            personsData.persons[index] = updated;
+            if (!savePersons(personsData)) {
+                sendJson(res, 500, { success: false, message: 'Не удалось сохранить сотрудников' });
+                return;
+            }
+            getPersonAffectedDevices(updated, devicesData.devices, groups).forEach(deviceId => affected.add(deviceId));
+
+            console.log(`✏️ Admin ${session.login} updated person ${updated.name} (${updated.employeeNo})`);
+            const sync = await syncPersons([...affected]);
+            sendJson(res, 200, { success: true, person: sanitizePerson(updated), sync });
+            return;
+        }
+
+        if (req.method === 'DELETE') {
+            const affected = getPersonAffectedDevices(existing, devicesData.devices, groups);
+            personsData.persons.splice(index, 1);
+            if (!savePersons(personsData)) {
+                sendJson(res, 500, { success: false, message: 'Не удалось сохранить сотрудников' });
+                return;
+            }
+            applyPersonFace(existing, null);
+
+            console.log(`🗑️ Admin ${session.login} deleted person ${existing.name} (${existing.employeeNo})`);
+            const sync = await syncPersons(affected);
+            sendJson(res, 200, { success: true, sync });
+            return;
+        }
+    }
+
+    if (pathname === '/api/admin/notifications' && req.method === 'GET') {
+        sendJson(res, 200, { success: true, ...getNotificationsView() });
+        return;
+    }
+
+    if (pathname === '/api/admin/notifications/webhooks' && req.method === 'POST') {
+        const { errors, hook } = validateWebhook(await readJsonBody(req));
+
+        if (errors.length > 0) {
+            sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+            return;
+        }
+
+        hook.id = generateId('hook');
+        const saved = notificationsStore.update(settings => {
+            settings.webhooks.push(hook);
+        });
+        if (!saved) {
+            sendJson(res, 500, { success: false, message: 'Не удалось сохранить настройки уведомлений' });
+            return;
+        }
+
+        console.log(`➕ Admin ${session.login} added webhook ${hook.name} (${hook.url})`);
+        sendJson(res, 201, { success: true, webhook: sanitizeWebhook(hook) });
+        return;
+    }
+
+    const webhookMatch = pathname.match(/^\/api\/admin\/notifications\/webhooks\/([^/]+)(\/test)?$/);
+    if (webhookMatch) {
+        const id = decodeURIComponent(webhookMatch[1]);
+        const settings = loadNotifications();
+        const index = settings.webhooks.findIndex(h => h.id === id);
+
+        if (index === -1) {
+            sendJson(res, 404, { success: false, message: 'Webhook не найден' });
+            return;
+        }
+        const existing = settings.webhooks[index];
+
+        // Проверочная отправка - сразу и без повторов, результат виден в ответе
+        if (webhookMatch[2] && req.method === 'POST') {
+            const job = { id: generateId('dlv'), channel: 'webhook', targetId: id, attempts: 1,
+                notification: buildNotification('test', { login: session.login }) };
+            const result = await sendWebhook(existing, job.notification);
+            recordDelivery(job, result, result.success ? 'sent' : 'failed');
+            sendJson(res, result.success ? 200 : 502, {
+                success: result.success,
+                message: result.success ? 'Тестовое уведомление доставлено' : `Не доставлено: ${result.error}`
+            });
+            return;
+        }
+
+        if (!webhookMatch[2] && req.method === 'PUT') {
+            const { errors, hook } = validateWebhook(await readJsonBody(req), existing);
+
+            if (errors.length > 0) {
+                sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+                return;
+            }
+
+            settings.webhooks[index] = { ...hook, id };
+            if (!saveNotifications(settings)) {
+                sendJson(res, 500, { success: false, message: 'Не удалось сохранить настройки уведомлений' });
+                return;
+            }
+
+            console.log(`✏️ Admin ${session.login} updated webhook ${hook.name}`);
+            sendJson(res, 200, { success: true, webhook: sanitizeWebhook(settings.webhooks[index]) });
+            return;
+        }
+
+        if (!webhookMatch[2] && req.method === 'DELETE') {
+            settings.webhooks.splice(index, 1);
+            if (!saveNotifications(settings)) {
+                sendJson(res, 500, { success: false, message: 'Не удалось сохранить настройки уведомлений' });
+                return;
+            }
+
+            console.log(`🗑️ Admin ${session.login} deleted webhook ${existing.name}`);
+            sendJson(res, 200, { success: true });
+            return;
+        }
+    }
+
+    if (pathname === '/api/admin/notifications/telegram' && req.method === 'PUT') {
+        const settings = loadNotifications();
+        const { errors, telegram } = validateTelegram(await readJsonBody(req), settings.telegram);
+
+        if (errors.length > 0) {
+            sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+            return;
+        }
+
+        settings.telegram = telegram;
+        if (!saveNotifications(settings)) {
+            sendJson(res, 500, { success: false, message: 'Не удалось сохранить настройки уведомлений' });
+            return;
+        }
+
+        console.log(`✏️ Admin ${session.login} updated Telegram notifications (${telegram.enabled ? 'on' : 'off'})`);
+        sendJson(res, 200, { success: true, telegram: sanitizeTelegram(telegram) });
+        return;
+    }
+
+    // Проверка бота: сообщение во все указанные чаты, даже если уведомления выключены
+    if (pathname === '/api/admin/notifications/telegram/test' && req.method === 'POST') {
+        const telegram = loadNotifications().telegram;
+        if (!telegram.botToken || telegram.chatIds.length === 0) {
+            sendJson(res, 400, { success: false, message: 'Укажите и сохраните токен бота и chat id' });
+            return;
+        }
+
+        const notification = buildNotification('test', { login: session.login });
+        const results = [];
+        for (const chatId of telegram.chatIds) {
+            const job = { id: generateId('dlv'), channel: 'telegram', chatId, attempts: 1, notification };
+            const result = await sendTelegram(telegram, chatId, notification);
+            recordDelivery(job, result, result.success ? 'sent' : 'failed');
+            results.push({ chatId, success: result.success, error: result.error || null });
+        }
+
+        const failed = results.filter(result => !result.success);
+        sendJson(res, failed.length === 0 ? 200 : 502, {
+            success: failed.length === 0,
+            message: failed.length === 0
+                ? 'Тестовое сообщение отправлено'
+                : `Не доставлено: ${failed.map(result => `${result.chatId} - ${result.error}`).join('; ')}`,
+            results
+        });
+        return;
+    }
+
+    if (pathname === '/api/admin/groups' && req.method === 'GET') {
+        sendJson(res, 200, { success: true, groups: loadUsers().groups });
+        return;
+    }
+
+    if (pathname === '/api/admin/groups' && req.method === 'POST') {
+        const usersData = loadUsers();
+        const { errors, group } = validateGroup(await readJsonBody(req), loadDevices());
+
+        if (errors.length > 0) {
+            sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+            return;
+        }
+
+        group.id = generateId('group');
+        usersData.groups.push(group);
+        if (!saveUsers(usersData)) {
+            sendJson(res, 500, { success: false, message: 'Не удалось сохранить группы' });
+            return;
+        }
+
+        console.log(`➕ Admin ${session.login} added group ${group.name}`);
+        sendJson(res, 201, { success: true, group });
+        return;
+    }
+
+    const groupMatch = pathname.match(/^\/api\/admin\/groups\/([^/]+)$/);
+    if (groupMatch) {
+        const id = decodeURIComponent(groupMatch[1]);
+        const usersData = loadUsers();
+        const index = usersData.groups.findIndex(g => g.id === id);
+
+        if (index === -1) {
+            sendJson(res, 404, { success: false, message: 'Группа не найдена' });
+            return;
+        }
+
+        if (req.method === 'PUT') {
+            const { errors, group } = validateGroup(await readJsonBody(req), loadDevices());
+
+            if (errors.length > 0) {
+                sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+                return;
+            }
+
+            const updated = { ...usersData.groups[index], ...group };
+            delete updated.migrated;
+            usersData.groups[index] = updated;
+            if (!saveUsers(usersData)) {
+                sendJson(res, 500, { success: false, message: 'Не удалось сохранить группы' });
+                return;
+            }
+
+            console.log(`✏️ Admin ${session.login} updated group ${updated.name}`);
+            syncPersonsInBackground();
+            sendJson(res, 200, { success: true, group: updated });
+            return;
+        }
+
+        if (req.method === 'DELETE') {
+            const [removed] = usersData.groups.splice(index, 1);
+            usersData.users.forEach(user => {
+                user.grants = user.grants.filter(grant => grant.group !== id);
+            });
+            if (!saveUsers(usersData)) {
+                sendJson(res, 500, { success: false, message: 'Не удалось сохранить группы' });
+                return;
+            }
+            prunePersonTargets(null, null, id);
+            syncPersonsInBackground();
+
+            console.log(`🗑️ Admin ${session.login} deleted group ${removed.name}`);
+            sendJson(res, 200, { success: true });
+            return;
+        }
+    }
+
+    sendJson(res, 404, { success: false, message: 'Route not found' });
 }
 
 function serveHTML(req, res) {
@@ -488,131 +6043,530 @@ function serveHTML(req, res) {
             return;
         }
 
-        const html = fs.readFileSync(CONFIG.HTML_FILE, 'utf8');
-        res.writeHead(200, { 'Content-Type': 'text/html' });
-        res.end(html);
-    } catch (error) {
-        console.error('❌ Error serving HTML:', error);
-        res.writeHead(500, { 'Content-Type': 'text/plain' });
-        res.end('Error loading HTML file');
+        const nonce = crypto.randomBytes(16).toString('base64');
+        const html = fs.readFileSync(CONFIG.HTML_FILE, 'utf8').replace(/<script>/g, `<script nonce="${nonce}">`);
+        const headers = { 'Content-Type': 'text/html; charset=utf-8', ...buildHtmlSecurityHeaders(nonce) };
+        if (CONFIG.COOKIE_SECURE) headers['Strict-Transport-Security'] = 'max-age=31536000';
+        res.writeHead(200, headers);
+        res.end(html);
+    } catch (error) {
+        console.error('❌ Error serving HTML:', error);
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('Error loading HTML file');
+    }
+}
+
+// Проверки для /healthz: процесс отвечает, файлы конфигурации читаются и проходят проверку, в каталог логов можно писать
+function runHealthChecks() {
+    const checks = {};
+    const check = (name, fn) => {
+        try {
+            fn();
+            checks[name] = { ok: true };
+        } catch (error) {
+            checks[name] = { ok: false, error: error.message };
+        }
+    };
+
+    check('config', () => {
+        fs.accessSync(CONFIG_DIR, fs.constants.R_OK);
+        const errors = configStores.map(store => store.refresh()).filter(Boolean);
+        if (errors.length > 0) throw new Error(errors.map(error => error.message).join('; '));
+    });
+    check('logs', () => {
+        const probe = path.join(CONFIG.LOG_DIR, `.healthz-${process.pid}`);
+        fs.writeFileSync(probe, '');
+        fs.unlinkSync(probe);
+    });
+
+    return checks;
+}
+
+// /readyz дополнительно требует ключ шифрования паролей устройств и завершенный первый опрос,
+// иначе интерфейс показал бы все двери в неизвестном состоянии
+function runReadinessChecks() {
+    const checks = runHealthChecks();
+
+    try {
+        getSecretKey();
+        checks.secretKey = { ok: true };
+    } catch (error) {
+        checks.secretKey = { ok: false, error: error.message };
+    }
+    checks.statusPoll = statusPollCompletedAt
+        ? { ok: true, completedAt: statusPollCompletedAt }
+        : { ok: false, error: 'Первый опрос устройств еще не завершен' };
+
+    return checks;
+}
+
+function sendChecks(res, checks) {
+    const ok = Object.values(checks).every(check => check.ok);
+    sendJson(res, ok ? 200 : 503, {
+        status: ok ? 'ok' : 'fail',
+        uptime: Math.round(process.uptime()),
+        checks
+    });
+}
+
+function formatMetricLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+// Текстовый формат Prometheus 0.0.4
+function renderMetrics() {
+    const lines = [];
+    const header = (name, type, help) => lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+    Object.entries(METRIC_DEFINITIONS).forEach(([name, definition]) => {
+        header(name, definition.type, definition.help);
+        metricValues.get(name).forEach((value, key) => {
+            const labels = JSON.parse(key);
+            if (definition.type !== 'histogram') {
+                lines.push(`${name}${formatMetricLabels(labels)} ${value}`);
+                return;
+            }
+            definition.buckets.forEach((bound, index) => {
+                lines.push(`${name}_bucket${formatMetricLabels({ ...labels, le: String(bound) })} ${value.buckets[index]}`);
+            });
+            lines.push(`${name}_bucket${formatMetricLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+            lines.push(`${name}_sum${formatMetricLabels(labels)} ${value.sum}`);
+            lines.push(`${name}_count${formatMetricLabels(labels)} ${value.count}`);
+        });
+    });
+
+    // Устройства без единого опроса (online === null) не выводятся, чтобы не поднимать ложную тревогу
+    const devices = loadDevices().devices;
+    header('scud_devices', 'gauge', 'Configured controllers');
+    lines.push(`scud_devices ${devices.length}`);
+
+    header('scud_device_up', 'gauge', 'Whether the controller answered the last status poll');
+    devices.forEach(device => {
+        const status = getDeviceStatus(device.id);
+        if (status.online === null) return;
+        const labels = { device: device.id, name: device.name, address: `${device.ip}:${device.port}` };
+        lines.push(`scud_device_up${formatMetricLabels(labels)} ${status.online ? 1 : 0}`);
+    });
+
+    header('scud_device_last_seen_timestamp_seconds', 'gauge', 'Time of the last successful status poll of the controller');
+    devices.forEach(device => {
+        const status = getDeviceStatus(device.id);
+        if (!status.lastSeen) return;
+        lines.push(`scud_device_last_seen_timestamp_seconds${formatMetricLabels({ device: device.id })} ${Date.parse(status.lastSeen) / 1000}`);
+    });
+
+    header('process_start_time_seconds', 'gauge', 'Start time of the process since unix epoch in seconds');
+    lines.push(`process_start_time_seconds ${Math.round(Date.now() / 1000 - process.uptime())}`);
+    header('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes');
+    lines.push(`process_resident_memory_bytes ${process.memoryUsage().rss}`);
+
+    return lines.join('\n') + '\n';
+}
+
+// Адреса, с которых /metrics доступен без токена: локальные и сети из METRICS_ALLOW
+const metricsAllowList = (() => {
+    const list = new net.BlockList();
+    list.addSubnet('127.0.0.0', 8, 'ipv4');
+    list.addAddress('::1', 'ipv6');
+    CONFIG.METRICS_ALLOW.forEach(entry => {
+        const [address, prefix] = entry.split('/');
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        if (!net.isIP(address) || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+            console.log(`⚠️ METRICS_ALLOW: invalid entry ${entry} ignored`);
+            return;
+        }
+        if (prefix !== undefined) list.addSubnet(address, Number(prefix), type);
+        else list.addAddress(address, type);
+    });
+    return list;
+})();
+
+function isMetricsClientAllowed(req) {
+    const ip = String(getClientIp(req) || '').replace(/^::ffff:/, '');
+    return net.isIP(ip) > 0 && metricsAllowList.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+}
+
+function handleMetrics(req, res) {
+    if (CONFIG.METRICS_TOKEN) {
+        const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        if (!safeEqual(token, CONFIG.METRICS_TOKEN)) {
+            sendJson(res, 401, { success: false, message: 'Неверный токен' });
+            return;
+        }
+    } else if (!isMetricsClientAllowed(req)) {
+        sendJson(res, 403, { success: false, message: 'Метрики доступны только с разрешенных адресов или с токеном' });
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(renderMetrics());
+}
+
+// Веб-сервер
+const server = http.createServer(async (req, res) => {
+    const parsedUrl = url.parse(req.url, true);
+    const pathname = parsedUrl.pathname;
+    const query = parsedUrl.query;
+    
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    const corsAllowed = applyCors(req, res);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(corsAllowed ? 204 : 403);
+        res.end();
+        return;
+    }
+
+    // Проверки для оркестратора и мониторинга - без сессии
+    if ((pathname === '/healthz' || pathname === '/readyz') && ['GET', 'HEAD'].includes(req.method)) {
+        sendChecks(res, pathname === '/healthz' ? runHealthChecks() : runReadinessChecks());
+        return;
+    }
+
+    if (pathname === '/metrics' && req.method === 'GET') {
+        handleMetrics(req, res);
+        return;
+    }
+
+    // Уведомления от контроллеров (HTTP listening host)
+    if (pathname === '/api/events/ingest' && req.method === 'POST') {
+        try {
+            await handleEventIngest(req, res, query);
+        } catch (error) {
+            console.error('❌ Event ingest error:', error);
+            sendError(res, error);
+        }
+        return;
+    }
+
+    // Аутентификация
+    if (pathname === '/api/login' && req.method === 'POST') {
+        const clientIp = getClientIp(req);
+        if (!checkRateLimit(res, rateLimiters.login, clientIp, { route: 'login', key: 'ip' })) return;
+        try {
+            const { login, password } = await readJsonBody(req);
+
+            if (!login || !password) {
+                sendJson(res, 400, { success: false, message: 'Укажите логин и пароль' });
+                return;
+            }
+
+            const auth = authenticateUser(String(login), String(password), clientIp);
+            if (!auth.success) {
+                incrementMetric('scud_failed_logins_total', { reason: auth.locked ? 'locked' : 'invalid' });
+                if (auth.locked) {
+                    console.log(`🔒 Login attempt for locked account ${login} from ${clientIp}`);
+                    sendJson(res, 429, {
+                        success: false,
+                        message: 'Слишком много неудачных попыток. Учетная запись временно заблокирована',
+                        lockedUntil: new Date(auth.lockedUntil).toISOString()
+                    });
+                    return;
+                }
+                console.log(`❌ Failed login for ${login}`);
+                sendJson(res, 401, { success: false, message: 'Неверный логин или пароль' });
+                return;
+            }
+
+            const session = createSession(auth.user.login);
+            console.log(`🔓 User ${auth.user.login} logged in`);
+
+            sendJson(res, 200, {
+                success: true,
+                user: { login: auth.user.login, role: auth.user.role, isAdmin: auth.user.role === 'admin' },
+                token: session.token,
+                csrfToken: session.csrfToken,
+                expiresAt: new Date(session.expiresAt).toISOString()
+            }, { 'Set-Cookie': sessionCookie(session.token, CONFIG.SESSION_TTL) });
+        } catch (error) {
+            console.error('❌ Login error:', error);
+            sendError(res, error);
+        }
+        return;
+    }
+
+    if (pathname === '/api/logout' && req.method === 'POST') {
+        const token = getRequestToken(req);
+        if (token) destroySession(token);
+        sendJson(res, 200, { success: true }, { 'Set-Cookie': sessionCookie('', 0) });
+        return;
+    }
+
+    const isControlRoute = req.method === 'POST' && CONTROL_ROUTE.test(pathname);
+    if (isControlRoute && !checkRateLimit(res, rateLimiters.controlIp, getClientIp(req), { route: 'control', key: 'ip' })) {
+        return;
+    }
+
+    // Все остальные API требуют действующей сессии
+    let session = null;
+    if (pathname.startsWith('/api/')) {
+        session = getRequestSession(req);
+        if (!session) {
+            sendJson(res, 401, { success: false, message: 'Требуется вход в систему' });
+            return;
+        }
+        if (!isCsrfSafe(req, session)) {
+            sendJson(res, 403, {
+                success: false,
+                code: 'csrf_failed',
+                message: 'Запрос отклонен: нет CSRF-токена. Обновите страницу'
+            });
+            return;
+        }
+    }
+
+    if (isControlRoute && !checkRateLimit(res, rateLimiters.controlUser, session.login, { route: 'control', key: 'user' })) {
+        return;
     }
-}
 
-// Веб-сервер
-const server = http.createServer(async (req, res) => {
-    const parsedUrl = url.parse(req.url, true);
-    const pathname = parsedUrl.pathname;
-    const query = parsedUrl.query;
-    
-    // CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    if (req.method === 'OPTIONS') {
-        res.writeHead(200);
-        res.end();
+    if (pathname === '/api/stream' && req.method === 'GET') {
+        handleStream(req, res, session);
         return;
     }
-    
+
+    if (pathname === '/api/session' && req.method === 'GET') {
+        sendJson(res, 200, {
+            success: true,
+            user: { login: session.login, role: getUserRole(session.login), isAdmin: isAdmin(session.login) },
+            csrfToken: session.csrfToken,
+            expiresAt: new Date(session.expiresAt).toISOString()
+        });
+        return;
+    }
+
     // API routes
     if (pathname === '/api/devices' && req.method === 'GET') {
-        const userLogin = query.login;
-        
-        if (!userLogin) {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: false, message: 'Не указан логин пользователя' }));
-            return;
-        }
-        
+        const userLogin = session.login;
+
         console.log(`🔐 Request from user: ${userLogin}`);
         
         const allDevices = loadDevices().devices;
-        const userDevices = getUserDevices(userLogin);
+        const permissions = getUserPermissions(userLogin);
         
-        if (userDevices.length === 0) {
-            res.writeHead(403, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: false, message: 'Доступ запрещен или пользователь не найден' }));
-            return;
-        }
-        
-        // Фильтруем устройства по доступу пользователя
-        let filteredDevices;
-        if (userDevices.includes("all")) {
-            filteredDevices = allDevices;
-        } else {
-            filteredDevices = allDevices.filter(device => userDevices.includes(device.ip));
-        }
+        // Фильтруем устройства и двери по доступу пользователя
+        const filteredDevices = allDevices.map(device => buildDeviceView(device, permissions)).filter(Boolean);
         
         console.log(`📊 Sending ${filteredDevices.length} devices to user ${userLogin}`);
         
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(filteredDevices));
+        sendJson(res, 200, filteredDevices);
         return;
     }
     
     if (pathname === '/api/control' && req.method === 'POST') {
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', async () => {
-            try {
-                const { ip, state, login } = JSON.parse(body);
-                
-                if (!login) {
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: false, message: 'Не указан логин пользователя' }));
-                    return;
-                }
-                
-                // Проверяем доступ пользователя к устройству
-                if (!validateUserAccess(login, ip)) {
-                    res.writeHead(403, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: false, message: 'Доступ к устройству запрещен' }));
-                    return;
-                }
-                
-                const devicesData = loadDevices();
-                const device = devicesData.devices.find(d => d.ip === ip);
-                
-                if (!device) {
-                    res.writeHead(404, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: false, message: 'Устройство не найдено' }));
-                    return;
-                }
-                
-                console.log(`🎯 Web API: User ${login} setting door state for ${ip} to ${state}`);
-                const result = await setDoorState(
-                    device.ip, 
-                    device.login, 
-                    device.password, 
-                    parseInt(state), 
-                    device.doorNo
-                );
-                
-                if (result.success) {
-                    updateDeviceStatus(ip, parseInt(state));
-                }
-                
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(result));
-                
-            } catch (error) {
-                console.error('❌ API error:', error);
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: false, message: error.message }));
+        try {
+            const body = await readJsonBody(req);
+            const deviceId = body.deviceId;
+            const doorNo = body.doorNo === undefined ? 1 : parseInt(body.doorNo, 10);
+            const state = parseInt(body.state, 10);
+            const login = session.login;
+
+            const errors = [];
+            if (typeof deviceId !== 'string' || !deviceId) errors.push('Не указано устройство');
+            if (!Number.isInteger(doorNo) || doorNo < 1) errors.push('Номер двери должен быть положительным целым числом');
+            if (!getStateAction(state)) errors.push('Недопустимое состояние двери');
+            if (errors.length > 0) {
+                sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+                return;
             }
-        });
+            
+            const device = findDevice(loadDevices(), deviceId);
+            const door = findDoor(device, doorNo);
+            const audit = {
+                user: login,
+                clientIp: getClientIp(req),
+                source: 'web',
+                deviceId,
+                deviceName: device ? device.name : null,
+                doorName: door ? door.name : null
+            };
+
+            // Проверяем право пользователя на это действие с устройством
+            if (!validateUserAccess(login, deviceId, doorNo, state)) {
+                logToFile('Действие с устройством запрещено', device ? device.ip : null, state, doorNo, {
+                    ...audit,
+                    outcome: 'denied'
+                });
+                sendJson(res, 403, { success: false, message: 'Действие с устройством запрещено' });
+                return;
+            }
+            
+            if (!door) {
+                sendJson(res, 404, { success: false, message: 'Устройство не найдено' });
+                return;
+            }
+            
+            if (isDoorInEmergency(loadEmergency(), deviceId, doorNo)) {
+                logToFile('Дверь заблокирована экстренным режимом', device.ip, state, doorNo, { ...audit, outcome: 'denied' });
+                sendJson(res, 423, { success: false, message: 'Действует экстренный режим: управление дверью заблокировано' });
+                return;
+            }
+
+            if (requiresApproval(door, state)) {
+                logToFile('Требуется подтверждение второго сотрудника', device.ip, state, doorNo, { ...audit, outcome: 'denied' });
+                sendJson(res, 428, {
+                    success: false,
+                    approvalRequired: true,
+                    message: 'Дверь открывается только по заявке, подтвержденной вторым сотрудником'
+                });
+                return;
+            }
+
+            console.log(`🎯 Web API: User ${login} setting door ${doorNo} of ${device.name} (${device.ip}) to ${state}`);
+            const result = await controlDoor(device, door, state, audit);
+            
+            sendJson(res, 200, result);
+            
+        } catch (error) {
+            console.error('❌ API error:', error);
+            sendError(res, error);
+        }
         return;
     }
     
+    if (pathname === '/api/control/bulk' || pathname === '/api/emergency') {
+        try {
+            const handled = await handleBulkRoute(req, res, pathname, session);
+            if (!handled) sendJson(res, 405, { success: false, message: 'Метод не поддерживается' });
+        } catch (error) {
+            console.error('❌ API error:', error);
+            sendError(res, error);
+        }
+        return;
+    }
+
+    if (pathname === '/api/approvals' || pathname.startsWith('/api/approvals/')) {
+        try {
+            const handled = await handleApprovalRoute(req, res, pathname, session);
+            if (!handled) sendJson(res, 405, { success: false, message: 'Метод не поддерживается' });
+        } catch (error) {
+            console.error('❌ API error:', error);
+            sendError(res, error);
+        }
+        return;
+    }
+
+    // События контроллеров: ?from=&to= (ISO), device (id), door, type, limit
+    if (pathname === '/api/events' && req.method === 'GET') {
+        if (!isAdmin(session.login)) {
+            sendJson(res, 403, { success: false, message: 'Доступ запрещен' });
+            return;
+        }
+
+        const filters = {
+            device: query.device || null,
+            doorNo: query.door ? parseInt(query.door, 10) : null,
+            type: query.type || null,
+            limit: query.limit ? parseInt(query.limit, 10) : null
+        };
+        const errors = [];
+        ['from', 'to'].forEach(field => {
+            if (!query[field]) return;
+            const date = new Date(query[field]);
+            if (isNaN(date.getTime())) {
+                errors.push(`Некорректная дата ${field}`);
+            } else {
+                filters[field] = date;
+            }
+        });
+        if (filters.type && !ACS_EVENT_TYPE_NAMES[filters.type]) {
+            errors.push(`Тип события должен быть одним из: ${Object.keys(ACS_EVENT_TYPE_NAMES).join(', ')}`);
+        }
+        if (filters.limit !== null && (!Number.isInteger(filters.limit) || filters.limit < 1)) {
+            errors.push('limit должен быть положительным целым числом');
+        }
+        if (errors.length > 0) {
+            sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+            return;
+        }
+
+        const result = queryAccessEvents(filters);
+        sendJson(res, 200, { success: true, types: ACS_EVENT_TYPE_NAMES, total: result.total, records: result.records });
+        return;
+    }
+
+    // Журнал аудита: ?from=&to= (ISO), user, device (id или IP), outcome, limit, format=csv
+    if (pathname === '/api/audit' && req.method === 'GET') {
+        if (!isAdmin(session.login)) {
+            sendJson(res, 403, { success: false, message: 'Доступ запрещен' });
+            return;
+        }
+
+        const filters = {
+            user: query.user || null,
+            device: query.device || null,
+            outcome: query.outcome || null,
+            limit: query.limit ? parseInt(query.limit, 10) : null
+        };
+        const errors = [];
+        ['from', 'to'].forEach(field => {
+            if (!query[field]) return;
+            const date = new Date(query[field]);
+            if (isNaN(date.getTime())) {
+                errors.push(`Некорректная дата ${field}`);
+            } else {
+                filters[field] = date;
+            }
+        });
+        if (filters.outcome && !['success', 'error', 'denied'].includes(filters.outcome)) {
+            errors.push('Результат должен быть success, error или denied');
+        }
+        if (filters.limit !== null && (!Number.isInteger(filters.limit) || filters.limit < 1)) {
+            errors.push('limit должен быть положительным целым числом');
+        }
+        if (errors.length > 0) {
+            sendJson(res, 400, { success: false, message: errors.join('; '), errors });
+            return;
+        }
+
+        const result = queryAuditLog(filters);
+
+        if (query.format === 'csv') {
+            res.writeHead(200, {
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="audit_${new Date().toISOString().split('T')[0]}.csv"`
+            });
+            res.end(auditRecordsToCsv(result.records));
+            return;
+        }
+
+        sendJson(res, 200, { success: true, total: result.total, records: result.records });
+        return;
+    }
+
     if (pathname === '/api/users' && req.method === 'GET') {
-        // Только для администрирования - в продакшене следует защитить
+        if (!isAdmin(session.login)) {
+            sendJson(res, 403, { success: false, message: 'Требуются права администратора' });
+            return;
+        }
+
         const usersData = loadUsers();
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(usersData));
+        sendJson(res, 200, { users: usersData.users.map(sanitizeUser), groups: usersData.groups });
         return;
     }
     
+    if (pathname.startsWith('/api/admin/')) {
+        if (!isAdmin(session.login)) {
+            sendJson(res, 403, { success: false, message: 'Требуются права администратора' });
+            return;
+        }
+
+        try {
+            await handleAdminRoute(req, res, pathname, session);
+
+            // Изменения устройств, пользователей и групп влияют на то, что видят клиенты
+            if (req.method !== 'GET' && res.statusCode < 300 && !/\/(test|event-host|health)$/.test(pathname)) {
+                serviceEvents.emit('refresh');
+            }
+        } catch (error) {
+            console.error('❌ Admin API error:', error);
+            sendError(res, error);
+        }
+        return;
+    }
+
     // Serve HTML page
     if (pathname === '/' && req.method === 'GET') {
         serveHTML(req, res);
@@ -620,33 +6574,463 @@ const server = http.createServer(async (req, res) => {
     }
     
     // 404 for other routes
-    res.writeHead(404, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ success: false, message: 'Route not found' }));
+    sendJson(res, 404, { success: false, message: 'Route not found' });
 });
 
 // Запуск сервера
+// Командная строка: node server.js <команда> ... Работает с теми же файлами конфигурации, что и сервис;
+// запущенный сервис подхватывает изменения сам. Пароли - только из переменных окружения или с клавиатуры
+const CLI_USAGE = `Usage: node server.js <command> [options]
+
+Commands:
+  list                                   Devices and doors from devices.json
+  status [device]                        Query live door status from controllers
+  set <device>[:door] <state> [--door N] Set door state (all doors of the device unless a door is given)
+  set --group <group> <state>            Set state for every door of a group
+  users add <login> [--role R] [--groups a,b]
+  users remove <login>
+  users grant <login> <group> [--actions open,pulse] [--from DATE] [--until DATE]
+  devices add --name N --ip IP [--port P] [--scheme http|https] [--login L] [--doors N] [--skip-test]
+  devices test <device>
+  logs tail [--lines N] [--user U] [--device D] [--outcome O] [--follow]
+
+Legacy mode: node server.js --ip IP [--port P] --login L --state S [--door N]
+             node server.js --set-password <login> | --rotate-key
+
+<device> is a device id or name, <state> is 1-5 or open|close|resume|pulse|lock.
+Options: --json (machine-readable output), --verbose (service log to stderr).
+Passwords: SCUD_PASSWORD (users), SCUD_DEVICE_PASSWORD (devices) or an interactive prompt.
+Exit codes: 0 ok, 1 operation failed, 2 usage error, 3 not found, 4 invalid configuration.`;
+
+const CLI_EXIT = { OK: 0, FAILED: 1, USAGE: 2, NOT_FOUND: 3, CONFIG: 4 };
+
+// Флаги без значения; остальные --key принимают следующий аргумент или --key=value
+const CLI_FLAGS = ['json', 'verbose', 'follow', 'skip-test', 'help'];
+
+class CliError extends Error {
+    constructor(message, code = CLI_EXIT.USAGE) {
+        super(message);
+        this.name = 'CliError';
+        this.code = code;
+    }
+}
+
+function parseCliArgs(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const [key, inline] = arg.slice(2).split(/=(.*)/s);
+        if (inline !== undefined) options[key] = inline;
+        else if (CLI_FLAGS.includes(key) || i + 1 >= argv.length) options[key] = true;
+        else options[key] = argv[++i];
+    }
+
+    return { positional, options };
+}
+
+// Значение опции-строки; --key без значения - ошибка использования
+function getCliOption(options, key) {
+    if (options[key] === undefined) return undefined;
+    if (options[key] === true) throw new CliError(`Option --${key} requires a value`);
+    return options[key];
+}
+
+function getCliUser() {
+    try {
+        return `${process.env.SUDO_USER || os.userInfo().username}@cli`;
+    } catch (error) {
+        return 'cli';
+    }
+}
+
+// Секрет из переменной окружения, иначе с клавиатуры (без эха); без терминала - ошибка
+async function readCliSecret(envName, question, confirm = false) {
+    if (process.env[envName]) return process.env[envName];
+    if (!process.stdin.isTTY) {
+        throw new CliError(`Set ${envName} or run the command in a terminal to enter the password`);
+    }
+
+    const secret = await promptPassword(question);
+    if (confirm && secret !== await promptPassword('🔑 Repeat password: ')) {
+        throw new CliError('Passwords do not match');
+    }
+    return secret;
+}
+
+function parseCliState(value) {
+    const text = String(value || '').toLowerCase();
+    const state = ACTIONS[text] ? ACTIONS[text].state : Number(text);
+    if (!getStateAction(state)) {
+        throw new CliError(`Invalid state "${value}". Use 1-5 or ${Object.keys(ACTIONS).join('|')}`);
+    }
+    return state;
+}
+
+// Устройство по id или названию (без учета регистра)
+function findCliDevice(devices, ref) {
+    if (!ref) throw new CliError('Device is not specified');
+    const byId = devices.find(device => device.id === ref);
+    if (byId) return byId;
+
+    const byName = devices.filter(device => device.name.toLowerCase() === String(ref).toLowerCase());
+    if (byName.length > 1) throw new CliError(`Device name "${ref}" is ambiguous, use the id: ${byName.map(d => d.id).join(', ')}`);
+    if (byName.length === 0) throw new CliError(`Device "${ref}" not found`, CLI_EXIT.NOT_FOUND);
+    return byName[0];
+}
+
+function formatCliDevice(device) {
+    return `${device.scheme || 'http'}://${device.ip}:${device.port}`;
+}
+
+function cliList() {
+    const devices = loadDevices().devices;
+    return {
+        code: CLI_EXIT.OK,
+        data: { devices: devices.map(sanitizeDevice) },
+        text: devices.length === 0 ? ['No devices configured'] : devices.flatMap(device => [
+            `${device.id}  ${device.name}  ${formatCliDevice(device)}`,
+            ...device.doors.map(door =>
+                `    door ${door.doorNo}: ${door.name}${door.sensitive ? ' 🔐' : ''}  (last set: ${getStateText(door.lastStatus)})`)
+        ])
+    };
+}
+
+async function cliStatus(positional) {
+    const allDevices = loadDevices().devices;
+    const devices = positional[1] ? [findCliDevice(allDevices, positional[1])] : allDevices;
+
+    const results = await runWithConcurrency(devices, CONFIG.STATUS_POLL_CONCURRENCY, async (device) => {
+        const startedAt = Date.now();
+        try {
+            const doorNos = device.doors.map(door => door.doorNo);
+            const doors = await fetchDoorStatuses(device.ip, device.login, device.password, doorNos, getDeviceConnection(device));
+            return { deviceId: device.id, name: device.name, online: true, latency: Date.now() - startedAt, error: null, doors };
+        } catch (error) {
+            return { deviceId: device.id, name: device.name, online: false, latency: null, error: error.message, doors: {} };
+        }
+    });
+
+    const text = results.flatMap((result, index) => [
+        `${result.online ? '🟢' : '🔴'} ${result.name} (${result.deviceId})` +
+            (result.online ? ` ${result.latency} ms` : `: ${result.error}`),
+        ...devices[index].doors.filter(() => result.online).map(door => {
+            const status = result.doors[door.doorNo] || {};
+            return `    door ${door.doorNo} ${door.name}: ${getStateText(status.actualStatus)}` +
+                `, lock ${status.lockStatus || '-'}, contact ${status.magneticStatus || '-'}`;
+        })
+    ]);
+
+    return {
+        code: results.every(result => result.online) ? CLI_EXIT.OK : CLI_EXIT.FAILED,
+        data: { devices: results },
+        text: text.length > 0 ? text : ['No devices configured']
+    };
+}
+
+// Те же ограничения, что и в веб-интерфейсе: экстренный режим и двери, открываемые только по заявке
+async function cliSet(positional, options) {
+    const devices = loadDevices().devices;
+    const group = getCliOption(options, 'group');
+    let entries;
+    let stateArg;
+
+    if (group) {
+        const found = loadUsers().groups.find(g => g.id === group || g.name === group);
+        if (!found) throw new CliError(`Group "${group}" not found`, CLI_EXIT.NOT_FOUND);
+        entries = found.devices;
+        stateArg = positional[1];
+    } else {
+        const [ref, doorPart] = String(positional[1] || '').split(/:(?=\d+$)/);
+        const device = findCliDevice(devices, ref);
+        const doorNo = getCliOption(options, 'door') || doorPart;
+        if (doorNo !== undefined && !findDoor(device, Number(doorNo))) {
+            throw new CliError(`Door ${doorNo} not found on ${device.name}`, CLI_EXIT.NOT_FOUND);
+        }
+        entries = [doorNo === undefined ? device.id : `${device.id}:${Number(doorNo)}`];
+        stateArg = positional[2];
+    }
+
+    const state = parseCliState(stateArg);
+    const emergency = loadEmergency();
+    const audit = { user: getCliUser(), source: 'cli' };
+    const skipped = [];
+    const targets = resolveTargets(entries, devices).filter(({ device, door }) => {
+        let message = null;
+        if (isDoorInEmergency(emergency, device.id, door.doorNo)) message = 'Emergency mode is active';
+        else if (requiresApproval(door, state)) message = 'Door opens only by an approved request (web interface)';
+        if (!message) return true;
+
+        logToFile(message, device.ip, state, door.doorNo, {
+            ...audit, deviceId: device.id, deviceName: device.name, doorName: door.name, outcome: 'denied'
+        });
+        skipped.push({
+            deviceId: device.id, doorNo: door.doorNo, deviceName: device.name, doorName: door.name,
+            success: false, skipped: true, message, attempts: 0
+        });
+        return false;
+    });
+
+    const results = [...await runBulkControl(targets, state, audit), ...skipped];
+    await flushNotifications();
+
+    const failed = results.filter(result => !result.success).length;
+    return {
+        code: results.length > 0 && failed === 0 ? CLI_EXIT.OK : CLI_EXIT.FAILED,
+        data: { state, results },
+        text: [
+            ...results.map(result => `${result.success ? '✅' : '❌'} ${result.deviceName} / ${result.doorName} → ` +
+                `${getStateText(state)}${result.success ? '' : `: ${result.message}`}`),
+            results.length > 0 ? `Done: ${results.length - failed} of ${results.length}` : 'No doors to control'
+        ]
+    };
+}
+
+async function cliUsers(positional, options) {
+    const [, action, login, groupId] = positional;
+    const usersData = loadUsers();
+    const existing = usersData.users.find(u => u.login === login);
+
+    if (!['add', 'remove', 'grant'].includes(action)) throw new CliError('Use: users add|remove|grant <login>');
+    if (!login) throw new CliError('Login is not specified');
+    if (action !== 'add' && !existing) throw new CliError(`User ${login} not found`, CLI_EXIT.NOT_FOUND);
+
+    if (action === 'add') {
+        const groups = getCliOption(options, 'groups');
+        const input = {
+            login,
+            role: getCliOption(options, 'role') || 'operator',
+            grants: groups ? groups.split(',').map(group => group.trim()).filter(Boolean) : []
+        };
+        let { errors } = validateUser({ ...input, password: 'x'.repeat(8) }, usersData);
+        if (errors.length > 0) throw new CliError(errors.join('; '));
+
+        input.password = await readCliSecret('SCUD_PASSWORD', `🔑 Password for ${login}: `, true);
+        const validated = validateUser(input, usersData);
+        errors = validated.errors;
+        if (errors.length > 0) throw new CliError(errors.join('; '));
+
+        const user = validated.user;
+        user.createdAt = new Date().toISOString();
+        setUserPassword(user, validated.password);
+        usersData.users.push(user);
+        if (!saveUsers(usersData)) throw new CliError('Cannot save users', CLI_EXIT.FAILED);
+        return { code: CLI_EXIT.OK, data: { user: sanitizeUser(user) }, text: [`✅ User ${login} (${user.role}) added`] };
+    }
+
+    if (action === 'remove') {
+        if (existing.role === 'admin' && !usersData.users.some(u => u.role === 'admin' && u.login !== login)) {
+            throw new CliError('Cannot remove the last administrator');
+        }
+        usersData.users = usersData.users.filter(u => u.login !== login);
+        if (!saveUsers(usersData)) throw new CliError('Cannot save users', CLI_EXIT.FAILED);
+        return { code: CLI_EXIT.OK, data: { login }, text: [`✅ User ${login} removed`] };
+    }
+
+    // grant: назначение группы заменяет прежнее назначение той же группы
+    if (!groupId) throw new CliError('Group is not specified');
+    const actions = getCliOption(options, 'actions');
+    const grantInput = {
+        group: groupId,
+        actions: actions ? actions.split(',').map(item => item.trim()).filter(Boolean) : null,
+        validFrom: getCliOption(options, 'from'),
+        validUntil: getCliOption(options, 'until')
+    };
+    if (!usersData.groups.some(g => g.id === groupId)) throw new CliError(`Group ${groupId} not found`, CLI_EXIT.NOT_FOUND);
+    const { errors, user } = validateUser({
+        grants: [...existing.grants.filter(grant => grant.group !== groupId), grantInput]
+    }, usersData, existing);
+    if (errors.length > 0) throw new CliError(errors.join('; '));
+
+    existing.grants = user.grants;
+    if (!saveUsers(usersData)) throw new CliError('Cannot save users', CLI_EXIT.FAILED);
+    return {
+        code: CLI_EXIT.OK,
+        data: { user: sanitizeUser(existing) },
+        text: [`✅ ${login}: group ${groupId} granted (${(grantInput.actions || ['all actions']).join(', ')})`]
+    };
+}
+
+async function cliDevices(positional, options) {
+    const action = positional[1];
+
+    if (action === 'test') {
+        const device = findCliDevice(loadDevices().devices, positional[2]);
+        const result = await testDeviceConnection(device.ip, device.login, device.password, getDeviceConnection(device));
+        const info = result.deviceInfo || {};
+        return {
+            code: result.success ? CLI_EXIT.OK : CLI_EXIT.FAILED,
+            data: { deviceId: device.id, ...result },
+            text: [result.success
+                ? `✅ ${device.name}: ${info.model || 'unknown model'}, firmware ${info.firmwareVersion || '-'}, ${result.latency} ms`
+                : `❌ ${device.name}: ${result.message}`]
+        };
+    }
+
+    if (action !== 'add') throw new CliError('Use: devices add|test');
+
+    const doorCount = Number(getCliOption(options, 'doors') || 1);
+    if (!Number.isInteger(doorCount) || doorCount < 1 || doorCount > 32) throw new CliError('--doors must be 1-32');
+    const input = {
+        name: getCliOption(options, 'name'),
+        ip: getCliOption(options, 'ip'),
+        port: getCliOption(options, 'port'),
+        scheme: getCliOption(options, 'scheme'),
+        login: getCliOption(options, 'login') || 'admin',
+        doors: Array.from({ length: doorCount }, (_, index) => ({ doorNo: index + 1 }))
+    };
+
+    const devicesData = loadDevices();
+    const checkErrors = validateDevice({ ...input, password: 'x' }).errors;
+    if (checkErrors.length > 0) throw new CliError(checkErrors.join('; '));
+
+    input.password = await readCliSecret('SCUD_DEVICE_PASSWORD', `🔑 Password for ${input.login}@${input.ip}: `);
+    const { errors, device } = validateDevice(input);
+    if (devicesData.devices.some(d => d.ip === device.ip && d.port === device.port)) {
+        errors.push('Device with this address and port already exists');
+    }
+    if (errors.length > 0) throw new CliError(errors.join('; '));
+
+    if (!options['skip-test']) {
+        const result = await testDeviceConnection(device.ip, device.login, device.password, getDeviceConnection(device));
+        if (!result.success) {
+            return {
+                code: CLI_EXIT.FAILED,
+                data: { saved: false, ...result },
+                text: [`❌ Connection test failed, device not saved: ${result.message}`, '   Use --skip-test to save anyway']
+            };
+        }
+    }
+
+    device.id = generateId('dev');
+    devicesData.devices.push(device);
+    if (!saveDevices(devicesData)) throw new CliError('Cannot save devices', CLI_EXIT.FAILED);
+    return {
+        code: CLI_EXIT.OK,
+        data: { saved: true, device: sanitizeDevice(device) },
+        text: [`✅ Device ${device.name} added: ${device.id}`]
+    };
+}
+
+function formatCliAuditRecord(record) {
+    return `${record.timestamp}  ${record.user || '-'}  ${record.source || '-'}  ` +
+        `${record.deviceName || record.ip || '-'} / ${record.doorName || record.doorNo}  ` +
+        `${record.stateText}  ${record.outcome}  ${record.message}`;
+}
+
+// Последние записи аудита, старые сначала; --follow дописывает новые до Ctrl+C
+async function cliLogs(positional, options) {
+    if (positional[1] !== 'tail') throw new CliError('Use: logs tail');
+
+    const lines = Number(getCliOption(options, 'lines') || 20);
+    if (!Number.isInteger(lines) || lines < 1) throw new CliError('--lines must be a positive integer');
+    const device = getCliOption(options, 'device');
+    const filters = {
+        user: getCliOption(options, 'user') || null,
+        device: device ? findCliDevice(loadDevices().devices, device).id : null,
+        outcome: getCliOption(options, 'outcome') || null
+    };
+    const print = record => process.stdout.write(`${options.json ? JSON.stringify(record) : formatCliAuditRecord(record)}\n`);
+
+    const records = queryAuditLog({ ...filters, limit: lines }).records.reverse();
+    if (!options.follow) {
+        return { code: CLI_EXIT.OK, data: { records }, text: records.map(formatCliAuditRecord) };
+    }
+
+    // В режиме --follow записи печатаются по одной (JSON Lines при --json)
+    records.forEach(print);
+    let last = records.length > 0 ? records[records.length - 1].timestamp : new Date().toISOString();
+    await new Promise(() => {
+        setInterval(() => {
+            const fresh = queryAuditLog({ ...filters, from: new Date(last) }).records
+                .reverse()
+                .filter(record => record.timestamp > last);
+            fresh.forEach(print);
+            if (fresh.length > 0) last = fresh[fresh.length - 1].timestamp;
+        }, 1000);
+    });
+    return null;
+}
+
+const CLI_COMMANDS = {
+    list: cliList,
+    status: cliStatus,
+    set: cliSet,
+    users: cliUsers,
+    devices: cliDevices,
+    logs: cliLogs
+};
+
+// Выполнение команды; возвращает код выхода. Журнал сервиса выводится в stderr только с --verbose,
+// чтобы stdout оставался пригодным для скриптов
+async function runCli(argv) {
+    const { positional, options } = parseCliArgs(argv);
+    const output = text => new Promise(resolve => process.stdout.write(`${text}\n`, resolve));
+    const command = CLI_COMMANDS[positional[0]];
+
+    if (!command || options.help) {
+        await output(CLI_USAGE);
+        return command || options.help ? CLI_EXIT.OK : CLI_EXIT.USAGE;
+    }
+
+    console.log = options.verbose ? console.error : () => {};
+    if (!options.verbose) console.error = () => {};
+
+    try {
+        if (options.password !== undefined) {
+            throw new CliError('Passwords are not accepted on the command line: use environment variables or the prompt');
+        }
+
+        const result = await command(positional, options);
+        await output(options.json ? JSON.stringify({ success: result.code === CLI_EXIT.OK, ...result.data }, null, 2) : result.text.join('\n'));
+        return result.code;
+    } catch (error) {
+        const code = error instanceof CliError ? error.code : (error instanceof ConfigError ? CLI_EXIT.CONFIG : CLI_EXIT.FAILED);
+        process.stderr.write(`❌ ${error.message}\n`);
+        if (options.json) await output(JSON.stringify({ success: false, message: error.message }, null, 2));
+        return code;
+    }
+}
+
 if (require.main === module) {
     const args = parseCommandLineArgs();
     
     // Если есть аргументы командной строки - используем CLI режим
-    if (args.ip && args.login && args.password && args.state) {
+    if (CLI_COMMANDS[process.argv[2]] || ['help', '--help'].includes(process.argv[2])) {
+        runCli(process.argv.slice(2)).then(code => process.exit(code));
+    } else if (typeof args['set-password'] === 'string') {
+        runSetPassword(args['set-password'])
+            .then(code => process.exit(code))
+            .catch(error => {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            });
+    } else if (args['rotate-key']) {
+        process.exit(runRotateKey());
+    } else if (args.ip || args.state) {
         const errors = validateParams(args);
         if (errors.length > 0) {
             console.error('❌ Parameter errors:');
             errors.forEach(error => console.error(`   - ${error}`));
-            process.exit(1);
+            process.exit(CLI_EXIT.USAGE);
         }
 
         const ip = args.ip;
         const login = args.login;
-        const password = args.password;
         const state = parseInt(args.state, 10);
         const doorNo = args.door ? parseInt(args.door, 10) : 1;
+        const port = args.port ? parseInt(args.port, 10) : 80;
 
         console.log('🚪 Hikvision Door Control Script (CLI Mode)');
         console.log('='.repeat(50));
 
-        setDoorState(ip, login, password, state, doorNo)
+        readCliSecret('SCUD_DEVICE_PASSWORD', `🔑 Password for ${login}@${ip}: `)
+            .then(password => setDoorState(ip, login, password, state, doorNo, { port, audit: { source: 'cli', user: getCliUser() } }))
             .then(result => {
                 console.log('\n' + '='.repeat(50));
                 if (result.success) {
@@ -659,16 +7043,25 @@ if (require.main === module) {
             })
             .catch(error => {
                 console.error('\n💥 Fatal error:', error.message);
-                process.exit(1);
+                process.exit(error instanceof CliError ? error.code : 1);
             });
     } else {
+        // Файлы конфигурации проверяются до запуска: с ошибками в них сервис не стартует
+        if (configStores.map(store => store.refresh()).some(Boolean)) {
+            console.error('💥 Сервис не запущен: исправьте файлы конфигурации (предыдущие версии сохраняются в *.bak)');
+            process.exit(1);
+        }
+
         // Запускаем веб-сервер
         server.listen(CONFIG.PORT, () => {
             console.log(`🚪 Hikvision Door Control Service запущен!`);
             console.log(`📍 Веб-интерфейс: http://localhost:${CONFIG.PORT}`);
             console.log(`📊 API устройств: http://localhost:${CONFIG.PORT}/api/devices`);
+            console.log(`📈 Метрики: http://localhost:${CONFIG.PORT}/metrics, проверки: /healthz, /readyz`);
             console.log(`👥 Файл пользователей: ${CONFIG.USERS_FILE}`);
             console.log(`📁 Файл устройств: ${CONFIG.DEVICES_FILE}`);
+            console.log(`📅 Файл расписаний: ${CONFIG.SCHEDULES_FILE}`);
+            console.log(`🕒 Часовой пояс: ${Intl.DateTimeFormat().resolvedOptions().timeZone}`);
             console.log(`📁 HTML файл: ${CONFIG.HTML_FILE}`);
             console.log(`📁 Директория логов: ${CONFIG.LOG_DIR}`);
             console.log('='.repeat(50));
@@ -678,16 +7071,25 @@ if (require.main === module) {
             const users = loadUsers();
             console.log(`📊 Загружено устройств: ${devices.devices.length}`);
             console.log(`👥 Загружено пользователей: ${users.users.length}`);
+
+            const withoutPassword = users.users.filter(u => !u.passwordHash).map(u => u.login);
+            if (withoutPassword.length > 0) {
+                console.log(`⚠️ Пользователи без пароля не могут войти: ${withoutPassword.join(', ')}`);
+                console.log('   Задайте пароль: node server.js --set-password <login>');
+            }
+
+            // Периодический опрос фактического состояния дверей
+            startStatusPoller();
+            startLogRetention();
+
+            // Расписания дверей; первый проход догоняет переключения, пропущенные за время простоя
+            startScheduler();
+            // Истечение сроков открытия по заявкам
+            startApprovalTimer();
         });
     }
 }
 
-// Функция для периодического обновления статусов
-setInterval(() => {
-    const devices = loadDevices();
-    console.log(`🔄 Проверка статусов устройств (${devices.devices.length} устройств)...`);
-}, 15000);
-
 module.exports = { 
     setDoorState, 
     DigestAuth, 
@@ -697,6 +7099,76 @@ module.exports = {
     saveUsers,
     getUserDevices,
     validateUserAccess,
+    isAdmin,
+    getUserRole,
+    getUserPermissions,
+    isGrantActive,
+    migrateUsersData,
+    migrateDevicesData,
+    ROLES,
+    ACTIONS,
+    validateDevice,
+    sanitizeDevice,
+    getDeviceConnection,
+    makeDigestRequest,
+    IsapiError,
+    encryptSecret,
+    decryptSecret,
+    encryptDevicePasswords,
+    testDeviceConnection,
+    logToFile,
+    queryAuditLog,
+    auditRecordsToCsv,
+    cleanupAuditLogs,
+    normalizeAcsEvent,
+    parseAcsEventPayload,
+    extractEventPayload,
+    storeAccessEvent,
+    queryAccessEvents,
+    configureEventHost,
+    getEventsToken,
+    loadSchedules,
+    saveSchedules,
+    getScheduledState,
+    getNextScheduledChange,
+    validateSchedule,
+    runScheduler,
+    runBulkControl,
+    renderMetrics,
+    ConfigStore,
+    ConfigError,
+    loadPersons,
+    savePersons,
+    validatePerson,
+    syncPersons,
+    buildPersonSyncReport,
+    loadNotifications,
+    notify,
+    signWebhookBody,
+    loadEmergency,
+    startEmergency,
+    clearEmergency,
+    startScheduler,
+    stopScheduler,
+    loadApprovals,
+    runApprovalExpiry,
+    stopApprovalTimer,
+    fetchDoorStatuses,
+    pollDeviceStatuses,
+    startStatusPoller,
+    stopStatusPoller,
+    getDeviceStatus,
+    fetchDeviceHealth,
+    refreshDeviceHealth,
+    buildDeviceHealth,
+    parseDeviceTime,
+    serviceEvents,
+    hashPassword,
+    verifyPassword,
+    setUserPassword,
+    authenticateUser,
+    pruneLoginAttempts,
+    createSession,
     server,
     CONFIG
 };
\ No newline at end of file
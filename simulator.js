@@ -0,0 +1,511 @@
+const http = require('http');
+const crypto = require('crypto');
+const url = require('url');
+
+// Имитатор контроллера Hikvision для проверки сервиса без оборудования.
+// Поддерживает запросы ISAPI, которые использует сервис: Digest-авторизация (MD5, qop=auth),
+// DoorParam, RemoteControl, AcsWorkStatus, deviceInfo, время, время работы (System/status), возможности (AcsCap), httpHosts,
+// сотрудники и карты (UserInfo, CardInfo) и библиотека лиц (FDLib).
+// Состояние хранится отдельно для каждой двери; сбои задаются через inject()
+
+// Режимы AcsWorkStatus: 1 sleep, 2 remainOpen, 3 remainClosed, 4 normal
+const REMOTE_COMMANDS = {
+    alwaysOpen: 2,
+    alwaysClose: 3,
+    resume: 4
+};
+
+// Статусы замка и магнитного контакта AcsWorkStatus
+const LOCK_LOCKED = 0;
+const LOCK_UNLOCKED = 1;
+
+function createDoor(doorNo) {
+    return {
+        doorMode: 4,
+        lockStatus: LOCK_LOCKED,
+        magneticStatus: 0,
+        openCount: 0,
+        lastCommand: null,
+        param: {
+            doorName: `Door ${doorNo}`,
+            magneticType: 'alwaysClose',
+            openButtonType: 'alwaysOpen',
+            openDuration: '5',
+            disabledOpenDuration: '10',
+            magneticAlarmTimeout: '0',
+            enableDoorLock: 'true'
+        }
+    };
+}
+
+function responseStatus(statusCode, subStatusCode = 'ok', statusString = 'OK') {
+    return '<?xml version="1.0" encoding="UTF-8"?>' +
+        '<ResponseStatus version="2.0" xmlns="http://www.isapi.org/ver20/XMLSchema">' +
+        `<requestURL></requestURL><statusCode>${statusCode}</statusCode>` +
+        `<statusString>${statusString}</statusString><subStatusCode>${subStatusCode}</subStatusCode>` +
+        '</ResponseStatus>';
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+class IsapiSimulator {
+    // options: { login, password, realm, doors, deviceInfo, timeOffset (мс, смещение часов), commands,
+    //   faceLib (поддержка лиц, по умолчанию есть), uptime (с, время работы при запуске имитатора) }
+    constructor(options = {}) {
+        this.login = options.login || 'admin';
+        this.password = options.password || 'admin12345';
+        this.realm = options.realm || 'DS-K1T';
+        this.deviceInfo = {
+            deviceName: 'Simulator',
+            deviceID: 'sim-0001',
+            model: 'DS-K2604T',
+            serialNumber: 'DS-K2604T0000000000SIM',
+            firmwareVersion: 'V2.2.0',
+            firmwareReleasedDate: 'build 230101',
+            ...(options.deviceInfo || {})
+        };
+
+        this.timeOffset = options.timeOffset || 0;
+        this.bootedAt = Date.now() - (options.uptime !== undefined ? options.uptime : 86400) * 1000;
+        this.commands = options.commands || ['open', 'close', 'alwaysOpen', 'alwaysClose', 'resume'];
+        this.faceLib = options.faceLib !== false;
+
+        // Сотрудники по employeeNo, карты по cardNo, лица по FPID (размер изображения)
+        this.users = new Map();
+        this.cards = new Map();
+        this.faces = new Map();
+
+        this.doors = {};
+        for (let doorNo = 1; doorNo <= (options.doors || 2); doorNo++) {
+            this.doors[doorNo] = createDoor(doorNo);
+        }
+
+        this.failures = [];
+        this.requests = [];
+        this.challenges = 0;
+        this.httpHosts = null;
+        this.nonce = crypto.randomBytes(16).toString('hex');
+        this.staleNonces = new Set();
+        this.timers = new Set();
+        this.sockets = new Set();
+
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.server.on('connection', socket => {
+            this.sockets.add(socket);
+            socket.on('close', () => this.sockets.delete(socket));
+        });
+    }
+
+    listen(port = 0, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    // Остановка с разрывом зависших (timeout) соединений
+    close() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.sockets.forEach(socket => socket.destroy());
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // Сбой для запросов, путь которых содержит failure.path (и метод совпадает, если указан):
+    //   auth - отвечать 401 при любом пароле
+    //   timeout - не отвечать
+    //   disconnect - разрывать соединение
+    //   status - ResponseStatus с statusCode (по умолчанию 4) и HTTP-кодом httpStatus (по умолчанию 200)
+    //   malformed - ответ 200 с телом, которое не разбирается как XML
+    // times - сколько запросов затронуть (по умолчанию все)
+    inject(failure) {
+        const entry = { times: Infinity, ...failure };
+        this.failures.push(entry);
+        return entry;
+    }
+
+    clearFailures() {
+        this.failures = [];
+    }
+
+    // Перезагрузка: двери возвращаются в обычный режим (параметры DoorParam сохраняются), время работы - с нуля
+    reboot() {
+        Object.values(this.doors).forEach(door => {
+            door.doorMode = 4;
+            door.lockStatus = LOCK_LOCKED;
+        });
+        this.bootedAt = Date.now();
+    }
+
+    // Следующий запрос с текущим nonce получит 401 stale=true
+    expireNonce() {
+        this.staleNonces.add(this.nonce);
+        this.nonce = crypto.randomBytes(16).toString('hex');
+    }
+
+    // types - какие сбои проверять: сетевые срабатывают до авторизации, остальные - после
+    findFailure(method, pathname, types) {
+        const failure = this.failures.find(item =>
+            item.times > 0 &&
+            types.includes(item.type) &&
+            (!item.path || pathname.includes(item.path)) &&
+            (!item.method || item.method === method));
+        if (failure) failure.times--;
+        return failure || null;
+    }
+
+    sendChallenge(res, stale = false) {
+        this.challenges++;
+        res.writeHead(401, {
+            'WWW-Authenticate': `Digest qop="auth", realm="${this.realm}", nonce="${this.nonce}"` +
+                `${stale ? ', stale="TRUE"' : ''}`,
+            'Content-Type': 'text/xml'
+        });
+        res.end(responseStatus(4, 'unauthorized', 'Invalid Operation'));
+    }
+
+    // Проверка заголовка Authorization: 'ok', 'stale' или 'invalid'
+    checkAuthorization(header, method) {
+        if (!header || !/^Digest\s/i.test(header)) return 'invalid';
+
+        const params = {};
+        const regex = /(\w+)=("(?:[^"\\]|\\.)*"|[^, ]+)/g;
+        let m;
+        while ((m = regex.exec(header.replace(/^Digest\s+/i, ''))) !== null) {
+            params[m[1]] = m[2].replace(/^"|"$/g, '');
+        }
+
+        if (params.nonce !== this.nonce) {
+            return this.staleNonces.has(params.nonce) ? 'stale' : 'invalid';
+        }
+
+        const md5 = value => crypto.createHash('md5').update(value).digest('hex');
+        const ha1 = md5(`${this.login}:${this.realm}:${this.password}`);
+        const ha2 = md5(`${method}:${params.uri}`);
+        const expected = params.qop
+            ? md5(`${ha1}:${params.nonce}:${params.nc}:${params.cnonce}:${params.qop}:${ha2}`)
+            : md5(`${ha1}:${params.nonce}:${ha2}`);
+
+        return params.username === this.login && params.response === expected ? 'ok' : 'invalid';
+    }
+
+    handle(req, res) {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks);
+            const body = raw.toString('utf8');
+            const { pathname, query } = url.parse(req.url, true);
+            const entry = { method: req.method, path: pathname, query, body, authorized: false };
+            this.requests.push(entry);
+
+            const networkFailure = this.findFailure(req.method, pathname, ['timeout', 'disconnect']);
+            if (networkFailure && networkFailure.type === 'timeout') return;
+            if (networkFailure) {
+                req.socket.destroy();
+                return;
+            }
+
+            const auth = this.checkAuthorization(req.headers.authorization, req.method);
+            if (auth !== 'ok' || this.findFailure(req.method, pathname, ['auth'])) {
+                this.sendChallenge(res, auth === 'stale');
+                return;
+            }
+            entry.authorized = true;
+
+            const failure = this.findFailure(req.method, pathname, ['status', 'malformed']);
+
+            if (failure && failure.type === 'status') {
+                res.writeHead(failure.httpStatus || 200, { 'Content-Type': 'text/xml' });
+                res.end(responseStatus(failure.statusCode || 4, failure.subStatusCode || 'deviceError', 'Device Error'));
+                return;
+            }
+            if (failure && failure.type === 'malformed') {
+                res.writeHead(200, { 'Content-Type': 'text/xml' });
+                res.end('device busy');
+                return;
+            }
+
+            this.route(req.method, pathname, query, body, res, raw);
+        });
+    }
+
+    route(method, pathname, query, body, res, raw) {
+        const sendXml = (xml, status = 200) => {
+            res.writeHead(status, { 'Content-Type': 'text/xml' });
+            res.end(xml);
+        };
+
+        if (pathname === '/ISAPI/System/deviceInfo' && method === 'GET') {
+            const fields = Object.entries(this.deviceInfo)
+                .map(([key, value]) => `<${key}>${escapeXml(value)}</${key}>`).join('');
+            sendXml(`<?xml version="1.0" encoding="UTF-8"?><DeviceInfo version="2.0">${fields}</DeviceInfo>`);
+            return;
+        }
+
+        if (pathname === '/ISAPI/System/time' && method === 'GET') {
+            const localTime = new Date(Date.now() + this.timeOffset).toISOString().replace(/\.\d+Z$/, '+00:00');
+            sendXml('<?xml version="1.0" encoding="UTF-8"?><Time version="2.0">' +
+                `<timeMode>manual</timeMode><localTime>${localTime}</localTime><timeZone>CST+0:00:00</timeZone></Time>`);
+            return;
+        }
+
+        if (pathname === '/ISAPI/System/status' && method === 'GET') {
+            const uptime = Math.floor((Date.now() - this.bootedAt) / 1000);
+            sendXml('<?xml version="1.0" encoding="UTF-8"?><DeviceStatus version="2.0">' +
+                `<currentDeviceTime>${new Date().toISOString()}</currentDeviceTime><deviceUpTime>${uptime}</deviceUpTime></DeviceStatus>`);
+            return;
+        }
+
+        if (pathname === '/ISAPI/AccessControl/capabilities' && method === 'GET') {
+            sendXml('<?xml version="1.0" encoding="UTF-8"?><AcsCap version="2.0">' +
+                '<isSupportRemoteControlDoor>true</isSupportRemoteControlDoor>' +
+                `<RemoteControlDoor><doorNo min="1" max="${Object.keys(this.doors).length}"/>` +
+                `<cmd opt="${this.commands.join(',')}"/></RemoteControlDoor>` +
+                '<isSupportDoorParam>true</isSupportDoorParam>' +
+                '<isSupportAcsWorkStatus>true</isSupportAcsWorkStatus>' +
+                '<isSupportUserInfo>true</isSupportUserInfo>' +
+                '<isSupportCardInfo>true</isSupportCardInfo>' +
+                (this.faceLib ? '<isSupportFDLib>true</isSupportFDLib>' : '') +
+                '</AcsCap>');
+            return;
+        }
+
+        if (pathname === '/ISAPI/AccessControl/AcsWorkStatus' && method === 'GET') {
+            const doors = Object.keys(this.doors).map(Number).sort((a, b) => a - b).map(no => this.doors[no]);
+            const status = {
+                AcsWorkStatus: {
+                    doorLockStatus: doors.map(door => door.lockStatus),
+                    doorStatus: doors.map(door => door.doorMode),
+                    magneticStatus: doors.map(door => door.magneticStatus)
+                }
+            };
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(status));
+            return;
+        }
+
+        const paramMatch = pathname.match(/^\/ISAPI\/AccessControl\/Door\/param\/(\d+)$/);
+        if (paramMatch) {
+            const door = this.doors[paramMatch[1]];
+            if (!door) {
+                sendXml(responseStatus(4, 'invalidID', 'Invalid Operation'), 400);
+                return;
+            }
+
+            if (method === 'GET') {
+                const fields = Object.entries(door.param)
+                    .map(([key, value]) => `<${key}>${escapeXml(value)}</${key}>`).join('');
+                sendXml(`<?xml version="1.0" encoding="UTF-8"?><DoorParam version="2.0">${fields}</DoorParam>`);
+                return;
+            }
+
+            if (method === 'PUT') {
+                const fields = {};
+                const regex = /<(\w+)>([^<]*)<\/\1>/g;
+                let m;
+                while ((m = regex.exec(body)) !== null) fields[m[1]] = m[2];
+                if (Object.keys(fields).length === 0) {
+                    sendXml(responseStatus(6, 'badXmlFormat', 'Invalid XML Format'), 400);
+                    return;
+                }
+                Object.assign(door.param, fields);
+                sendXml(responseStatus(1));
+                return;
+            }
+        }
+
+        const controlMatch = pathname.match(/^\/ISAPI\/AccessControl\/RemoteControl\/door\/(\d+)$/);
+        if (controlMatch && method === 'PUT') {
+            const door = this.doors[controlMatch[1]];
+            const cmd = (body.match(/<cmd>([^<]*)<\/cmd>/) || [])[1];
+            if (!door) {
+                sendXml(responseStatus(4, 'invalidID', 'Invalid Operation'), 400);
+                return;
+            }
+
+            door.lastCommand = cmd;
+            if (cmd === 'open') {
+                // Импульс: замок открыт на время openDuration (в имитаторе - не дольше секунды)
+                door.openCount++;
+                door.lockStatus = LOCK_UNLOCKED;
+                const timer = setTimeout(() => {
+                    this.timers.delete(timer);
+                    if (door.doorMode !== 2) door.lockStatus = LOCK_LOCKED;
+                }, Math.min(Number(door.param.openDuration) || 1, 1) * 1000);
+                timer.unref();
+                this.timers.add(timer);
+            } else if (REMOTE_COMMANDS[cmd]) {
+                door.doorMode = REMOTE_COMMANDS[cmd];
+                door.lockStatus = cmd === 'alwaysOpen' ? LOCK_UNLOCKED : LOCK_LOCKED;
+            } else {
+                sendXml(responseStatus(4, 'badParameters', 'Invalid Operation'), 400);
+                return;
+            }
+            sendXml(responseStatus(1));
+            return;
+        }
+
+        if (pathname.startsWith('/ISAPI/AccessControl/UserInfo/') ||
+            pathname.startsWith('/ISAPI/AccessControl/CardInfo/') ||
+            pathname.startsWith('/ISAPI/Intelligent/FDLib/')) {
+            this.routePersons(method, pathname, body, raw, res);
+            return;
+        }
+
+        if (pathname === '/ISAPI/Event/notification/httpHosts' && method === 'PUT') {
+            this.httpHosts = body;
+            sendXml(responseStatus(1));
+            return;
+        }
+
+        sendXml(responseStatus(4, 'notSupport', 'Invalid Operation'), 404);
+    }
+
+    // UserInfo, CardInfo и FDLib в JSON-формате ISAPI (?format=json)
+    routePersons(method, pathname, body, raw, res) {
+        const sendStatus = (statusCode = 1, subStatusCode = 'ok', httpStatus = 200) => {
+            res.writeHead(httpStatus, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ statusCode, statusString: statusCode === 1 ? 'OK' : 'Invalid Content', subStatusCode }));
+        };
+        const parseBody = () => {
+            try {
+                return JSON.parse(body);
+            } catch (error) {
+                return null;
+            }
+        };
+
+        if (pathname === '/ISAPI/Intelligent/FDLib/FDSetUp' && method === 'PUT') {
+            // Изображение - двоичное, поэтому разбор по latin1 (байт в символ)
+            const multipart = raw.toString('latin1');
+            const fpid = (multipart.match(/"FPID"\s*:\s*"([^"]+)"/) || [])[1];
+            const image = multipart.match(/filename="[^"]*"\r\nContent-Type: image\/jpeg\r\n\r\n([\s\S]*)\r\n--/);
+            if (!this.faceLib) {
+                sendStatus(4, 'notSupport', 404);
+            } else if (!fpid || !image || !this.users.has(fpid)) {
+                sendStatus(6, 'badParameters', 400);
+            } else {
+                this.faces.set(fpid, image[1].length);
+                sendStatus();
+            }
+            return;
+        }
+
+        const data = parseBody();
+        if (!data) {
+            sendStatus(6, 'badJsonFormat', 400);
+            return;
+        }
+
+        if (pathname === '/ISAPI/Intelligent/FDLib/FDSearch/Delete' && method === 'PUT') {
+            (data.FPID || []).forEach(item => this.faces.delete(item.value));
+            sendStatus();
+            return;
+        }
+
+        if (pathname === '/ISAPI/AccessControl/UserInfo/Record' && method === 'POST') {
+            const user = data.UserInfo || {};
+            if (!user.employeeNo) {
+                sendStatus(6, 'badParameters', 400);
+                return;
+            }
+            if (this.users.has(user.employeeNo)) {
+                sendStatus(6, 'employeeNoAlreadyExist', 400);
+                return;
+            }
+            this.users.set(user.employeeNo, user);
+            sendStatus();
+            return;
+        }
+
+        if (pathname === '/ISAPI/AccessControl/UserInfo/Modify' && method === 'PUT') {
+            const user = data.UserInfo || {};
+            if (!this.users.has(user.employeeNo)) {
+                sendStatus(6, 'employeeNoNotExist', 400);
+                return;
+            }
+            this.users.set(user.employeeNo, { ...this.users.get(user.employeeNo), ...user });
+            sendStatus();
+            return;
+        }
+
+        if (pathname === '/ISAPI/AccessControl/UserInfo/Delete' && method === 'PUT') {
+            const list = ((data.UserInfoDelCond || {}).EmployeeNoList || []).map(item => item.employeeNo);
+            list.forEach(employeeNo => {
+                this.users.delete(employeeNo);
+                this.faces.delete(employeeNo);
+                this.cards.forEach((card, cardNo) => {
+                    if (card.employeeNo === employeeNo) this.cards.delete(cardNo);
+                });
+            });
+            sendStatus();
+            return;
+        }
+
+        if (pathname === '/ISAPI/AccessControl/CardInfo/Record' && method === 'POST') {
+            const card = data.CardInfo || {};
+            if (!card.cardNo || !this.users.has(card.employeeNo)) {
+                sendStatus(6, 'employeeNoNotExist', 400);
+                return;
+            }
+            if (this.cards.has(card.cardNo)) {
+                sendStatus(6, 'cardNoAlreadyExist', 400);
+                return;
+            }
+            this.cards.set(card.cardNo, card);
+            sendStatus();
+            return;
+        }
+
+        if (pathname === '/ISAPI/AccessControl/CardInfo/Modify' && method === 'PUT') {
+            const card = data.CardInfo || {};
+            if (!this.cards.has(card.cardNo)) {
+                sendStatus(6, 'cardNoNotExist', 400);
+                return;
+            }
+            this.cards.set(card.cardNo, { ...this.cards.get(card.cardNo), ...card });
+            sendStatus();
+            return;
+        }
+
+        if (pathname === '/ISAPI/AccessControl/CardInfo/Delete' && method === 'PUT') {
+            ((data.CardInfoDelCond || {}).CardNoList || []).forEach(item => this.cards.delete(item.cardNo));
+            sendStatus();
+            return;
+        }
+
+        sendStatus(4, 'notSupport', 404);
+    }
+}
+
+module.exports = { IsapiSimulator, REMOTE_COMMANDS };
+
+// Запуск отдельно: node simulator.js --port 8081 --doors 2 --login admin --password admin12345
+if (require.main === module) {
+    const args = {};
+    const argv = process.argv.slice(2);
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+        }
+    }
+
+    const simulator = new IsapiSimulator({
+        login: args.login,
+        password: args.password,
+        doors: args.doors ? parseInt(args.doors, 10) : 2
+    });
+    simulator.listen(parseInt(args.port, 10) || 8081, args.host || '0.0.0.0').then(port => {
+        console.log(`🤖 ISAPI simulator listening on port ${port}`);
+        console.log(`🔑 Login: ${simulator.login} / ${simulator.password}`);
+        console.log(`🚪 Doors: ${Object.keys(simulator.doors).length}`);
+    });
+}
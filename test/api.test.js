@@ -0,0 +1,215 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { setupEnvironment, writeJson, readAuditRecords, request, login } = require('./helpers');
+
+const environment = setupEnvironment();
+const { IsapiSimulator } = require('../simulator');
+
+const simulator = new IsapiSimulator({ doors: 2 });
+let service;
+let port;
+const cookies = {};
+
+before(async () => {
+    await simulator.listen();
+
+    writeJson(path.join(environment.configDir, 'devices.json'), {
+        devices: [{
+            id: 'dev_sim',
+            name: 'Имитатор',
+            ip: '127.0.0.1',
+            port: simulator.port,
+            login: 'admin',
+            password: simulator.password,
+            doors: [
+                { doorNo: 1, name: 'Вход', lastStatus: null, lastUpdate: null },
+                { doorNo: 2, name: 'Склад', lastStatus: null, lastUpdate: null }
+            ]
+        }]
+    });
+    writeJson(path.join(environment.configDir, 'users.json'), {
+        users: [
+            { login: 'admin', role: 'admin', grants: [] },
+            { login: 'operator', role: 'operator', grants: [{ group: 'entrance' }] },
+            { login: 'viewer', role: 'viewer', grants: [{ group: 'entrance' }] }
+        ],
+        groups: [{ id: 'entrance', name: 'Вход', devices: ['dev_sim:1'] }]
+    });
+
+    service = require('../server');
+    const usersData = service.loadUsers();
+    usersData.users.forEach(user => service.setUserPassword(user, 'password123'));
+    service.saveUsers(usersData);
+
+    await new Promise(resolve => service.server.listen(0, '127.0.0.1', resolve));
+    port = service.server.address().port;
+
+    for (const user of ['admin', 'operator', 'viewer']) {
+        cookies[user] = await login(port, user, 'password123');
+    }
+});
+
+after(async () => {
+    service.stopStatusPoller();
+    await new Promise(resolve => service.server.close(resolve));
+    await simulator.close();
+    environment.cleanup();
+});
+
+test('без входа API недоступен', async () => {
+    const response = await request(port, 'GET', '/api/devices');
+    assert.strictEqual(response.status, 401);
+});
+
+test('неверный пароль при входе', async () => {
+    const response = await request(port, 'POST', '/api/login', { body: { login: 'operator', password: 'wrong-pass' } });
+    assert.strictEqual(response.status, 401);
+});
+
+test('/api/devices: администратор видит все двери, пароль не отдается', async () => {
+    const response = await request(port, 'GET', '/api/devices', { cookie: cookies.admin });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.length, 1);
+    assert.deepStrictEqual(response.body[0].doors.map(door => door.doorNo), [1, 2]);
+    assert.strictEqual(response.body[0].password, undefined);
+});
+
+test('/api/devices: оператор видит только двери своей группы', async () => {
+    const response = await request(port, 'GET', '/api/devices', { cookie: cookies.operator });
+    assert.deepStrictEqual(response.body[0].doors.map(door => door.doorNo), [1]);
+    assert.strictEqual(response.body[0].doors[0].canControl, true);
+});
+
+test('/api/control: оператор управляет дверью своей группы', async () => {
+    const response = await request(port, 'POST', '/api/control', {
+        cookie: cookies.operator,
+        body: { deviceId: 'dev_sim', doorNo: 1, state: 1 }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.success, true);
+    assert.strictEqual(simulator.doors[1].doorMode, 2);
+
+    const record = readAuditRecords(environment.logDir).pop();
+    assert.strictEqual(record.user, 'operator');
+    assert.strictEqual(record.source, 'web');
+    assert.strictEqual(record.outcome, 'success');
+});
+
+test('/api/control: чужая дверь запрещена и попадает в журнал', async () => {
+    const sent = simulator.requests.length;
+    const response = await request(port, 'POST', '/api/control', {
+        cookie: cookies.operator,
+        body: { deviceId: 'dev_sim', doorNo: 2, state: 1 }
+    });
+    assert.strictEqual(response.status, 403);
+    assert.ok(!simulator.requests.slice(sent).some(item => item.path.includes('/RemoteControl/door/2')));
+
+    const record = readAuditRecords(environment.logDir).pop();
+    assert.strictEqual(record.outcome, 'denied');
+    assert.strictEqual(record.doorNo, 2);
+});
+
+test('/api/control: наблюдатель не управляет дверями', async () => {
+    const response = await request(port, 'POST', '/api/control', {
+        cookie: cookies.viewer,
+        body: { deviceId: 'dev_sim', doorNo: 1, state: 4 }
+    });
+    assert.strictEqual(response.status, 403);
+});
+
+test('/api/control: недопустимое состояние', async () => {
+    const response = await request(port, 'POST', '/api/control', {
+        cookie: cookies.admin,
+        body: { deviceId: 'dev_sim', doorNo: 1, state: 9 }
+    });
+    assert.strictEqual(response.status, 400);
+});
+
+test('/api/control: ошибка контроллера возвращается клиенту', async () => {
+    simulator.inject({ type: 'status', path: '/RemoteControl/door/1', statusCode: 4, times: 1 });
+    const response = await request(port, 'POST', '/api/control', {
+        cookie: cookies.admin,
+        body: { deviceId: 'dev_sim', doorNo: 1, state: 5 }
+    });
+    assert.strictEqual(response.body.success, false);
+    assert.strictEqual(readAuditRecords(environment.logDir).pop().outcome, 'error');
+});
+
+test('/api/audit: только для администратора', async () => {
+    const denied = await request(port, 'GET', '/api/audit', { cookie: cookies.operator });
+    assert.strictEqual(denied.status, 403);
+
+    const response = await request(port, 'GET', '/api/audit?user=operator', { cookie: cookies.admin });
+    assert.strictEqual(response.status, 200);
+    assert.ok(response.body.records.some(record => record.outcome === 'denied'));
+});
+
+test('/api/emergency: новый режим не принимается, пока действует прежний', async () => {
+    const started = await request(port, 'POST', '/api/emergency', { cookie: cookies.admin, body: { mode: 'lockdown', group: 'entrance' } });
+    assert.strictEqual(started.status, 200);
+
+    const second = await request(port, 'POST', '/api/emergency', { cookie: cookies.admin, body: { mode: 'evacuation' } });
+    assert.strictEqual(second.status, 409);
+    const current = await request(port, 'GET', '/api/emergency', { cookie: cookies.admin });
+    assert.deepStrictEqual(
+        { mode: current.body.emergency.mode, doors: current.body.emergency.doors },
+        { mode: 'lockdown', doors: ['dev_sim:1'] }
+    );
+
+    const cleared = await request(port, 'DELETE', '/api/emergency', { cookie: cookies.admin, body: { resume: false } });
+    assert.strictEqual(cleared.status, 200);
+    const again = await request(port, 'POST', '/api/emergency', { cookie: cookies.admin, body: { mode: 'lockdown', group: 'entrance' } });
+    assert.strictEqual(again.status, 200);
+    await request(port, 'DELETE', '/api/emergency', { cookie: cookies.admin, body: { resume: false } });
+});
+
+test('/api/events/ingest: без токена событие не принимается', async () => {
+    const forged = { EventNotificationAlert: { AccessControllerEvent: { majorEventType: 5, subEventType: 1, doorNo: 1 } } };
+    const anonymous = await request(port, 'POST', '/api/events/ingest?device=dev_sim', { body: forged });
+    assert.strictEqual(anonymous.status, 401);
+    const wrong = await request(port, 'POST', '/api/events/ingest?device=dev_sim&token=guess', { body: forged });
+    assert.strictEqual(wrong.status, 401);
+
+    const token = service.getEventsToken();
+    assert.strictEqual(fs.readFileSync(path.join(environment.configDir, 'events.token'), 'utf8').trim(), token);
+    const accepted = await request(port, 'POST', `/api/events/ingest?device=dev_sim&token=${token}`, { body: forged });
+    assert.strictEqual(accepted.status, 200);
+    assert.strictEqual(accepted.body.duplicate, false);
+});
+
+test('смена пароля и удаление пользователя завершают его сессии', async () => {
+    const operatorCookie = await login(port, 'operator', 'password123');
+    const changed = await request(port, 'PUT', '/api/admin/users/operator', { cookie: cookies.admin, body: { password: 'new-password1' } });
+    assert.strictEqual(changed.status, 200);
+    assert.strictEqual((await request(port, 'GET', '/api/session', { cookie: operatorCookie })).status, 401);
+    assert.strictEqual((await request(port, 'GET', '/api/session', { cookie: cookies.admin })).status, 200);
+    assert.ok(await login(port, 'operator', 'new-password1'));
+
+    const viewerCookie = await login(port, 'viewer', 'password123');
+    const removed = await request(port, 'DELETE', '/api/admin/users/viewer', { cookie: cookies.admin });
+    assert.strictEqual(removed.status, 200);
+    assert.strictEqual((await request(port, 'GET', '/api/session', { cookie: viewerCookie })).status, 401);
+});
+
+test('/api/stream: поток удаленного пользователя закрывается сразу', async () => {
+    const created = await request(port, 'POST', '/api/admin/users', {
+        cookie: cookies.admin,
+        body: { login: 'guard', role: 'viewer', password: 'password123', grants: [{ group: 'entrance' }] }
+    });
+    assert.strictEqual(created.status, 201);
+    const guardCookie = await login(port, 'guard', 'password123');
+
+    const stream = await new Promise((resolve, reject) => {
+        http.get({ hostname: '127.0.0.1', port, path: '/api/stream', headers: { Cookie: guardCookie } }, resolve).on('error', reject);
+    });
+    let received = '';
+    stream.on('data', chunk => { received += chunk; });
+    const ended = new Promise(resolve => stream.on('end', resolve));
+
+    await request(port, 'DELETE', '/api/admin/users/guard', { cookie: cookies.admin });
+    await ended;
+    assert.match(received, /event: session-expired/);
+});
@@ -0,0 +1,216 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { setupEnvironment, writeJson, request, login, readAuditRecords } = require('./helpers');
+
+const environment = setupEnvironment();
+const { IsapiSimulator } = require('../simulator');
+
+// Дверь 1 - периметр (только по заявке), дверь 2 - обычная
+const simulator = new IsapiSimulator({ doors: 2 });
+let service;
+let port;
+const cookies = {};
+
+function minutesFromNow(minutes) {
+    return new Date(Date.now() + minutes * 60 * 1000 + 1000);
+}
+
+async function requestOpening(user, durationMinutes = 10) {
+    return request(port, 'POST', '/api/approvals', {
+        cookie: cookies[user],
+        body: { deviceId: 'dev_sim', doorNo: 1, reason: 'Завоз оборудования', durationMinutes }
+    });
+}
+
+before(async () => {
+    await simulator.listen();
+
+    writeJson(path.join(environment.configDir, 'devices.json'), {
+        devices: [{
+            id: 'dev_sim',
+            name: 'Периметр',
+            ip: '127.0.0.1',
+            port: simulator.port,
+            login: 'admin',
+            password: simulator.password,
+            doors: [
+                { doorNo: 1, name: 'Ворота', sensitive: true, lastStatus: null, lastUpdate: null },
+                { doorNo: 2, name: 'Калитка', lastStatus: null, lastUpdate: null }
+            ]
+        }]
+    });
+    writeJson(path.join(environment.configDir, 'users.json'), {
+        users: [
+            { login: 'operator', role: 'operator', grants: [{ group: 'perimeter' }] },
+            { login: 'guard', role: 'operator', grants: [{ group: 'perimeter' }] },
+            { login: 'viewer', role: 'viewer', grants: [{ group: 'perimeter' }] }
+        ],
+        groups: [{ id: 'perimeter', name: 'Периметр', devices: ['dev_sim'] }]
+    });
+
+    service = require('../server');
+    const usersData = service.loadUsers();
+    usersData.users.forEach(user => service.setUserPassword(user, 'password123'));
+    service.saveUsers(usersData);
+
+    await new Promise(resolve => service.server.listen(0, '127.0.0.1', resolve));
+    port = service.server.address().port;
+
+    for (const user of ['operator', 'guard', 'viewer']) {
+        cookies[user] = await login(port, user, 'password123');
+    }
+});
+
+after(async () => {
+    service.stopStatusPoller();
+    await new Promise(resolve => service.server.close(resolve));
+    await simulator.close();
+    environment.cleanup();
+});
+
+test('чувствительную дверь нельзя открыть напрямую, остальные команды доступны', async () => {
+    const open = await request(port, 'POST', '/api/control', {
+        cookie: cookies.operator,
+        body: { deviceId: 'dev_sim', doorNo: 1, state: 1 }
+    });
+    assert.strictEqual(open.status, 428);
+    assert.strictEqual(open.body.approvalRequired, true);
+    assert.strictEqual(simulator.doors[1].doorMode, 4);
+    assert.strictEqual(readAuditRecords(environment.logDir).pop().outcome, 'denied');
+
+    const pulse = await request(port, 'POST', '/api/control', {
+        cookie: cookies.operator,
+        body: { deviceId: 'dev_sim', doorNo: 1, state: 4 }
+    });
+    assert.strictEqual(pulse.body.success, true);
+
+    const bulk = await request(port, 'POST', '/api/control/bulk', {
+        cookie: cookies.operator,
+        body: { state: 1, doors: ['dev_sim'] }
+    });
+    const skipped = bulk.body.results.find(result => result.doorNo === 1);
+    assert.strictEqual(skipped.skipped, true);
+    assert.strictEqual(bulk.body.results.find(result => result.doorNo === 2).success, true);
+    assert.strictEqual(simulator.doors[1].doorMode, 4);
+    assert.strictEqual(simulator.doors[2].doorMode, 2);
+});
+
+test('заявку подтверждает второй сотрудник, по истечении срока дверь возвращается', async () => {
+    const created = await requestOpening('operator');
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.approval.status, 'pending');
+    assert.strictEqual(created.body.approval.canDecide, false);
+    const id = created.body.approval.id;
+
+    assert.strictEqual((await requestOpening('guard')).status, 409);
+
+    const self = await request(port, 'POST', `/api/approvals/${id}/approve`, { cookie: cookies.operator, body: {} });
+    assert.strictEqual(self.status, 403);
+    const viewer = await request(port, 'POST', `/api/approvals/${id}/approve`, { cookie: cookies.viewer, body: {} });
+    assert.strictEqual(viewer.status, 403);
+
+    const approved = await request(port, 'POST', `/api/approvals/${id}/approve`, { cookie: cookies.guard, body: {} });
+    assert.strictEqual(approved.status, 200);
+    assert.strictEqual(approved.body.approval.status, 'approved');
+    assert.strictEqual(approved.body.approval.decidedBy, 'guard');
+    assert.strictEqual(simulator.doors[1].lastCommand, 'alwaysOpen');
+
+    const devices = await request(port, 'GET', '/api/devices', { cookie: cookies.viewer });
+    const door = devices.body[0].doors.find(d => d.doorNo === 1);
+    assert.strictEqual(door.approval.status, 'approved');
+    assert.strictEqual(door.approval.expiresAt, approved.body.approval.expiresAt);
+
+    await service.runApprovalExpiry(minutesFromNow(5));
+    assert.strictEqual(service.loadApprovals().requests[0].status, 'approved');
+
+    await service.runApprovalExpiry(minutesFromNow(10));
+    const expired = service.loadApprovals().requests[0];
+    assert.strictEqual(expired.status, 'expired');
+    assert.strictEqual(expired.result.success, true);
+    assert.strictEqual(simulator.doors[1].lastCommand, 'resume');
+
+    const list = await request(port, 'GET', '/api/approvals', { cookie: cookies.viewer });
+    assert.deepStrictEqual(list.body.approvals.map(approval => approval.status), ['expired']);
+
+    const records = readAuditRecords(environment.logDir).filter(record => record.source === 'approval');
+    assert.deepStrictEqual(records.map(record => record.user), ['operator', 'guard', 'guard', 'system', 'system']);
+});
+
+test('дверь, режим которой изменили вручную, по истечении срока не трогается', async () => {
+    const id = (await requestOpening('guard', 5)).body.approval.id;
+    await request(port, 'POST', `/api/approvals/${id}/approve`, { cookie: cookies.operator, body: {} });
+    await request(port, 'POST', '/api/control', { cookie: cookies.operator, body: { deviceId: 'dev_sim', doorNo: 1, state: 5 } });
+
+    await service.runApprovalExpiry(minutesFromNow(5));
+    const expired = service.loadApprovals().requests.find(r => r.id === id);
+    assert.strictEqual(expired.status, 'expired');
+    assert.strictEqual(expired.result.skipped, true);
+    assert.strictEqual(simulator.doors[1].lastCommand, 'alwaysClose');
+});
+
+test('отклонение, отмена и заявка без решения', async () => {
+    const rejectedId = (await requestOpening('operator')).body.approval.id;
+    const rejected = await request(port, 'POST', `/api/approvals/${rejectedId}/reject`, {
+        cookie: cookies.guard,
+        body: { comment: 'Не согласовано' }
+    });
+    assert.strictEqual(rejected.body.approval.status, 'rejected');
+    assert.strictEqual(rejected.body.approval.comment, 'Не согласовано');
+    const late = await request(port, 'POST', `/api/approvals/${rejectedId}/approve`, { cookie: cookies.guard, body: {} });
+    assert.strictEqual(late.status, 409);
+
+    const cancelledId = (await requestOpening('operator')).body.approval.id;
+    assert.strictEqual((await request(port, 'POST', `/api/approvals/${cancelledId}/cancel`, { cookie: cookies.guard, body: {} })).status, 403);
+    const cancelled = await request(port, 'POST', `/api/approvals/${cancelledId}/cancel`, { cookie: cookies.operator, body: {} });
+    assert.strictEqual(cancelled.body.approval.status, 'cancelled');
+
+    const staleId = (await requestOpening('operator')).body.approval.id;
+    await service.runApprovalExpiry(minutesFromNow(30));
+    assert.strictEqual(service.loadApprovals().requests.find(r => r.id === staleId).status, 'stale');
+    assert.strictEqual(simulator.doors[1].lastCommand, 'alwaysClose');
+});
+
+test('исключение при открытии двери переводит заявку в failed, новая заявка возможна', async () => {
+    simulator.inject({ type: 'malformed', path: '/RemoteControl/door/1', times: 1 });
+    const id = (await requestOpening('operator')).body.approval.id;
+
+    const approved = await request(port, 'POST', `/api/approvals/${id}/approve`, { cookie: cookies.guard, body: {} });
+    assert.strictEqual(approved.status, 502);
+    assert.strictEqual(approved.body.approval.status, 'failed');
+    assert.strictEqual(approved.body.approval.expiresAt, null);
+    simulator.clearFailures();
+
+    assert.strictEqual((await requestOpening('operator')).status, 201);
+});
+
+test('расписание не открывает чувствительную дверь', async () => {
+    const input = { name: 'Завоз', doors: ['dev_sim'], rules: [{ days: [1, 2, 3, 4, 5], from: '08:00', to: '18:00', state: 1 }] };
+    const { errors } = service.validateSchedule(input, service.loadSchedules(), service.loadDevices());
+    assert.deepStrictEqual(errors, ['Дверь dev_sim:1 открывается только по заявке: расписание не может держать ее открытой']);
+
+    // Расписание, сохраненное до того, как дверь отметили чувствительной
+    service.saveSchedules({ schedules: [{ id: 'old', name: 'Старое', enabled: true, doors: ['dev_sim'], rules: [], defaultState: 1 }], holidays: [] });
+    const sent = simulator.requests.length;
+    await service.runScheduler();
+    const commands = simulator.requests.slice(sent).map(item => item.path).filter(item => item.includes('/RemoteControl/'));
+    assert.deepStrictEqual(commands, ['/ISAPI/AccessControl/RemoteControl/door/2']);
+    service.saveSchedules({ schedules: [], holidays: [] });
+});
+
+test('заявка пропала из файла во время открытия: дверь возвращается, ответ 409', async () => {
+    const pending = service.loadApprovals().requests.filter(r => r.status === 'pending');
+    for (const approval of pending) {
+        await request(port, 'POST', `/api/approvals/${approval.id}/cancel`, { cookie: cookies.operator, body: {} });
+    }
+    const id = (await requestOpening('operator')).body.approval.id;
+
+    service.serviceEvents.once('control', () => {
+        writeJson(path.join(environment.configDir, 'approvals.json'), {
+            requests: service.loadApprovals().requests.filter(r => r.id !== id)
+        });
+    });
+    const approved = await request(port, 'POST', `/api/approvals/${id}/approve`, { cookie: cookies.guard, body: {} });
+    assert.strictEqual(approved.status, 409);
+    assert.strictEqual(simulator.doors[1].lastCommand, 'resume');
+});
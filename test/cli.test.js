@@ -0,0 +1,202 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { setupEnvironment, writeJson, readAuditRecords } = require('./helpers');
+
+const environment = setupEnvironment();
+const { IsapiSimulator } = require('../simulator');
+
+const simulator = new IsapiSimulator({ doors: 2 });
+const SERVER = path.join(__dirname, '..', 'server.js');
+const USERS_FILE = path.join(environment.configDir, 'users.json');
+const DEVICES_FILE = path.join(environment.configDir, 'devices.json');
+
+// Запуск server.js в режиме командной строки: { code, stdout, stderr }; stdin не терминал
+function runCli(args, env = {}) {
+    return new Promise((resolve) => {
+        const child = execFile(process.execPath, [SERVER, ...args], { env: { ...process.env, ...env }, timeout: 15000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+        child.stdin.end();
+    });
+}
+
+function runJson(args, env = {}) {
+    return runCli([...args, '--json'], env).then(result => ({ ...result, body: JSON.parse(result.stdout) }));
+}
+
+before(async () => {
+    await simulator.listen();
+
+    writeJson(DEVICES_FILE, {
+        devices: [{
+            id: 'dev_sim',
+            name: 'Склад',
+            ip: '127.0.0.1',
+            port: simulator.port,
+            login: 'admin',
+            password: simulator.password,
+            doors: [
+                { doorNo: 1, name: 'Ворота', sensitive: true, lastStatus: null, lastUpdate: null },
+                { doorNo: 2, name: 'Калитка', lastStatus: null, lastUpdate: null }
+            ]
+        }]
+    });
+    writeJson(USERS_FILE, {
+        users: [{ login: 'admin', role: 'admin', grants: [] }],
+        groups: [{ id: 'warehouse', name: 'Склад', devices: ['dev_sim:2'] }]
+    });
+});
+
+after(async () => {
+    await simulator.close();
+    environment.cleanup();
+});
+
+test('CLI: установка состояния двери', async () => {
+    const result = await runCli([
+        '--ip', '127.0.0.1', '--port', String(simulator.port),
+        '--login', 'admin',
+        '--state', '1', '--door', '2'
+    ], { SCUD_DEVICE_PASSWORD: simulator.password });
+    assert.strictEqual(result.code, 0);
+    assert.match(result.stdout, /Operation completed successfully/);
+    assert.strictEqual(simulator.doors[2].doorMode, 2);
+
+    const record = readAuditRecords(environment.logDir).pop();
+    assert.strictEqual(record.source, 'cli');
+    assert.strictEqual(record.outcome, 'success');
+});
+
+test('CLI: ошибка устройства - код выхода 1', async () => {
+    const result = await runCli([
+        '--ip', '127.0.0.1', '--port', String(simulator.port),
+        '--login', 'admin',
+        '--state', '5'
+    ], { SCUD_DEVICE_PASSWORD: 'wrong-password' });
+    assert.strictEqual(result.code, 1);
+    assert.strictEqual(readAuditRecords(environment.logDir).pop().outcome, 'error');
+});
+
+test('CLI: недопустимое состояние не отправляется на устройство', async () => {
+    const sent = simulator.requests.length;
+    const result = await runCli([
+        '--ip', '127.0.0.1', '--port', String(simulator.port),
+        '--login', 'admin',
+        '--state', '9'
+    ], { SCUD_DEVICE_PASSWORD: simulator.password });
+    assert.strictEqual(result.code, 2);
+    assert.strictEqual(simulator.requests.length, sent);
+});
+
+test('CLI: пароль в аргументах не принимается', async () => {
+    const sent = simulator.requests.length;
+    const legacy = await runCli([
+        '--ip', '127.0.0.1', '--port', String(simulator.port),
+        '--login', 'admin', '--password', simulator.password, '--state', '4'
+    ]);
+    assert.strictEqual(legacy.code, 2);
+    assert.match(legacy.stderr, /--password is not accepted/);
+
+    const withoutTerminal = await runCli(['--ip', '127.0.0.1', '--login', 'admin', '--state', '4'], { SCUD_DEVICE_PASSWORD: '' });
+    assert.strictEqual(withoutTerminal.code, 2);
+    assert.strictEqual(simulator.requests.length, sent);
+
+    const add = await runCli(['users', 'add', 'guard', '--password', 'password123']);
+    assert.strictEqual(add.code, 2);
+});
+
+test('list и status: устройства из devices.json', async () => {
+    const list = await runJson(['list']);
+    assert.strictEqual(list.code, 0);
+    assert.deepStrictEqual(list.body.devices[0].doors.map(door => door.name), ['Ворота', 'Калитка']);
+    assert.strictEqual(list.body.devices[0].password, undefined);
+
+    const status = await runJson(['status', 'Склад']);
+    assert.strictEqual(status.code, 0);
+    assert.strictEqual(status.body.devices[0].online, true);
+    assert.strictEqual(status.body.devices[0].doors[2].actualStatus, 1);
+
+    const missing = await runCli(['status', 'Нет такого']);
+    assert.strictEqual(missing.code, 3);
+});
+
+test('set: по названию устройства, по группе и с ограничениями чувствительной двери', async () => {
+    const single = await runJson(['set', 'Склад:2', 'lock']);
+    assert.strictEqual(single.code, 0);
+    assert.strictEqual(simulator.doors[2].lastCommand, 'alwaysClose');
+    assert.match(readAuditRecords(environment.logDir).pop().user, /@cli$/);
+
+    const group = await runCli(['set', '--group', 'warehouse', '3']);
+    assert.strictEqual(group.code, 0);
+    assert.match(group.stdout, /Done: 1 of 1/);
+    assert.strictEqual(simulator.doors[2].lastCommand, 'resume');
+
+    const sensitive = await runJson(['set', 'dev_sim', 'open']);
+    assert.strictEqual(sensitive.code, 1);
+    const refused = sensitive.body.results.find(result => result.doorNo === 1);
+    assert.strictEqual(refused.skipped, true);
+    assert.strictEqual(simulator.doors[1].doorMode, 4);
+
+    assert.strictEqual((await runCli(['set', 'Склад', 'sideways'])).code, 2);
+});
+
+test('users: добавление, назначение группы и удаление', async () => {
+    const added = await runJson(['users', 'add', 'guard', '--role', 'operator'], { SCUD_PASSWORD: 'password123' });
+    assert.strictEqual(added.code, 0);
+    assert.strictEqual(added.body.user.passwordHash, undefined);
+
+    const noPassword = await runCli(['users', 'add', 'second'], { SCUD_PASSWORD: '' });
+    assert.strictEqual(noPassword.code, 2);
+    assert.match(noPassword.stderr, /SCUD_PASSWORD/);
+
+    const granted = await runCli(['users', 'grant', 'guard', 'warehouse', '--actions', 'pulse,resume']);
+    assert.strictEqual(granted.code, 0);
+    let guard = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8')).users.find(user => user.login === 'guard');
+    assert.deepStrictEqual(guard.grants, [{ group: 'warehouse', actions: ['pulse', 'resume'] }]);
+    assert.ok(guard.passwordHash);
+
+    assert.strictEqual((await runCli(['users', 'grant', 'guard', 'nowhere'])).code, 3);
+    assert.strictEqual((await runCli(['users', 'remove', 'admin'])).code, 2);
+
+    assert.strictEqual((await runCli(['users', 'remove', 'guard'])).code, 0);
+    guard = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8')).users.find(user => user.login === 'guard');
+    assert.strictEqual(guard, undefined);
+});
+
+test('devices: добавление с проверкой связи и тест устройства', async () => {
+    const second = new IsapiSimulator({ doors: 1 });
+    await second.listen();
+
+    try {
+        const args = ['devices', 'add', '--name', 'Офис', '--ip', '127.0.0.1', '--port', String(second.port)];
+        const wrong = await runJson(args, { SCUD_DEVICE_PASSWORD: 'wrong-password' });
+        assert.strictEqual(wrong.code, 1);
+        assert.strictEqual(wrong.body.saved, false);
+
+        const added = await runJson(args, { SCUD_DEVICE_PASSWORD: second.password });
+        assert.strictEqual(added.code, 0);
+        const stored = JSON.parse(fs.readFileSync(DEVICES_FILE, 'utf8')).devices.find(device => device.name === 'Офис');
+        assert.strictEqual(stored.id, added.body.device.id);
+        assert.match(stored.password, /^enc:v1:/);
+
+        assert.strictEqual((await runCli(['devices', 'test', 'Офис'])).code, 0);
+    } finally {
+        await second.close();
+    }
+    assert.strictEqual((await runCli(['devices', 'test', 'Офис'])).code, 1);
+});
+
+test('logs tail: последние записи аудита, старые сначала', async () => {
+    const tail = await runJson(['logs', 'tail', '--lines', '2', '--device', 'Склад']);
+    assert.strictEqual(tail.code, 0);
+    assert.strictEqual(tail.body.records.length, 2);
+    assert.ok(tail.body.records[0].timestamp <= tail.body.records[1].timestamp);
+    assert.ok(tail.body.records.every(record => record.deviceId === 'dev_sim'));
+
+    const text = await runCli(['logs', 'tail', '--lines', '1']);
+    assert.strictEqual(text.stdout.trim().split('\n').length, 1);
+    assert.strictEqual((await runCli(['logs'])).code, 2);
+});
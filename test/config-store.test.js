@@ -0,0 +1,95 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { setupEnvironment, writeJson } = require('./helpers');
+
+const environment = setupEnvironment();
+const { ConfigStore, ConfigError } = require('../server');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+after(() => environment.cleanup());
+
+function createStore(name) {
+    return new ConfigStore(path.join(environment.configDir, name), {
+        defaults: () => ({ items: [] }),
+        validate: data => (Array.isArray(data.items) ? [] : ['items: ожидается массив'])
+    });
+}
+
+test('запись через временный файл с копией прежней версии', () => {
+    const store = createStore('atomic.json');
+    assert.deepStrictEqual(store.get(), { items: [] });
+
+    assert.strictEqual(store.save({ items: [1] }), true);
+    assert.strictEqual(store.save({ items: [1, 2] }), true);
+
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(store.file, 'utf8')), { items: [1, 2] });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(`${store.file}.bak`, 'utf8')), { items: [1] });
+    assert.deepStrictEqual(fs.readdirSync(environment.configDir).filter(name => name.endsWith('.tmp')), []);
+
+    assert.strictEqual(store.save({ items: 'broken' }), false);
+    assert.deepStrictEqual(store.get(), { items: [1, 2] });
+});
+
+test('get() отдает копию, update() меняет последнюю версию', () => {
+    const store = createStore('copy.json');
+    store.save({ items: ['a'] });
+
+    store.get().items.push('lost');
+    assert.deepStrictEqual(store.get(), { items: ['a'] });
+
+    writeJson(store.file, { items: ['a', 'external'] });
+    assert.strictEqual(store.update(data => {
+        data.items.push('b');
+    }), true);
+    assert.deepStrictEqual(store.get(), { items: ['a', 'external', 'b'] });
+});
+
+test('изменения на диске подхватываются, ошибочная версия не применяется', () => {
+    const store = createStore('reload.json');
+    store.save({ items: [1] });
+
+    writeJson(store.file, { items: [1, 2, 3] });
+    assert.deepStrictEqual(store.get(), { items: [1, 2, 3] });
+
+    fs.writeFileSync(store.file, '{ "items": [1, 2');
+    const error = store.refresh();
+    assert.ok(error instanceof ConfigError);
+    assert.match(error.message, /^reload\.json: некорректный JSON/);
+    assert.deepStrictEqual(store.get(), { items: [1, 2, 3] });
+
+    writeJson(store.file, { items: {} });
+    assert.deepStrictEqual(store.refresh().errors, ['items: ожидается массив']);
+
+    writeJson(store.file, { items: [4] });
+    assert.strictEqual(store.refresh(), null);
+    assert.deepStrictEqual(store.get(), { items: [4] });
+});
+
+test('файл с ошибкой при первом чтении: понятная ошибка вместо пустых данных', () => {
+    const store = createStore('invalid.json');
+    writeJson(store.file, { items: null });
+
+    assert.throws(() => store.get(), error => error instanceof ConfigError && /items: ожидается массив/.test(error.message));
+});
+
+test('сервис не запускается с ошибкой в devices.json', async () => {
+    const configDir = path.join(environment.root, 'broken-config');
+    fs.mkdirSync(configDir);
+    writeJson(path.join(configDir, 'devices.json'), {
+        devices: [{ id: 'dev_1', name: 'Вход', port: 80, login: 'admin', doors: [{ doorNo: 0 }] }]
+    });
+
+    const result = await new Promise(resolve => {
+        execFile(process.execPath, [SERVER], {
+            env: { ...process.env, SCUD_CONFIG_DIR: configDir, PORT: '0' },
+            timeout: 15000
+        }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stderr }));
+    });
+
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stderr, /devices\.json: devices\[0\]\.ip: не указан адрес; devices\[0\]\.doors\[0\]\.doorNo/);
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupEnvironment } = require('./helpers');
+
+const environment = setupEnvironment();
+const { IsapiSimulator } = require('../simulator');
+const { refreshDeviceHealth, buildDeviceHealth, parseDeviceTime } = require('../server');
+
+const simulator = new IsapiSimulator({
+    doors: 2,
+    timeOffset: 5 * 60 * 1000,
+    deviceInfo: { firmwareVersion: 'V1.4.0' }
+});
+let device;
+
+before(async () => {
+    await simulator.listen();
+    device = {
+        id: 'dev_health',
+        name: 'Имитатор',
+        ip: '127.0.0.1',
+        port: simulator.port,
+        login: 'admin',
+        password: simulator.password,
+        doors: [{ doorNo: 1, name: 'Вход' }, { doorNo: 3, name: 'Гараж' }]
+    };
+});
+after(async () => {
+    await simulator.close();
+    environment.cleanup();
+});
+
+test('время устройства: смещение из localTime и из POSIX timeZone', () => {
+    assert.strictEqual(parseDeviceTime('2024-01-01T12:00:00+05:00'), Date.UTC(2024, 0, 1, 7));
+    assert.strictEqual(parseDeviceTime('2024-01-01T12:00:00', 'CST-5:00:00'), Date.UTC(2024, 0, 1, 7));
+    assert.strictEqual(parseDeviceTime(''), null);
+});
+
+test('сведения об устройстве, время и возможности', async () => {
+    await refreshDeviceHealth(device);
+    const health = buildDeviceHealth(device);
+
+    assert.strictEqual(health.info.model, 'DS-K2604T');
+    assert.strictEqual(health.capabilities.doorCount, 2);
+    assert.ok(health.capabilities.features.includes('RemoteControlDoor'));
+    assert.ok(Math.abs(health.time.driftSeconds - 300) <= 2);
+    assert.deepStrictEqual(health.fetchErrors, {});
+});
+
+test('предупреждения: часы, прошивка и отсутствующая дверь', () => {
+    const codes = buildDeviceHealth(device).warnings.map(warning => warning.code).sort();
+    assert.deepStrictEqual(codes, ['clockDrift', 'doorMissing', 'firmware']);
+});
+
+test('ошибка запроса сохраняется отдельно для каждого раздела', async () => {
+    simulator.inject({ type: 'status', path: '/ISAPI/System/time', httpStatus: 404, subStatusCode: 'notSupport' });
+    await refreshDeviceHealth(device);
+    const health = buildDeviceHealth(device);
+
+    assert.match(health.fetchErrors.time, /notSupport/);
+    assert.strictEqual(health.time, null);
+    assert.strictEqual(health.info.model, 'DS-K2604T');
+});
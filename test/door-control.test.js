@@ -0,0 +1,86 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { setupEnvironment, readAuditRecords } = require('./helpers');
+
+const environment = setupEnvironment();
+const { IsapiSimulator } = require('../simulator');
+const { setDoorState, fetchDoorStatuses, encryptSecret } = require('../server');
+
+const simulator = new IsapiSimulator({ doors: 2 });
+const password = encryptSecret(simulator.password);
+const options = (extra = {}) => ({ port: simulator.port, retries: 0, timeout: 500, ...extra });
+
+before(() => simulator.listen());
+after(async () => {
+    await simulator.close();
+    environment.cleanup();
+});
+beforeEach(() => simulator.clearFailures());
+
+test('OPEN: режим remainOpen, магнитный контакт alwaysClose', async () => {
+    const result = await setDoorState('127.0.0.1', 'admin', password, 1, 1, options());
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(simulator.doors[1].doorMode, 2);
+    assert.strictEqual(simulator.doors[1].param.magneticType, 'alwaysClose');
+    assert.strictEqual(simulator.doors[2].doorMode, 4);
+});
+
+test('CLOSE: только DoorParam, без RemoteControl', async () => {
+    const sent = simulator.requests.length;
+    const result = await setDoorState('127.0.0.1', 'admin', password, 2, 2, options());
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(simulator.doors[2].param.magneticType, 'alwaysOpen');
+    assert.ok(!simulator.requests.slice(sent).some(request => request.path.includes('RemoteControl')));
+});
+
+test('DoorParam: меняются только нужные поля', async () => {
+    simulator.doors[1].param.openButtonType = 'custom';
+    const result = await setDoorState('127.0.0.1', 'admin', password, 3, 1, options({ doorParam: { openDuration: 7 } }));
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(simulator.doors[1].param.openDuration, '7');
+    assert.strictEqual(simulator.doors[1].param.openButtonType, 'custom');
+    assert.strictEqual(simulator.doors[1].doorMode, 4);
+});
+
+test('PULSE: однократное открытие', async () => {
+    const before = simulator.doors[1].openCount;
+    const result = await setDoorState('127.0.0.1', 'admin', password, 4, 1, options());
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(simulator.doors[1].openCount, before + 1);
+});
+
+test('statusCode != 1: ошибка и возврат DoorParam', async () => {
+    // Дверь 2 в режиме CLOSE (alwaysOpen); LOCKED меняет magneticType, затем RemoteControl падает
+    simulator.inject({ type: 'status', path: '/RemoteControl/door/2', statusCode: 4 });
+    const result = await setDoorState('127.0.0.1', 'admin', password, 5, 2, options());
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.message, /восстановлены/);
+    assert.strictEqual(simulator.doors[2].param.magneticType, 'alwaysOpen');
+});
+
+test('неверный пароль: ошибка без изменения двери', async () => {
+    const mode = simulator.doors[1].doorMode;
+    const result = await setDoorState('127.0.0.1', 'admin', 'wrong-password', 5, 1, options());
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(simulator.doors[1].doorMode, mode);
+});
+
+test('журнал аудита: итог и шаги ISAPI', async () => {
+    await setDoorState('127.0.0.1', 'admin', password, 5, 1, options({ audit: { user: 'tester', source: 'test' } }));
+
+    const record = readAuditRecords(environment.logDir).filter(item => item.user === 'tester').pop();
+    assert.ok(record);
+    assert.strictEqual(record.outcome, 'success');
+    assert.strictEqual(record.state, 5);
+    assert.strictEqual(record.doorNo, 1);
+    assert.deepStrictEqual(record.steps.map(step => step.step), ['doorParam', 'control']);
+});
+
+test('AcsWorkStatus: фактическое состояние дверей', async () => {
+    await setDoorState('127.0.0.1', 'admin', password, 1, 2, options());
+    const doors = await fetchDoorStatuses('127.0.0.1', 'admin', password, [1, 2], options());
+    assert.strictEqual(doors[1].actualStatus, 5);
+    assert.strictEqual(doors[2].actualStatus, 1);
+    assert.strictEqual(doors[2].lockStatus, 'unlocked');
+});
@@ -0,0 +1,130 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { setupEnvironment, writeJson, request, login, readAuditRecords } = require('./helpers');
+
+const environment = setupEnvironment();
+const { IsapiSimulator } = require('../simulator');
+
+// Контроллер "после отключения питания": обе двери в обычном режиме, а по devices.json они открыты.
+// Дверь 1 восстанавливает режим сама, дверь 2 только предупреждает
+const simulator = new IsapiSimulator({ doors: 2 });
+const DEVICES_FILE = path.join(environment.configDir, 'devices.json');
+let service;
+let port;
+let cookie;
+
+function remoteControls(doorNo) {
+    return simulator.requests.filter(item => item.path === `/ISAPI/AccessControl/RemoteControl/door/${doorNo}`).length;
+}
+
+async function getDoors() {
+    const devices = await request(port, 'GET', '/api/devices', { cookie });
+    return devices.body[0].doors;
+}
+
+before(async () => {
+    await simulator.listen();
+
+    writeJson(DEVICES_FILE, {
+        devices: [{
+            id: 'dev_sim',
+            name: 'Склад',
+            ip: '127.0.0.1',
+            port: simulator.port,
+            login: 'admin',
+            password: simulator.password,
+            doors: [
+                { doorNo: 1, name: 'Ворота', driftPolicy: 'reapply', lastStatus: 1, lastUpdate: '2026-01-01T00:00:00.000Z' },
+                { doorNo: 2, name: 'Калитка', lastStatus: 1, lastUpdate: '2026-01-01T00:00:00.000Z' }
+            ]
+        }]
+    });
+    writeJson(path.join(environment.configDir, 'users.json'), {
+        users: [{ login: 'admin', role: 'admin', grants: [] }],
+        groups: []
+    });
+
+    service = require('../server');
+    const usersData = service.loadUsers();
+    service.setUserPassword(usersData.users[0], 'password123');
+    service.saveUsers(usersData);
+
+    await new Promise(resolve => service.server.listen(0, '127.0.0.1', resolve));
+    port = service.server.address().port;
+    cookie = await login(port, 'admin', 'password123');
+});
+
+after(async () => {
+    service.stopStatusPoller();
+    await new Promise(resolve => service.server.close(resolve));
+    await simulator.close();
+    environment.cleanup();
+});
+
+test('расхождение с заданным режимом: восстановление или предупреждение по политике двери', async () => {
+    const stored = JSON.parse(fs.readFileSync(DEVICES_FILE, 'utf8')).devices[0].doors;
+    assert.deepStrictEqual(stored.map(door => door.desiredStatus), [1, 1]);
+
+    await service.pollDeviceStatuses();
+    assert.strictEqual(simulator.doors[1].lastCommand, 'alwaysOpen');
+    assert.strictEqual(simulator.doors[2].lastCommand, null);
+
+    const record = readAuditRecords(environment.logDir).pop();
+    assert.deepStrictEqual({ user: record.user, source: record.source, doorNo: record.doorNo }, { user: 'system', source: 'drift', doorNo: 1 });
+
+    await service.pollDeviceStatuses();
+    const [gate, wicket] = await getDoors();
+    assert.strictEqual(gate.drift, null);
+    assert.strictEqual(wicket.driftPolicy, 'alert');
+    assert.deepStrictEqual(
+        { reason: wicket.drift.reason, desiredStatus: wicket.drift.desiredStatus, observedStatus: wicket.drift.observedStatus },
+        { reason: 'mismatch', desiredStatus: 1, observedStatus: 3 }
+    );
+    assert.strictEqual(simulator.doors[2].doorMode, 4);
+});
+
+test('перезагрузка контроллера определяется по времени работы', async () => {
+    simulator.reboot();
+    await service.pollDeviceStatuses();
+
+    const devices = await request(port, 'GET', '/api/devices', { cookie });
+    assert.ok(devices.body[0].rebootedAt);
+    assert.strictEqual(devices.body[0].doors[1].drift.reason, 'reboot');
+    assert.strictEqual(simulator.doors[1].doorMode, 2);
+
+    await service.pollDeviceStatuses();
+    assert.strictEqual((await getDoors())[0].drift, null);
+});
+
+test('неудачное восстановление не повторяется чаще интервала', async () => {
+    simulator.inject({ type: 'status', path: '/RemoteControl/door/1' });
+    simulator.reboot();
+    const sent = remoteControls(1);
+
+    await service.pollDeviceStatuses();
+    const drift = (await getDoors())[0].drift;
+    assert.strictEqual(drift.result.success, false);
+
+    await service.pollDeviceStatuses();
+    assert.strictEqual(remoteControls(1), sent + 1);
+    simulator.clearFailures();
+});
+
+test('новая команда меняет заданный режим и снимает расхождение', async () => {
+    const result = await request(port, 'POST', '/api/control', { cookie, body: { deviceId: 'dev_sim', doorNo: 2, state: 3 } });
+    assert.strictEqual(result.body.success, true);
+
+    await service.pollDeviceStatuses();
+    const wicket = (await getDoors())[1];
+    assert.strictEqual(wicket.desiredStatus, 3);
+    assert.strictEqual(wicket.drift, null);
+
+    const invalid = await request(port, 'PUT', '/api/admin/devices/dev_sim', {
+        cookie,
+        body: { name: 'Склад', ip: '127.0.0.1', port: simulator.port, login: 'admin', doors: [{ doorNo: 1, driftPolicy: 'ignore' }] }
+    });
+    assert.strictEqual(invalid.status, 400);
+    assert.match(invalid.body.message, /расхождении режима двери 1/);
+});
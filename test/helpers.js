@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+// Окружение сервиса во временном каталоге. Вызывать до require('../server'):
+// пути и параметры читаются из переменных окружения при загрузке модуля
+function setupEnvironment() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'scud-test-'));
+    const env = {
+        SCUD_CONFIG_DIR: path.join(root, 'config'),
+        SCUD_LOG_DIR: path.join(root, 'logs'),
+        SCUD_SECRET_KEY: 'test-secret-key',
+        ISAPI_RETRIES: '0',
+        ISAPI_TIMEOUT_MS: '500'
+    };
+    Object.assign(process.env, env);
+    fs.mkdirSync(env.SCUD_CONFIG_DIR, { recursive: true });
+    fs.mkdirSync(env.SCUD_LOG_DIR, { recursive: true });
+
+    // Сервис подробно пишет в консоль; TEST_VERBOSE=1 оставляет вывод
+    if (!process.env.TEST_VERBOSE) {
+        console.log = () => {};
+        console.error = () => {};
+    }
+
+    return {
+        root,
+        env,
+        configDir: env.SCUD_CONFIG_DIR,
+        logDir: env.SCUD_LOG_DIR,
+        cleanup: () => fs.rmSync(root, { recursive: true, force: true })
+    };
+}
+
+function writeJson(filePath, data) {
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+// Записи журнала аудита из всех файлов каталога логов
+function readAuditRecords(logDir) {
+    return fs.readdirSync(logDir)
+        .filter(fileName => /^audit_.*\.jsonl$/.test(fileName))
+        .sort()
+        .flatMap(fileName => fs.readFileSync(path.join(logDir, fileName), 'utf8').split('\n'))
+        .filter(Boolean)
+        .map(line => JSON.parse(line));
+}
+
+// CSRF-токены сессий, полученных через login(): cookie -> токен
+const csrfTokens = new Map();
+
+// HTTP-запрос к сервису: { status, headers, body } (body разобран, если ответ в JSON).
+// С cookie из login() изменяющие запросы получают заголовок X-CSRF-Token, если он не задан явно
+function request(port, method, requestPath, options = {}) {
+    return new Promise((resolve, reject) => {
+        const headers = { ...(options.headers || {}) };
+        let payload = null;
+        if (options.body !== undefined) {
+            payload = typeof options.body === 'string' ? options.body : JSON.stringify(options.body);
+            headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+            headers['Content-Length'] = Buffer.byteLength(payload);
+        }
+        if (options.cookie) {
+            headers.Cookie = options.cookie;
+            if (method !== 'GET' && csrfTokens.has(options.cookie) && !('X-CSRF-Token' in headers)) {
+                headers['X-CSRF-Token'] = csrfTokens.get(options.cookie);
+            }
+        }
+
+        const req = http.request({ hostname: '127.0.0.1', port, path: requestPath, method, headers }, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => text += chunk);
+            res.on('end', () => {
+                let body = text;
+                if ((res.headers['content-type'] || '').includes('application/json')) {
+                    body = JSON.parse(text);
+                }
+                resolve({ status: res.statusCode, headers: res.headers, body });
+            });
+        });
+        req.on('error', reject);
+        if (payload) req.write(payload);
+        req.end();
+    });
+}
+
+// Вход в сервис; возвращает cookie сессии
+async function login(port, userLogin, password) {
+    const response = await request(port, 'POST', '/api/login', { body: { login: userLogin, password } });
+    if (response.status !== 200) {
+        throw new Error(`Login ${userLogin} failed: ${response.status}`);
+    }
+    const cookie = response.headers['set-cookie'][0].split(';')[0];
+    csrfTokens.set(cookie, response.body.csrfToken);
+    return cookie;
+}
+
+module.exports = {
+    setupEnvironment,
+    writeJson,
+    readAuditRecords,
+    request,
+    login
+};
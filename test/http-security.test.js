@@ -0,0 +1,225 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { setupEnvironment, writeJson, request, login } = require('./helpers');
+
+const environment = setupEnvironment();
+Object.assign(process.env, {
+    CORS_ORIGINS: 'https://panel.example.com/',
+    MAX_BODY_KB: '1',
+    LOGIN_RATE_LIMIT: '4',
+    CONTROL_RATE_LIMIT_IP: '7',
+    CONTROL_RATE_LIMIT_USER: '3',
+    MAX_LOGIN_ATTEMPTS: '2',
+    ACCOUNT_MAX_LOGIN_ATTEMPTS: '3',
+    TRUST_PROXY: '1',
+    METRICS_ALLOW: '10.1.0.0/16'
+});
+const { IsapiSimulator } = require('../simulator');
+
+const simulator = new IsapiSimulator({ doors: 1 });
+let service;
+let port;
+const cookies = {};
+
+function control(user, body, options = {}) {
+    return request(port, 'POST', '/api/control', { cookie: cookies[user], body, ...options });
+}
+
+before(async () => {
+    await simulator.listen();
+
+    writeJson(path.join(environment.configDir, 'devices.json'), {
+        devices: [{
+            id: 'dev_sim',
+            name: 'Имитатор',
+            ip: '127.0.0.1',
+            port: simulator.port,
+            login: 'admin',
+            password: simulator.password,
+            doors: [{ doorNo: 1, name: 'Вход', lastStatus: null, lastUpdate: null }]
+        }]
+    });
+    writeJson(path.join(environment.configDir, 'users.json'), {
+        users: [
+            { login: 'admin', role: 'admin', grants: [] },
+            { login: 'operator', role: 'operator', grants: [{ group: 'entrance' }] }
+        ],
+        groups: [{ id: 'entrance', name: 'Вход', devices: ['dev_sim'] }]
+    });
+
+    service = require('../server');
+    const usersData = service.loadUsers();
+    usersData.users.forEach(user => service.setUserPassword(user, 'password123'));
+    service.saveUsers(usersData);
+
+    await new Promise(resolve => service.server.listen(0, '127.0.0.1', resolve));
+    port = service.server.address().port;
+
+    for (const user of ['admin', 'operator']) {
+        cookies[user] = await login(port, user, 'password123');
+    }
+});
+
+after(async () => {
+    service.stopStatusPoller();
+    await new Promise(resolve => service.server.close(resolve));
+    await simulator.close();
+    environment.cleanup();
+});
+
+test('CORS: заголовки только для сайтов из списка', async () => {
+    const allowed = await request(port, 'GET', '/api/session', {
+        cookie: cookies.operator,
+        headers: { Origin: 'https://panel.example.com' }
+    });
+    assert.strictEqual(allowed.headers['access-control-allow-origin'], 'https://panel.example.com');
+    assert.strictEqual(allowed.headers['access-control-allow-credentials'], undefined);
+
+    const foreign = await request(port, 'GET', '/api/session', {
+        cookie: cookies.operator,
+        headers: { Origin: 'https://evil.example.com' }
+    });
+    assert.strictEqual(foreign.headers['access-control-allow-origin'], undefined);
+
+    const preflight = await request(port, 'OPTIONS', '/api/control', { headers: { Origin: 'https://panel.example.com' } });
+    assert.strictEqual(preflight.status, 204);
+    const rejected = await request(port, 'OPTIONS', '/api/control', { headers: { Origin: 'https://evil.example.com' } });
+    assert.strictEqual(rejected.status, 403);
+});
+
+test('страница интерфейса отдается с заголовками безопасности', async () => {
+    const page = await request(port, 'GET', '/');
+    assert.strictEqual(page.status, 200);
+    const csp = page.headers['content-security-policy'];
+    assert.match(csp, /frame-ancestors 'none'/);
+    const scriptSrc = csp.split('; ').find(directive => directive.startsWith('script-src'));
+    assert.doesNotMatch(scriptSrc, /unsafe-inline/);
+    const nonce = /'nonce-([^']+)'/.exec(scriptSrc)[1];
+    assert.ok(page.body.includes(`<script nonce="${nonce}">`));
+    assert.doesNotMatch(page.body, /\son[a-z]+=/);
+    assert.strictEqual(page.headers['x-frame-options'], 'DENY');
+    assert.strictEqual(page.headers['x-content-type-options'], 'nosniff');
+    assert.strictEqual(page.headers['referrer-policy'], 'no-referrer');
+});
+
+test('CSRF: изменяющий запрос с cookie требует токен, запрос с Bearer - нет', async () => {
+    const session = await request(port, 'GET', '/api/session', { cookie: cookies.operator });
+    assert.match(session.body.csrfToken, /^[0-9a-f]{64}$/);
+
+    const sent = simulator.requests.length;
+    const forged = await control('operator', { deviceId: 'dev_sim', doorNo: 1, state: 4 }, { headers: { 'X-CSRF-Token': '' } });
+    assert.strictEqual(forged.status, 403);
+    assert.strictEqual(forged.body.code, 'csrf_failed');
+    assert.strictEqual(simulator.requests.length, sent);
+
+    const token = cookies.operator.split('=')[1];
+    const bearer = await request(port, 'POST', '/api/control', {
+        headers: { Authorization: `Bearer ${token}` },
+        body: { deviceId: 'dev_sim', doorNo: 1, state: 4 }
+    });
+    assert.strictEqual(bearer.status, 200);
+    assert.strictEqual(bearer.body.success, true);
+});
+
+test('тело запроса: размер, тип и формат проверяются, ошибки - 4xx с кодом', async () => {
+    const broken = await request(port, 'POST', '/api/admin/groups', { cookie: cookies.admin, body: '{"id": "lobby",' });
+    assert.strictEqual(broken.status, 400);
+    assert.deepStrictEqual({ code: broken.body.code, message: broken.body.message }, { code: 'invalid_json', message: 'Некорректный JSON в запросе' });
+
+    const text = await request(port, 'POST', '/api/admin/groups', {
+        cookie: cookies.admin,
+        body: 'id=lobby',
+        headers: { 'Content-Type': 'text/plain' }
+    });
+    assert.strictEqual(text.status, 415);
+    assert.strictEqual(text.body.code, 'unsupported_media_type');
+
+    const large = await control('admin', { deviceId: 'dev_sim', doorNo: 1, state: 4, comment: 'x'.repeat(2048) });
+    assert.strictEqual(large.status, 413);
+    assert.strictEqual(large.body.code, 'payload_too_large');
+
+    const invalid = await control('admin', { deviceId: 5, doorNo: 0, state: 9 });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.code, 'validation_failed');
+    assert.strictEqual(invalid.body.errors.length, 3);
+});
+
+test('управление ограничено по пользователю и по адресу', async () => {
+    for (let i = 0; i < 2; i++) {
+        assert.strictEqual((await control('operator', { deviceId: 'dev_sim', doorNo: 1, state: 4 })).status, 200);
+    }
+    const byUser = await control('operator', { deviceId: 'dev_sim', doorNo: 1, state: 4 });
+    assert.strictEqual(byUser.status, 429);
+    assert.strictEqual(byUser.body.code, 'rate_limited');
+    assert.ok(Number(byUser.headers['retry-after']) > 0);
+
+    const byIp = await control('admin', { deviceId: 'dev_sim', doorNo: 1, state: 4 });
+    assert.strictEqual(byIp.status, 429);
+
+    const metrics = await request(port, 'GET', '/metrics');
+    assert.match(metrics.body, /scud_rate_limited_total\{route="control",key="user"\} 1/);
+    assert.match(metrics.body, /scud_rate_limited_total\{route="control",key="ip"\} 1/);
+});
+
+test('попытки входа ограничены по адресу, а не только по учетной записи', async () => {
+    for (const userLogin of ['ghost1', 'ghost2']) {
+        const response = await request(port, 'POST', '/api/login', { body: { login: userLogin, password: 'wrong-pass' } });
+        assert.strictEqual(response.status, 401);
+    }
+    const limited = await request(port, 'POST', '/api/login', { body: { login: 'admin', password: 'password123' } });
+    assert.strictEqual(limited.status, 429);
+    assert.ok(limited.headers['retry-after']);
+});
+
+test('блокировка после неудачных попыток действует для адреса и снимается по истечении срока', async () => {
+    function attempt(ip, password) {
+        return request(port, 'POST', '/api/login', {
+            body: { login: 'operator', password },
+            headers: { 'X-Forwarded-For': ip }
+        });
+    }
+
+    assert.strictEqual((await attempt('10.0.0.1', 'wrong-pass')).status, 401);
+    assert.strictEqual((await attempt('10.0.0.1', 'wrong-pass')).status, 429);
+    assert.strictEqual((await attempt('10.0.0.1', 'password123')).status, 429);
+    assert.strictEqual((await attempt('10.0.0.2', 'password123')).status, 200);
+
+    assert.ok(service.pruneLoginAttempts(Date.now() + 16 * 60 * 1000) >= 1);
+    assert.strictEqual((await attempt('10.0.0.1', 'password123')).status, 200);
+});
+
+test('подбор пароля с разных адресов блокирует учетную запись с нарастающей паузой', async () => {
+    function attempt(ip, password) {
+        return request(port, 'POST', '/api/login', {
+            body: { login: 'operator', password },
+            headers: { 'X-Forwarded-For': ip }
+        });
+    }
+
+    for (const ip of ['10.0.1.1', '10.0.1.2']) {
+        assert.strictEqual((await attempt(ip, 'wrong-pass')).status, 401);
+    }
+    const paused = await attempt('10.0.1.3', 'wrong-pass');
+    assert.strictEqual(paused.status, 429);
+    const pauseMs = new Date(paused.body.lockedUntil) - Date.now();
+    assert.ok(pauseMs > 0 && pauseMs <= 1000);
+    assert.strictEqual((await attempt('10.0.1.4', 'password123')).status, 429);
+
+    await new Promise(resolve => setTimeout(resolve, pauseMs + 50));
+    const longer = await attempt('10.0.1.5', 'wrong-pass');
+    assert.strictEqual(longer.status, 429);
+    assert.ok(new Date(longer.body.lockedUntil) - Date.now() > 1000);
+
+    service.pruneLoginAttempts(Date.now() + 16 * 60 * 1000);
+    assert.strictEqual((await attempt('10.0.1.6', 'password123')).status, 200);
+});
+
+test('/metrics без токена: только локальные адреса и сети из METRICS_ALLOW', async () => {
+    assert.strictEqual((await request(port, 'GET', '/metrics')).status, 200);
+    assert.strictEqual((await request(port, 'GET', '/metrics', { headers: { 'X-Forwarded-For': '10.1.2.3' } })).status, 200);
+
+    const foreign = await request(port, 'GET', '/metrics', { headers: { 'X-Forwarded-For': '203.0.113.7' } });
+    assert.strictEqual(foreign.status, 403);
+    assert.strictEqual(foreign.body.success, false);
+});
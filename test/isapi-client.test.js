@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupEnvironment } = require('./helpers');
+
+const environment = setupEnvironment();
+const { IsapiSimulator } = require('../simulator');
+const { DigestAuth, makeDigestRequest, testDeviceConnection, encryptSecret, IsapiError } = require('../server');
+
+const simulator = new IsapiSimulator({ password: 'secret123' });
+const options = () => ({ port: simulator.port, retries: 0, timeout: 500 });
+
+before(() => simulator.listen());
+after(async () => {
+    await simulator.close();
+    environment.cleanup();
+});
+
+test('deviceInfo через digest-авторизацию', async () => {
+    const result = await testDeviceConnection('127.0.0.1', 'admin', encryptSecret('secret123'), options());
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.deviceInfo.model, 'DS-K2604T');
+});
+
+test('nonce используется повторно для следующих запросов', async () => {
+    const auth = new DigestAuth('admin', 'secret123');
+    const before = simulator.challenges;
+    for (let i = 0; i < 3; i++) {
+        await makeDigestRequest('127.0.0.1', '/ISAPI/System/deviceInfo', 'GET', null, auth, options());
+    }
+    assert.ok(simulator.challenges - before <= 1);
+});
+
+test('устаревший nonce - повторная авторизация без ошибки', async () => {
+    const auth = new DigestAuth('admin', 'secret123');
+    await makeDigestRequest('127.0.0.1', '/ISAPI/System/deviceInfo', 'GET', null, auth, options());
+    const before = simulator.challenges;
+    simulator.expireNonce();
+
+    const body = await makeDigestRequest('127.0.0.1', '/ISAPI/System/deviceInfo', 'GET', null, auth, options());
+    assert.match(body, /<DeviceInfo/);
+    assert.strictEqual(simulator.challenges - before, 1);
+});
+
+test('неверный пароль - ошибка авторизации', async () => {
+    await assert.rejects(
+        makeDigestRequest('127.0.0.1', '/ISAPI/System/deviceInfo', 'GET', null, new DigestAuth('admin', 'wrong'), options()),
+        error => error instanceof IsapiError && error.type === 'auth'
+    );
+});
+
+test('таймаут - устройство недоступно', async () => {
+    simulator.inject({ type: 'timeout', path: '/ISAPI/System/deviceInfo', times: 1 });
+    await assert.rejects(
+        makeDigestRequest('127.0.0.1', '/ISAPI/System/deviceInfo', 'GET', null, new DigestAuth('admin', 'secret123'), options()),
+        error => error.type === 'unreachable'
+    );
+});
+
+test('разрыв соединения повторяется', async () => {
+    simulator.inject({ type: 'disconnect', path: '/ISAPI/System/deviceInfo', times: 1 });
+    const body = await makeDigestRequest('127.0.0.1', '/ISAPI/System/deviceInfo', 'GET', null,
+        new DigestAuth('admin', 'secret123'), { ...options(), retries: 1 });
+    assert.match(body, /<DeviceInfo/);
+});
+
+test('команда с истекшим таймаутом не повторяется: она могла дойти до контроллера', async () => {
+    simulator.inject({ type: 'timeout', path: '/RemoteControl/door/1', times: 2 });
+    const sent = simulator.requests.filter(item => item.path === '/ISAPI/AccessControl/RemoteControl/door/1').length;
+    await assert.rejects(
+        makeDigestRequest('127.0.0.1', '/ISAPI/AccessControl/RemoteControl/door/1', 'PUT',
+            '<RemoteControlDoor><cmd>open</cmd></RemoteControlDoor>', new DigestAuth('admin', 'secret123'), { ...options(), retries: 2 }),
+        error => error.type === 'unreachable' && error.sent === true
+    );
+    assert.strictEqual(simulator.requests.filter(item => item.path === '/ISAPI/AccessControl/RemoteControl/door/1').length, sent + 1);
+    simulator.clearFailures();
+});
+
+test('ошибка устройства - запрос отклонен с subStatusCode', async () => {
+    simulator.inject({ type: 'status', path: '/RemoteControl/', httpStatus: 400, subStatusCode: 'badParameters', times: 1 });
+    await assert.rejects(
+        makeDigestRequest('127.0.0.1', '/ISAPI/AccessControl/RemoteControl/door/1', 'PUT',
+            '<RemoteControlDoor><cmd>open</cmd></RemoteControlDoor>', new DigestAuth('admin', 'secret123'), options()),
+        error => error.type === 'rejected' && error.httpStatus === 400 && error.subStatusCode === 'badParameters'
+    );
+});
+
+test('недоступный порт', async () => {
+    const result = await testDeviceConnection('127.0.0.1', 'admin', 'secret123', { port: 1, retries: 0, timeout: 500 });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.errorType, 'unreachable');
+});
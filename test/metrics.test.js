@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { setupEnvironment, writeJson, request, login } = require('./helpers');
+
+const environment = setupEnvironment();
+const { IsapiSimulator } = require('../simulator');
+
+const simulator = new IsapiSimulator({ doors: 1 });
+let service;
+let port;
+const cookies = {};
+
+// Значение метрики с заданными метками из текста /metrics
+function metricValue(text, name, labels = {}) {
+    const line = text.split('\n').find(row => {
+        if (!row.startsWith(`${name}{`) && !row.startsWith(`${name} `)) return false;
+        return Object.entries(labels).every(([key, value]) => row.includes(`${key}="${value}"`));
+    });
+    return line === undefined ? null : Number(line.split(' ').pop());
+}
+
+before(async () => {
+    await simulator.listen();
+
+    writeJson(path.join(environment.configDir, 'devices.json'), {
+        devices: [{
+            id: 'dev_sim',
+            name: 'Имитатор',
+            ip: '127.0.0.1',
+            port: simulator.port,
+            login: 'admin',
+            password: simulator.password,
+            doors: [{ doorNo: 1, name: 'Вход', lastStatus: null, lastUpdate: null }]
+        }]
+    });
+    writeJson(path.join(environment.configDir, 'users.json'), {
+        users: [
+            { login: 'operator', role: 'operator', grants: [{ group: 'entrance' }] },
+            { login: 'viewer', role: 'viewer', grants: [{ group: 'entrance' }] }
+        ],
+        groups: [{ id: 'entrance', name: 'Вход', devices: ['dev_sim'] }]
+    });
+
+    service = require('../server');
+    const usersData = service.loadUsers();
+    usersData.users.forEach(user => service.setUserPassword(user, 'password123'));
+    service.saveUsers(usersData);
+
+    await new Promise(resolve => service.server.listen(0, '127.0.0.1', resolve));
+    port = service.server.address().port;
+
+    for (const user of ['operator', 'viewer']) {
+        cookies[user] = await login(port, user, 'password123');
+    }
+});
+
+after(async () => {
+    service.stopStatusPoller();
+    await new Promise(resolve => service.server.close(resolve));
+    await simulator.close();
+    environment.cleanup();
+});
+
+test('healthz проверяет конфигурацию и каталог логов', async () => {
+    const response = await request(port, 'GET', '/healthz');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.status, 'ok');
+    assert.deepStrictEqual(Object.keys(response.body.checks).sort(), ['config', 'logs']);
+
+    const usersFile = path.join(environment.configDir, 'users.json');
+    const original = fs.readFileSync(usersFile, 'utf8');
+    fs.writeFileSync(usersFile, '{ broken');
+    const broken = await request(port, 'GET', '/healthz');
+    fs.writeFileSync(usersFile, original);
+    assert.strictEqual(broken.status, 503);
+    assert.strictEqual(broken.body.checks.config.ok, false);
+});
+
+test('readyz готов только после первого опроса устройств', async () => {
+    const before = await request(port, 'GET', '/readyz');
+    assert.strictEqual(before.status, 503);
+    assert.strictEqual(before.body.checks.statusPoll.ok, false);
+
+    await service.pollDeviceStatuses();
+    const after = await request(port, 'GET', '/readyz');
+    assert.strictEqual(after.status, 200);
+});
+
+test('metrics: управление, отказы, входы, задержки и состояние устройств', async () => {
+    await request(port, 'POST', '/api/login', { body: { login: 'operator', password: 'wrong' } });
+    await request(port, 'POST', '/api/control', { cookie: cookies.operator, body: { deviceId: 'dev_sim', doorNo: 1, state: 4 } });
+    await request(port, 'POST', '/api/control', { cookie: cookies.viewer, body: { deviceId: 'dev_sim', doorNo: 1, state: 1 } });
+
+    const response = await request(port, 'GET', '/metrics');
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers['content-type'], /^text\/plain; version=0\.0\.4/);
+    const text = response.body;
+
+    assert.strictEqual(metricValue(text, 'scud_failed_logins_total', { reason: 'invalid' }), 1);
+    assert.strictEqual(metricValue(text, 'scud_control_requests_total', { outcome: 'success', state: 'pulse', source: 'web' }), 1);
+    assert.strictEqual(metricValue(text, 'scud_control_requests_total', { outcome: 'denied', state: 'open' }), 1);
+    assert.strictEqual(metricValue(text, 'scud_access_denied_total', { source: 'web' }), 1);
+    assert.strictEqual(metricValue(text, 'scud_device_up', { device: 'dev_sim', name: 'Имитатор' }), 1);
+    assert.ok(metricValue(text, 'scud_isapi_request_duration_seconds_count', { device: 'dev_sim' }) >= 2);
+    assert.strictEqual(
+        metricValue(text, 'scud_isapi_request_duration_seconds_bucket', { device: 'dev_sim', le: '+Inf' }),
+        metricValue(text, 'scud_isapi_request_duration_seconds_count', { device: 'dev_sim' })
+    );
+});
+
+test('устройство без связи: scud_device_up = 0 и счетчик ошибок ISAPI', async () => {
+    simulator.inject({ type: 'disconnect' });
+    await service.pollDeviceStatuses();
+    simulator.clearFailures();
+
+    const text = (await request(port, 'GET', '/metrics')).body;
+    assert.strictEqual(metricValue(text, 'scud_device_up', { device: 'dev_sim' }), 0);
+    assert.ok(metricValue(text, 'scud_isapi_errors_total', { device: 'dev_sim', type: 'unreachable' }) >= 1);
+});
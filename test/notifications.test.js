@@ -0,0 +1,191 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const { setupEnvironment, writeJson, request, login } = require('./helpers');
+
+const environment = setupEnvironment();
+process.env.NOTIFY_RETRY_DELAY_MS = '50';
+const { IsapiSimulator } = require('../simulator');
+
+const simulator = new IsapiSimulator({ doors: 1 });
+let service;
+let port;
+let cookie;
+let hookId;
+
+// Получатель уведомлений: запоминает запросы, коды ответов берет из очереди (по умолчанию 200)
+const received = [];
+const responses = [];
+const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, raw: body, body: JSON.parse(body) });
+        const response = responses.shift() || { status: 200, body: { ok: true } };
+        res.writeHead(response.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response.body));
+    });
+});
+
+function receiverUrl(pathname) {
+    return `http://127.0.0.1:${receiver.address().port}${pathname}`;
+}
+
+async function waitFor(predicate, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    while (!predicate()) {
+        if (Date.now() > deadline) throw new Error('Уведомление не получено');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+function receivedEvents(event) {
+    return received.filter(item => item.body.event === event);
+}
+
+before(async () => {
+    await simulator.listen();
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+    writeJson(path.join(environment.configDir, 'devices.json'), {
+        devices: [{
+            id: 'dev_sim',
+            name: 'Имитатор',
+            ip: '127.0.0.1',
+            port: simulator.port,
+            login: 'admin',
+            password: simulator.password,
+            doors: [{ doorNo: 1, name: 'Вход', lastStatus: null, lastUpdate: null }]
+        }]
+    });
+    writeJson(path.join(environment.configDir, 'users.json'), {
+        users: [{ login: 'admin', role: 'admin', grants: [] }],
+        groups: []
+    });
+
+    service = require('../server');
+    const usersData = service.loadUsers();
+    service.setUserPassword(usersData.users[0], 'password123');
+    service.saveUsers(usersData);
+
+    await new Promise(resolve => service.server.listen(0, '127.0.0.1', resolve));
+    port = service.server.address().port;
+    cookie = await login(port, 'admin', 'password123');
+});
+
+after(async () => {
+    service.stopStatusPoller();
+    await new Promise(resolve => service.server.close(resolve));
+    await new Promise(resolve => receiver.close(resolve));
+    await simulator.close();
+    environment.cleanup();
+});
+
+test('webhook получает подписанное уведомление только о выбранных событиях', async () => {
+    const created = await request(port, 'POST', '/api/admin/notifications/webhooks', {
+        cookie,
+        body: { name: 'SIEM', url: receiverUrl('/hook'), secret: 'hook-secret', events: ['doorAlwaysOpen', 'controlFailed', 'deviceOffline'] }
+    });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.webhook.hasSecret, true);
+    assert.strictEqual(created.body.webhook.secret, undefined);
+    hookId = created.body.webhook.id;
+
+    await request(port, 'POST', '/api/control', { cookie, body: { deviceId: 'dev_sim', doorNo: 1, state: 4 } });
+    await request(port, 'POST', '/api/control', { cookie, body: { deviceId: 'dev_sim', doorNo: 1, state: 1 } });
+    await waitFor(() => received.length > 0);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.deepStrictEqual(received.map(item => item.body.event), ['doorAlwaysOpen']);
+    const delivery = received[0];
+    assert.strictEqual(delivery.url, '/hook');
+    assert.strictEqual(delivery.headers['x-scud-event'], 'doorAlwaysOpen');
+    assert.strictEqual(delivery.body.data.login, 'admin');
+    assert.match(delivery.body.text, /Имитатор \/ Вход/);
+
+    const expected = crypto.createHmac('sha256', 'hook-secret')
+        .update(`${delivery.headers['x-scud-timestamp']}.${delivery.raw}`)
+        .digest('hex');
+    assert.strictEqual(delivery.headers['x-scud-signature'], `sha256=${expected}`);
+});
+
+test('ошибка получателя: доставка повторяется', async () => {
+    received.length = 0;
+    responses.push({ status: 500, body: {} }, { status: 503, body: {} });
+    simulator.inject({ type: 'status', path: '/RemoteControl/door/1', times: 1 });
+
+    await request(port, 'POST', '/api/control', { cookie, body: { deviceId: 'dev_sim', doorNo: 1, state: 5 } });
+    await waitFor(() => received.length === 3);
+
+    assert.ok(received.every(item => item.body.event === 'controlFailed'));
+    assert.strictEqual(new Set(received.map(item => item.headers['x-scud-delivery'])).size, 1);
+
+    const view = await request(port, 'GET', '/api/admin/notifications', { cookie });
+    assert.strictEqual(view.body.queue.length, 0);
+    assert.deepStrictEqual(
+        { success: view.body.deliveries[0].success, attempts: view.body.deliveries[0].attempts },
+        { success: true, attempts: 3 }
+    );
+});
+
+test('потеря связи с контроллером', async () => {
+    await service.pollDeviceStatuses();
+    received.length = 0;
+
+    simulator.inject({ type: 'disconnect' });
+    await service.pollDeviceStatuses();
+    simulator.clearFailures();
+    await waitFor(() => receivedEvents('deviceOffline').length === 1);
+
+    // Восстановление связи на этот webhook не подписано
+    await service.pollDeviceStatuses();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.deepStrictEqual(received.map(item => item.body.event), ['deviceOffline']);
+});
+
+test('кнопка проверки webhook сообщает результат сразу', async () => {
+    received.length = 0;
+    const ok = await request(port, 'POST', `/api/admin/notifications/webhooks/${hookId}/test`, { cookie });
+    assert.strictEqual(ok.status, 200);
+    assert.strictEqual(received[0].body.event, 'test');
+
+    responses.push({ status: 404, body: {} });
+    const failed = await request(port, 'POST', `/api/admin/notifications/webhooks/${hookId}/test`, { cookie });
+    assert.strictEqual(failed.status, 502);
+    assert.match(failed.body.message, /HTTP 404/);
+    assert.strictEqual(received.length, 2);
+});
+
+test('Telegram: сообщение через настраиваемый адрес API, токен не раскрывается', async () => {
+    const invalid = await request(port, 'PUT', '/api/admin/notifications/telegram', {
+        cookie,
+        body: { enabled: true, chatIds: '-100123', events: ['emergency'] }
+    });
+    assert.strictEqual(invalid.status, 400);
+
+    const saved = await request(port, 'PUT', '/api/admin/notifications/telegram', {
+        cookie,
+        body: { enabled: true, botToken: '123456:test-token', chatIds: '-100123, @scud_alerts', events: ['emergency'], apiUrl: receiverUrl('/tg/') }
+    });
+    assert.strictEqual(saved.status, 200);
+    assert.deepStrictEqual(saved.body.telegram.chatIds, ['-100123', '@scud_alerts']);
+    assert.strictEqual(saved.body.telegram.hasToken, true);
+    assert.strictEqual(JSON.stringify(saved.body).includes('test-token'), false);
+
+    received.length = 0;
+    responses.push({ status: 200, body: { ok: true } }, { status: 400, body: { ok: false, description: 'Bad Request: chat not found' } });
+    const result = await request(port, 'POST', '/api/admin/notifications/telegram/test', { cookie });
+    assert.strictEqual(result.status, 502);
+    assert.match(result.body.message, /@scud_alerts - HTTP 400: Bad Request: chat not found/);
+    assert.strictEqual(result.body.message.includes('test-token'), false);
+    assert.strictEqual(received[0].url, '/tg/bot123456:test-token/sendMessage');
+    assert.strictEqual(received[0].body.chat_id, '-100123');
+
+    received.length = 0;
+    service.notify('emergency', { active: true, mode: 'evacuation', startedBy: 'admin', reason: 'Учения', doors: ['dev_sim:1'] });
+    await waitFor(() => received.length === 2);
+    assert.match(received[0].body.text, /объявил admin, дверей: 1 \(Учения\)/);
+});
@@ -0,0 +1,141 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { setupEnvironment, writeJson, request, login } = require('./helpers');
+
+const environment = setupEnvironment();
+const { IsapiSimulator } = require('../simulator');
+
+// Вход - с поддержкой лиц, проходная - только карты
+const entrance = new IsapiSimulator({ doors: 2 });
+const gate = new IsapiSimulator({ doors: 1, faceLib: false });
+const face = `data:image/jpeg;base64,${Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3, 0xff, 0xd9]).toString('base64')}`;
+let service;
+let port;
+let cookie;
+let personId;
+
+function simulatorDevice(id, name, simulator) {
+    return {
+        id,
+        name,
+        ip: '127.0.0.1',
+        port: simulator.port,
+        login: 'admin',
+        password: simulator.password,
+        doors: Object.keys(simulator.doors).map(doorNo => ({ doorNo: Number(doorNo), name: `Дверь ${doorNo}` }))
+    };
+}
+
+function reportFor(report, deviceId) {
+    return report.find(item => item.deviceId === deviceId);
+}
+
+before(async () => {
+    await entrance.listen();
+    await gate.listen();
+
+    writeJson(path.join(environment.configDir, 'devices.json'), {
+        devices: [
+            simulatorDevice('dev_entrance', 'Вход', entrance),
+            simulatorDevice('dev_gate', 'Проходная', gate)
+        ]
+    });
+    writeJson(path.join(environment.configDir, 'users.json'), {
+        users: [{ login: 'admin', role: 'admin', grants: [] }],
+        groups: [{ id: 'staff', name: 'Сотрудники', devices: ['dev_entrance:1', 'dev_gate'] }]
+    });
+
+    service = require('../server');
+    const usersData = service.loadUsers();
+    service.setUserPassword(usersData.users[0], 'password123');
+    service.saveUsers(usersData);
+
+    await new Promise(resolve => service.server.listen(0, '127.0.0.1', resolve));
+    port = service.server.address().port;
+    cookie = await login(port, 'admin', 'password123');
+});
+
+after(async () => {
+    service.stopStatusPoller();
+    await new Promise(resolve => service.server.close(resolve));
+    await entrance.close();
+    await gate.close();
+    environment.cleanup();
+});
+
+test('сотрудник записывается на все контроллеры группы', async () => {
+    const response = await request(port, 'POST', '/api/admin/persons', {
+        cookie,
+        body: { name: 'Иванов И.', employeeNo: '1001', cards: '123456, 654321', groups: ['staff'], face }
+    });
+
+    assert.strictEqual(response.status, 201);
+    personId = response.body.person.id;
+    assert.strictEqual(response.body.person.hasFace, true);
+    assert.deepStrictEqual(response.body.sync.map(result => result.failed), [0, 0]);
+
+    assert.strictEqual(entrance.users.get('1001').doorRight, '1');
+    assert.deepStrictEqual([...entrance.cards.keys()].sort(), ['123456', '654321']);
+    assert.ok(entrance.faces.has('1001'));
+    assert.strictEqual(gate.users.get('1001').name, 'Иванов И.');
+    assert.strictEqual(gate.faces.size, 0);
+
+    const report = await request(port, 'GET', '/api/admin/persons/sync', { cookie });
+    assert.ok(report.body.report.every(item => item.upToDate && item.synced === 1));
+});
+
+test('номер карты не может принадлежать двум сотрудникам', async () => {
+    const response = await request(port, 'POST', '/api/admin/persons', {
+        cookie,
+        body: { name: 'Петров П.', employeeNo: '1002', cards: ['123456'], devices: ['dev_gate'] }
+    });
+
+    assert.strictEqual(response.status, 400);
+    assert.match(response.body.message, /Карта 123456 уже выдана/);
+});
+
+test('изменение назначений обновляет и отзывает сотрудника на контроллерах', async () => {
+    const response = await request(port, 'PUT', `/api/admin/persons/${personId}`, {
+        cookie,
+        body: { name: 'Иванов И.', employeeNo: '1001', cards: ['123456'], devices: ['dev_entrance:2'] }
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(entrance.users.get('1001').doorRight, '2');
+    assert.deepStrictEqual([...entrance.cards.keys()], ['123456']);
+    assert.ok(entrance.faces.has('1001'));
+    assert.strictEqual(gate.users.size, 0);
+});
+
+test('недоступный контроллер отмечается как устаревший до повторной синхронизации', async () => {
+    gate.inject({ type: 'disconnect', path: '/ISAPI/AccessControl/UserInfo' });
+    const response = await request(port, 'PUT', `/api/admin/persons/${personId}`, {
+        cookie,
+        body: { name: 'Иванов И.', employeeNo: '1001', cards: ['123456'], devices: ['dev_entrance:2', 'dev_gate'] }
+    });
+
+    assert.strictEqual(response.status, 200);
+    let report = service.buildPersonSyncReport();
+    assert.strictEqual(reportFor(report, 'dev_entrance').upToDate, true);
+    assert.strictEqual(reportFor(report, 'dev_gate').outdated[0].reason, 'missing');
+    assert.match(reportFor(report, 'dev_gate').lastError, /недоступно/);
+
+    gate.clearFailures();
+    const sync = await request(port, 'POST', '/api/admin/persons/sync', { cookie, body: { deviceId: 'dev_gate' } });
+    assert.strictEqual(sync.status, 200);
+    report = sync.body.report;
+    assert.ok(report.every(item => item.upToDate));
+    assert.strictEqual(gate.users.get('1001').doorRight, '1');
+});
+
+test('удаление сотрудника удаляет его с контроллеров', async () => {
+    const response = await request(port, 'DELETE', `/api/admin/persons/${personId}`, { cookie });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(entrance.users.size, 0);
+    assert.strictEqual(entrance.cards.size, 0);
+    assert.strictEqual(entrance.faces.size, 0);
+    assert.strictEqual(gate.users.size, 0);
+    assert.ok(service.buildPersonSyncReport().every(item => item.upToDate && item.expected === 0));
+});